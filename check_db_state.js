@@ -1,4 +1,5 @@
-const { node0 } = require('./db/connection');
+const node_registry = require('./models/node_registry');
+const node0 = node_registry.getPool(0);
 
 async function checkStats() {
     try {
@@ -0,0 +1,185 @@
+const db_router = require("../models/db_router.js");
+const rebalancer = require("../models/rebalancer.js");
+const node_registry = require("../models/node_registry.js");
+const failover_manager = require("../models/failover_manager.js");
+const anti_entropy = require("../models/anti_entropy.js");
+
+const clusterController = {
+    // =====================================================
+    // Node registry
+    // =====================================================
+    listNodes(req, res) {
+        res.json({ success: true, nodes: node_registry.listNodes() });
+    },
+
+    // Body: { id, role, name, host, port, user, password, database }
+    addNode(req, res) {
+        try {
+            const node = node_registry.addNode(req.body || {});
+            res.status(201).json({ success: true, node });
+        } catch (err) {
+            res.status(400).json({ success: false, error: err.message });
+        }
+    },
+
+    async removeNode(req, res) {
+        const nodeId = parseInt(req.params.id);
+        if (!node_registry.hasNode(nodeId)) {
+            return res.status(404).json({ success: false, error: `Node ${req.params.id} is not registered.` });
+        }
+        // A Slave that still owns countries would leave them unroutable
+        if (db_router.getSlaveIds().includes(nodeId)) {
+            return res.status(409).json({
+                success: false,
+                error: `Node ${nodeId} owns partitions in the partition map. Rebalance its countries away first.`
+            });
+        }
+
+        try {
+            const node = await node_registry.removeNode(nodeId);
+            res.json({ success: true, node });
+        } catch (err) {
+            res.status(400).json({ success: false, error: err.message });
+        }
+    },
+
+    // =====================================================
+    // Master failover
+    // =====================================================
+    getFailoverStatus(req, res) {
+        res.json({ success: true, ...failover_manager.getStatus() });
+    },
+
+    // Body: { nodeId, force, acceptDataLoss }
+    async promote(req, res) {
+        try {
+            const body = req.body || {};
+            const nodeId = body.nodeId !== undefined ? parseInt(body.nodeId) : undefined;
+            const result = await failover_manager.promote(nodeId, { force: !!body.force, acceptDataLoss: !!body.acceptDataLoss });
+            res.status(result.success ? 200 : 409).json(result);
+        } catch (err) {
+            console.error('[Failover] Promotion error:', err);
+            res.status(500).json({ success: false, error: err.message });
+        }
+    },
+
+    async fence(req, res) {
+        try {
+            const result = await failover_manager.fence();
+            res.status(result.success ? 200 : 409).json(result);
+        } catch (err) {
+            res.status(500).json({ success: false, error: err.message });
+        }
+    },
+
+    async reconcile(req, res) {
+        try {
+            const result = await failover_manager.reconcile();
+            res.status(result.success ? 200 : 409).json(result);
+        } catch (err) {
+            console.error('[Failover] Reconciliation error:', err);
+            res.status(500).json({ success: false, error: err.message });
+        }
+    },
+
+    // Body: { autoPromote, thresholdMs, standbyId }
+    setFailoverPolicy(req, res) {
+        const monitor = failover_manager.setPolicy(req.body || {});
+        res.json({ success: true, monitor });
+    },
+
+    // =====================================================
+    // Anti-entropy (per-bucket checksums, drill-down, repair)
+    // =====================================================
+    // Body: { bucketSize, repair, slaveId }
+    async runAntiEntropy(req, res) {
+        const body = req.body || {};
+        const slaveId = body.slaveId !== undefined ? parseInt(body.slaveId) : null;
+        if (slaveId !== null && !db_router.getSlaveIds().includes(slaveId)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid slaveId. Must be one of: ${db_router.getSlaveIds().join(', ')}.`
+            });
+        }
+
+        try {
+            const result = await anti_entropy.run({
+                bucketSize: Math.max(1, parseInt(body.bucketSize) || anti_entropy.DEFAULT_BUCKET_SIZE),
+                repair: body.repair === true,
+                slaveId
+            });
+            res.status(result.success ? 200 : 409).json(result);
+        } catch (err) {
+            console.error('[Anti-Entropy] Error:', err);
+            res.status(500).json({ success: false, error: err.message });
+        }
+    },
+
+    getAntiEntropyReport(req, res) {
+        if (!anti_entropy.lastReport) {
+            return res.status(404).json({ success: false, error: 'No reconciliation pass has run yet.' });
+        }
+        res.json(anti_entropy.lastReport);
+    },
+
+    // =====================================================
+    // Partition map
+    // =====================================================
+    getPartitionMap(req, res) {
+        res.json({
+            success: true,
+            map: db_router.getPartitionMap(),
+            architecture: db_router.getArchitectureInfo()
+        });
+    },
+
+    // =====================================================
+    // Online rebalancing
+    // =====================================================
+    // Body: { map } | { splitPoint: "H" } | { assignments: { "Canada": 1 } }
+    //       plus optional batchSize
+    async startRebalance(req, res) {
+        let targetMap;
+        try {
+            targetMap = rebalancer.resolveTargetMap(req.body || {});
+        } catch (err) {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+
+        try {
+            const batchSize = Math.max(1, parseInt(req.body.batchSize) || rebalancer.DEFAULT_BATCH_SIZE);
+            const result = await rebalancer.startRebalance(targetMap, batchSize);
+            res.status(result.success ? 202 : 409).json(result);
+        } catch (err) {
+            console.error('[Rebalance] Error starting job:', err);
+            res.status(500).json({ success: false, error: err.message });
+        }
+    },
+
+    async getRebalanceStatus(req, res) {
+        try {
+            const jobId = req.params.jobId ? parseInt(req.params.jobId) : null;
+            const job = await rebalancer.getStatus(jobId);
+            if (!job) {
+                return res.status(404).json({ success: false, error: 'No rebalance job found.' });
+            }
+            res.json({ success: true, job });
+        } catch (err) {
+            res.status(500).json({ success: false, error: err.message });
+        }
+    },
+
+    async resumeRebalance(req, res) {
+        try {
+            const result = await rebalancer.resumeRebalance(parseInt(req.params.jobId));
+            if (result.notFound) return res.status(404).json(result);
+            if (result.conflict) return res.status(409).json(result);
+            res.status(202).json(result);
+        } catch (err) {
+            console.error('[Rebalance] Error resuming job:', err);
+            res.status(500).json({ success: false, error: err.message });
+        }
+    }
+};
+
+module.exports = clusterController;
@@ -1,5 +1,10 @@
 const db_service = require("../models/db_service.js");
 const db_router = require("../models/db_router.js");
+const xa_resolver = require("../models/xa_resolver.js");
+const node_registry = require("../models/node_registry.js");
+const slave_resync = require("../models/slave_resync.js");
+const change_log = require("../models/change_log.js");
+const replication_lag = require("../models/replication_lag.js");
 
 // Keep track of node states (for non-serverless environments)
 // NOTE: On Vercel serverless, this state doesn't persist between requests.
@@ -21,6 +26,36 @@ function getNodeStateFromRequest(req) {
     return NODE_STATE;
 }
 
+// Summarize an in-memory missed write for the queue status view.
+// Only INSERT params carry the full row: [id, firstname, lastname, city, country, ...]
+function describeMissedWrite(w) {
+    const operation = w.operation || 'INSERT';
+    const isInsert = operation === 'INSERT';
+    return {
+        operation: operation,
+        user: isInsert ? `${w.params[1]} ${w.params[2]}` : `User ${w.insertedId}`,
+        country: isInsert ? w.params[4] : null,
+        attempts: w.attemptCount,
+        lastError: w.lastError
+    };
+}
+
+async function resolveQueueEntry(req, res, action) {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+        return res.status(400).json({ success: false, error: 'Queue entry id must be an integer.' });
+    }
+    try {
+        const entry = await db_service.resolveFailedWrite(id, action);
+        if (!entry) {
+            return res.status(404).json({ success: false, error: `No failed queue entry with id ${id}.` });
+        }
+        res.json({ success: true, entry });
+    } catch (err) {
+        res.status(400).json({ success: false, error: err.message });
+    }
+}
+
 const failureController = {
     // Function to get NODE_STATE directly (not a route handler)
     getNodeState() {
@@ -123,18 +158,17 @@ const failureController = {
             // Get from persistent database queue ONLY (in-memory doesn't persist on Vercel)
             const persistentQueue = await db_service.getPersistentQueueStatus();
             
+            const partitionSizes = db_service.partitionQueueSizes(persistentQueue);
             console.log('[Queue Status] Persistent queue:', JSON.stringify({
-                p0: persistentQueue[0],
-                p1: persistentQueue[1],
-                p2: persistentQueue[2]
+                central: persistentQueue[0],
+                ...partitionSizes
             }));
             
             // Only use persistent queue counts (in-memory is unreliable on serverless)
             const status = {
                 central: persistentQueue[0],
-                partition1: persistentQueue[1],
-                partition2: persistentQueue[2],
-                total: persistentQueue[0] + persistentQueue[1] + persistentQueue[2],
+                ...partitionSizes,
+                total: persistentQueue[0] + db_service.totalSlaveQueue(persistentQueue),
                 details: persistentQueue.details
             };
             res.json(status);
@@ -142,33 +176,18 @@ const failureController = {
             // Fallback to in-memory only
             console.error('[Queue Status] Error getting persistent queue:', err.message);
             const status = {
-                central: db_service.missedWrites[0].length,
-                partition1: db_service.missedWrites[1].length,
-                partition2: db_service.missedWrites[2].length,
-                total: db_service.missedWrites[0].length + 
-                       db_service.missedWrites[1].length + 
-                       db_service.missedWrites[2].length,
+                central: db_service.getMissedWrites(0).length,
+                total: db_service.getMissedWrites(0).length,
                 details: {
-                    central: db_service.missedWrites[0].map(w => ({
-                        user: `${w.params[1]} ${w.params[2]}`,
-                        country: w.params[4],
-                        attempts: w.attemptCount,
-                        lastError: w.lastError
-                    })),
-                    partition1: db_service.missedWrites[1].map(w => ({
-                        user: `${w.params[1]} ${w.params[2]}`,
-                        country: w.params[4],
-                        attempts: w.attemptCount,
-                        lastError: w.lastError
-                    })),
-                    partition2: db_service.missedWrites[2].map(w => ({
-                        user: `${w.params[1]} ${w.params[2]}`,
-                        country: w.params[4],
-                        attempts: w.attemptCount,
-                        lastError: w.lastError
-                    }))
+                    central: db_service.getMissedWrites(0).map(describeMissedWrite)
                 }
             };
+            db_router.getSlaveIds().forEach(slaveId => {
+                const writes = db_service.getMissedWrites(slaveId);
+                status[`partition${slaveId}`] = writes.length;
+                status.total += writes.length;
+                status.details[`partition${slaveId}`] = writes.map(describeMissedWrite);
+            });
             res.json(status);
         }
     },
@@ -176,7 +195,7 @@ const failureController = {
     async getSystemHealth(req, res) {
         try {
             // Get persistent queue status
-            let queueStatus = { 0: 0, 1: 0, 2: 0 };
+            let queueStatus = db_service.emptyQueueStatus();
             try {
                 queueStatus = await db_service.getPersistentQueueStatus();
             } catch (e) {
@@ -188,32 +207,47 @@ const failureController = {
                 nodes: {},
                 queues: {
                     central: queueStatus[0],
-                    partition1: queueStatus[1],
-                    partition2: queueStatus[2]
+                    ...db_service.partitionQueueSizes(queueStatus)
                 },
                 monitor: db_service.getRecoveryMonitorStatus(),
+                replication: {
+                    readBounds: { ...replication_lag.bounds },
+                    lag: {}
+                },
                 overall: 'HEALTHY'
             };
 
+            // Per-Slave lag, as the read router sees it; a blocked Slave's
+            // replay waits for an operator (retry/park the entry, or resync)
+            const lag = await replication_lag.getAllLag({ fresh: true });
+            health.replication.blocked = {};
+            Object.keys(lag).forEach(slaveId => {
+                health.replication.lag[`partition${slaveId}`] = lag[slaveId];
+                if (lag[slaveId].blocked) {
+                    health.replication.blocked[`partition${slaveId}`] = lag[slaveId].blocked;
+                }
+            });
+
             // Check health of each node
-            for (let nodeId of [0, 1, 2]) {
+            for (let nodeId of node_registry.getNodeIds()) {
                 const isHealthy = await db_service.isNodeHealthy(nodeId, 1000);
+                const node = node_registry.getNode(nodeId);
                 health.nodes[`node${nodeId}`] = {
                     id: nodeId,
-                    name: nodeId === 0 ? 'Central' : `Partition ${nodeId}`,
+                    role: node.role,
+                    name: node.role === 'master' ? 'Central' : `Partition ${nodeId}`,
                     status: isHealthy ? 'ONLINE' : 'OFFLINE',
                     healthy: isHealthy,
-                    queueSize: db_service.missedWrites[nodeId].length
+                    queueSize: db_service.getMissedWrites(nodeId).length
                 };
             }
 
             // Determine overall system health
             const allNodesHealthy = Object.values(health.nodes).every(n => n.healthy);
-            const hasQueuedWrites = health.queues.central > 0 || 
-                                    health.queues.partition1 > 0 || 
-                                    health.queues.partition2 > 0;
+            const hasQueuedWrites = Object.values(health.queues).some(size => size > 0);
+            const replayBlocked = Object.keys(health.replication.blocked).length > 0;
 
-            if (!allNodesHealthy && hasQueuedWrites) {
+            if (replayBlocked || (!allNodesHealthy && hasQueuedWrites)) {
                 health.overall = 'DEGRADED';
             } else if (!allNodesHealthy) {
                 health.overall = 'PARTIAL';
@@ -227,14 +261,142 @@ const failureController = {
         }
     },
 
+    // =====================================================
+    // In-doubt XA branches (PREPARED, coordinator gone)
+    // =====================================================
+    async resolveInDoubt(req, res) {
+        try {
+            const options = {};
+            if (req.body && req.body.minAgeMs !== undefined) {
+                options.minAgeMs = parseInt(req.body.minAgeMs);
+            }
+            console.log('[XA Resolver] Manual resolution triggered');
+            const result = await xa_resolver.resolveAll(options);
+            res.json(result);
+        } catch (err) {
+            console.error('[XA Resolver] Error:', err);
+            res.status(500).json({ success: false, error: err.message });
+        }
+    },
+
+    // Rebuild a Slave from a Master snapshot (body: { batchSize })
+    async resyncPartition(req, res) {
+        const partition = parseInt(req.params.partition);
+        const slaveIds = db_router.getSlaveIds();
+        if (isNaN(partition) || !slaveIds.includes(partition)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid partition. Must be one of: ${slaveIds.join(', ')}.`
+            });
+        }
+
+        try {
+            const isHealthy = await db_service.isNodeHealthy(partition, 3000);
+            if (!isHealthy) {
+                return res.json({
+                    success: false,
+                    message: `Partition ${partition} is not reachable. Cannot resync.`
+                });
+            }
+
+            console.log(`[RESYNC] Triggered for partition ${partition}`);
+            const batchSize = parseInt(req.body && req.body.batchSize) || slave_resync.DEFAULT_BATCH_SIZE;
+            const result = await slave_resync.resync(partition, { batchSize });
+            res.status(result.conflict ? 409 : (result.success ? 200 : 500)).json(result);
+        } catch (err) {
+            console.error(`[RESYNC] Error for partition ${partition}:`, err);
+            res.status(500).json({ success: false, error: err.message });
+        }
+    },
+
+    /**
+     * Replication position per Slave: the newest change_log sequence number
+     * logged for it, the last one it applied, and how many it is behind.
+     * GET /failure/replication/position[?partition=N]
+     */
+    async getReplicationPosition(req, res) {
+        try {
+            if (req.query.partition !== undefined) {
+                const partition = parseInt(req.query.partition);
+                const slaveIds = db_router.getSlaveIds();
+                if (isNaN(partition) || !slaveIds.includes(partition)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Invalid partition. Must be one of: ${slaveIds.join(', ')}.`
+                    });
+                }
+                return res.json({ success: true, position: await change_log.getPosition(partition) });
+            }
+
+            res.json({ success: true, positions: await change_log.getPositions() });
+        } catch (err) {
+            console.error('[REPLICATION] Position lookup failed:', err.message);
+            res.status(500).json({ success: false, error: err.message });
+        }
+    },
+
+    /**
+     * Per-Slave replication lag and the read router's bounds.
+     * GET /failure/replication/lag
+     */
+    async getReplicationLag(req, res) {
+        try {
+            res.json({
+                success: true,
+                readBounds: { ...replication_lag.bounds },
+                lag: await replication_lag.getAllLag({ fresh: true })
+            });
+        } catch (err) {
+            res.status(500).json({ success: false, error: err.message });
+        }
+    },
+
+    /**
+     * Change how much lag a Slave may have and still serve reads.
+     * POST /failure/replication/lag/bounds { maxSeqGap, maxAgeMs } (-1 disables a check)
+     */
+    setReadBounds(req, res) {
+        const { maxSeqGap, maxAgeMs } = req.body || {};
+        const invalid = [['maxSeqGap', maxSeqGap], ['maxAgeMs', maxAgeMs]]
+            .filter(([, value]) => value !== undefined && (!Number.isInteger(Number(value)) || Number(value) < -1))
+            .map(([name]) => name);
+        if (invalid.length > 0) {
+            return res.status(400).json({ success: false, error: `${invalid.join(', ')} must be an integer >= -1.` });
+        }
+        res.json({ success: true, readBounds: replication_lag.setBounds({ maxSeqGap, maxAgeMs }) });
+    },
+
+    /**
+     * Unblock a Slave's replay: put its failed queue entry back to pending
+     * or park it (see db_service.resolveFailedWrite).
+     * POST /failure/queue/:id/retry, POST /failure/queue/:id/park
+     */
+    async retryQueueEntry(req, res) {
+        return resolveQueueEntry(req, res, 'retry');
+    },
+
+    async parkQueueEntry(req, res) {
+        return resolveQueueEntry(req, res, 'park');
+    },
+
+    getResyncStatus(req, res) {
+        const partition = parseInt(req.params.partition);
+        const progress = slave_resync.getProgress(partition);
+        if (!progress) {
+            return res.status(404).json({ success: false, error: `No resync has run for partition ${req.params.partition}.` });
+        }
+        res.json({ success: true, active: db_service.isResyncing(partition), progress });
+    },
+
     // Manual trigger for recovery of a specific partition
     async triggerRecovery(req, res) {
         const partition = parseInt(req.params.partition);
         
-        if (isNaN(partition) || partition < 1 || partition > 2) {
+        const slaveIds = db_router.getSlaveIds();
+        if (isNaN(partition) || !slaveIds.includes(partition)) {
             return res.status(400).json({ 
                 success: false, 
-                error: 'Invalid partition. Must be 1 or 2.' 
+                error: `Invalid partition. Must be one of: ${slaveIds.join(', ')}.` 
             });
         }
 
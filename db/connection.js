@@ -12,32 +12,35 @@ const createConfig = (host, port, user, password, database) => ({
   queueLimit: Number(process.env.DB_QUEUE_LIMIT) || 0
 });
 
-const node0Pool = mysql.createPool(createConfig(
-  process.env.NODE0_HOST,
-  process.env.NODE0_PORT,
-  process.env.NODE0_USER,
-  process.env.NODE0_PASSWORD,
-  process.env.NODE0_DB
-));
-
-const node1Pool = mysql.createPool(createConfig(
-  process.env.NODE1_HOST,
-  process.env.NODE1_PORT,
-  process.env.NODE1_USER,
-  process.env.NODE1_PASSWORD,
-  process.env.NODE1_DB
-));
+// Node definitions from NODE<n>_* blocks in the environment.
+// NODE0..NODE2 are the standard topology; NODE3 and up add extra nodes.
+// NODE<n>_ROLE overrides the default role (node 0 = master, others = slave).
+const readEnvNodes = () => {
+  const nodes = [];
+  for (let i = 0; process.env[`NODE${i}_HOST`] || i <= 2; i++) {
+    nodes.push({
+      id: i,
+      role: process.env[`NODE${i}_ROLE`] || (i === 0 ? 'master' : 'slave'),
+      host: process.env[`NODE${i}_HOST`],
+      port: process.env[`NODE${i}_PORT`],
+      user: process.env[`NODE${i}_USER`],
+      password: process.env[`NODE${i}_PASSWORD`],
+      database: process.env[`NODE${i}_DB`]
+    });
+  }
+  return nodes;
+};
 
-const node2Pool = mysql.createPool(createConfig(
-  process.env.NODE2_HOST,
-  process.env.NODE2_PORT,
-  process.env.NODE2_USER,
-  process.env.NODE2_PASSWORD,
-  process.env.NODE2_DB
+const createPool = (node) => mysql.createPool(createConfig(
+  node.host,
+  node.port,
+  node.user,
+  node.password,
+  node.database
 ));
 
 module.exports = {
-  node0: node0Pool,
-  node1: node1Pool,
-  node2: node2Pool
-};
\ No newline at end of file
+  createConfig,
+  createPool,
+  readEnvNodes
+};
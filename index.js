@@ -2,17 +2,26 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
-const { node0, node1, node2 } = require('./db/connection');
 const db_service = require('./models/db_service'); 
+const db_access = require('./models/db_access');
 const db_router = require('./models/db_router');
+const node_registry = require('./models/node_registry');
 const failureController = require('./controller/failureController');
+const rebalancer = require('./models/rebalancer');
+const failover_manager = require('./models/failover_manager');
+const read_consistency = require('./models/read_consistency');
+const idempotency = require('./models/idempotency');
+const scenario_runner = require('./models/scenario_runner');
+const lock_monitor = require('./models/lock_monitor');
+const deadlock_detector = require('./models/deadlock_detector');
+const batch_transaction = require('./models/batch_transaction');
 const exphbs = require('express-handlebars');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag', 'X-Session-Token', 'X-Causality-Token', 'X-Read-Consistency', 'X-Served-By', 'Idempotent-Replayed'] }));
 app.use(bodyParser.json());
 app.use(express.static('public', { index: false }));
 app.use(express.static(path.join(__dirname, "public")));
@@ -48,7 +57,7 @@ app.get('/api/debug', async (req, res) => {
         };
 
         // Test each node connection with timeout
-        for (let i = 0; i <= 2; i++) {
+        for (const i of node_registry.getNodeIds()) {
             try {
                 const pool = db_router.getNodeById(i);
                 const conn = await Promise.race([
@@ -80,11 +89,62 @@ app.get('/api/debug', async (req, res) => {
 //  PART 1: DISTRIBUTED TRANSACTION ENDPOINTS
 // ==========================================
 
+// Tokens handed back from writes:
+//   session token   - the write's changes are recorded under the client's
+//                     X-Session-Token (a new session if it has none)
+//   causality token - the write's change log position, for ?after= on reads
+const attachTokens = (req, res, result) => {
+    const token = read_consistency.recordWrite(req.get('X-Session-Token'), result.changes);
+    res.set('X-Session-Token', token);
+    result.sessionToken = token;
+
+    const causalityToken = read_consistency.formatCausalityToken(result.changes);
+    if (causalityToken) {
+        res.set('X-Causality-Token', causalityToken);
+        result.causalityToken = causalityToken;
+    }
+    return result;
+};
+
+// ETags carry the row version: "v<version>"
+const formatEtag = (version) => `"v${version}"`;
+
+// If-Match → null (absent), '*' (any existing row) or the expected version.
+// ETags this API did not issue (e.g. weak ones) can never match: -1.
+const parseIfMatch = (header) => {
+    if (!header) return null;
+    const value = header.trim();
+    if (value === '*') return '*';
+    const match = value.match(/^"v(\d+)"$/);
+    return match ? Number(match[1]) : -1;
+};
+
+// ?lock=wait|nowait|skip_locked&lockTimeout=N → lock policy for the write's row locks
+// (null: wait for the server's innodb_lock_wait_timeout). Throws INVALID_LOCK_POLICY.
+const parseLockPolicy = (req) => db_access.parseLockPolicy({ lock: req.query.lock, lockTimeout: req.query.lockTimeout });
+
+// Lock contention → 423 (lock not acquired under the policy) or 409 (lost to another
+// transaction), as classified by db_service.classifyError. Returns false for other errors.
+// `attempts` counts the automatic retries already spent (see models/retry_policy.js).
+const sendLockContention = (res, error) => {
+    const { type, code, httpStatus } = db_service.classifyError(error);
+    if (!httpStatus) return false;
+    res.status(httpStatus).json({
+        success: false,
+        error: error.message,
+        code,
+        retryable: type === 'RETRYABLE',
+        attempts: error.attempts || 1,
+        retryStopped: error.retryStopped || null
+    });
+    return true;
+};
+
 // GET USERS (with optional limit for dashboard preview)
 app.get('/api/users', async (req, res) => {
     try {
         const limit = parseInt(req.query.limit) || 10;
-        const centralPool = require('./db/connection').node0;
+        const centralPool = db_router.getMasterNode();
         const conn = await centralPool.getConnection();
         const [rows] = await conn.query('SELECT * FROM users ORDER BY id DESC LIMIT ?', [limit]);
         conn.release();
@@ -96,14 +156,33 @@ app.get('/api/users', async (req, res) => {
 });
 
 // 1. CREATE USER
+// Idempotency-Key: a retry with the same key and body gets the original response
+// (Idempotent-Replayed: true) instead of creating a second user
+// ?lock=nowait / ?lockTimeout=N: how long to wait for the ID lock (423 if not acquired)
 app.post('/api/users', async (req, res) => {
+    const idempotencyKey = req.get('Idempotency-Key') || null;
+    if (idempotencyKey && idempotencyKey.length > idempotency.MAX_KEY_LENGTH) {
+        return res.status(400).json({ error: `Idempotency-Key must be at most ${idempotency.MAX_KEY_LENGTH} characters.` });
+    }
+
     try {
         console.log('[API] Creating user:', req.body);
         const NODE_STATE = failureController.getNodeState();
-        const result = await db_service.createUser(req.body, NODE_STATE);
+        const result = await db_service.createUser(req.body, NODE_STATE, idempotencyKey, parseLockPolicy(req));
         console.log('[API] Create result:', result);
-        res.json(result);
+        if (result.idempotentReplay) res.set('Idempotent-Replayed', 'true');
+        res.json(attachTokens(req, res, result));
     } catch (error) {
+        if (error.code === 'IDEMPOTENCY_KEY_MISMATCH') {
+            return res.status(422).json({ success: false, error: error.message });
+        }
+        if (error.code === 'IDEMPOTENCY_KEY_IN_USE') {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        if (error.code === 'INVALID_LOCK_POLICY') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (sendLockContention(res, error)) return;
         console.error('[API] Create user error:', error);
         res.status(500).json({ 
             success: false,
@@ -114,20 +193,37 @@ app.post('/api/users', async (req, res) => {
 });
 
 // 2. GET USER (By ID or Country)
+// ?consistency=strong|bounded|eventual|read-your-writes (&maxLagSeconds=N for bounded)
+// Defaults: strong for id, bounded for country. read-your-writes needs X-Session-Token.
+// ?after=<causality token> (or X-Causality-Token) only lets a Slave answer once it has applied that write.
 app.get('/api/users/search', async (req, res) => {
     const { id, country } = req.query;
-    console.log(`[API] Search Request - ID: ${id}, Country: ${country}`);
+    console.log(`[API] Search Request - ID: ${id}, Country: ${country}, Consistency: ${req.query.consistency || 'default'}`);
+
+    let options;
+    try {
+        options = read_consistency.parseOptions(req.query, {
+            sessionToken: req.get('X-Session-Token'),
+            causalityToken: req.get('X-Causality-Token')
+        }, id ? 'strong' : 'bounded');
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
     try {
         if (id) {
-            // Strategy 1: Central Lookup
-            const user = await db_service.getUserById(id);
-            if (!user) return res.status(404).json({ error: "User not found" });
-            res.json(user);
+            // Strategy 1: Central Lookup (or Slaves, if the consistency level allows)
+            const read = await db_service.readUserById(id, options);
+            res.set({ 'X-Read-Consistency': read.level, 'X-Served-By': String(read.servedBy) });
+            if (!read.row) return res.status(404).json({ error: "User not found" });
+            if (read.row.version !== undefined) res.set('ETag', formatEtag(read.row.version));
+            res.json(read.row);
         } else if (country) {
             // Strategy 2: Partition Lookup
-            const users = await db_service.getUsersByCountry(country);
-            console.log(`[API] Found ${users.length} users for country ${country}`);
-            res.json(users);
+            const read = await db_service.readUsersByCountry(country, options);
+            res.set({ 'X-Read-Consistency': read.level, 'X-Served-By': String(read.servedBy) });
+            console.log(`[API] Found ${read.rows.length} users for country ${country} on node ${read.servedBy}`);
+            res.json(read.rows);
         } else {
             res.status(400).json({ error: "Please provide 'id' or 'country'" });
         }
@@ -138,37 +234,150 @@ app.get('/api/users/search', async (req, res) => {
 });
 
 // 3. UPDATE USER
+// Body may carry `version` for optimistic locking: 409 if the row has changed since.
+// If-Match (ETag from search?id=) does the same check but answers 412; it wins over `version`.
+// ?lock=nowait|skip_locked / ?lockTimeout=N: lock policy for the row locks (423 if not acquired)
 app.put('/api/users/:id', async (req, res) => {
+    const ifMatch = parseIfMatch(req.get('If-Match'));
     try {
-        const result = await db_service.updateUser(req.params.id, req.body);
-        res.json(result);
+        const NODE_STATE = failureController.getNodeState();
+        const data = { ...req.body };
+        if (typeof ifMatch === 'number') data.version = ifMatch;
+        const result = await db_service.updateUser(req.params.id, data, NODE_STATE, parseLockPolicy(req));
+        if (result.version !== undefined) res.set('ETag', formatEtag(result.version));
+        res.json(attachTokens(req, res, result));
     } catch (error) {
+        if (ifMatch !== null && (error.code === 'VERSION_CONFLICT' || error.code === 'USER_NOT_FOUND')) {
+            return res.status(412).json({
+                error: `Precondition failed: ${error.message}`,
+                currentVersion: error.currentVersion !== undefined ? error.currentVersion : null
+            });
+        }
+        if (error.code === 'VERSION_CONFLICT') {
+            return res.status(409).json({
+                error: error.message,
+                expectedVersion: error.expectedVersion,
+                currentVersion: error.currentVersion
+            });
+        }
+        if (error.code === 'INVALID_VERSION' || error.code === 'INVALID_LOCK_POLICY') {
+            return res.status(400).json({ error: error.message });
+        }
+        if (sendLockContention(res, error)) return;
         res.status(500).json({ error: error.message });
     }
 });
 
 // 4. DELETE USER
+// If-Match (ETag from search?id=) makes the delete conditional: 412 if the row changed or is gone
+// ?lock=nowait|skip_locked / ?lockTimeout=N: lock policy for the row locks (423 if not acquired)
 app.delete('/api/users/:id', async (req, res) => {
+    const ifMatch = parseIfMatch(req.get('If-Match'));
     try {
         const { country } = req.query;
-        const result = await db_service.deleteUser(req.params.id, country);
-        res.json(result);
+        const NODE_STATE = failureController.getNodeState();
+        const result = await db_service.deleteUser(req.params.id, country, NODE_STATE, ifMatch, parseLockPolicy(req));
+        res.json(attachTokens(req, res, result));
     } catch (error) {
+        if (ifMatch !== null && (error.code === 'VERSION_CONFLICT' || error.code === 'USER_NOT_FOUND')) {
+            return res.status(412).json({
+                error: `Precondition failed: ${error.message}`,
+                currentVersion: error.currentVersion !== undefined ? error.currentVersion : null
+            });
+        }
+        if (error.code === 'INVALID_LOCK_POLICY') {
+            return res.status(400).json({ error: error.message });
+        }
+        if (sendLockContention(res, error)) return;
         res.status(500).json({ error: error.message });
     }
 });
 
+// 5. MULTI-OPERATION TRANSACTION
+// Body: { isolation?, operations: [{ op: 'create', data }, { op: 'update', id, data, version? }, { op: 'delete', id, version? }] }
+// All operations commit together under one global 2PC, or none do. ?lock= / ?lockTimeout= as for single writes.
+// Abort: { aborted: true, xid, failedOperation (index, null if not tied to one), reason, code }
+app.post('/api/transactions', async (req, res) => {
+    try {
+        const NODE_STATE = failureController.getNodeState();
+        const result = await batch_transaction.run(req.body, NODE_STATE, parseLockPolicy(req));
+        res.json(attachTokens(req, res, result));
+    } catch (error) {
+        if (error.code === 'INVALID_TRANSACTION' || error.code === 'INVALID_LOCK_POLICY') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('[API] Transaction aborted:', error.message);
+        const { type, code, httpStatus } = db_service.classifyError(error);
+        res.status(httpStatus || (error.code === 'USER_NOT_FOUND' ? 404 : 500)).json({
+            success: false,
+            aborted: true,
+            xid: error.xid || null,
+            failedOperation: error.operationIndex !== undefined ? error.operationIndex : null,
+            reason: error.message,
+            code,
+            retryable: type === 'RETRYABLE',
+            attempts: error.attempts || 1
+        });
+    }
+});
+
 // SIMULATION ENDPOINT
 app.post('/api/simulate', async (req, res) => {
     try {
-        // req.body contains { id, type, isolation, sleepTime, updateText }
+        // req.body contains { id, type, isolation, sleepTime, updateText, locking, country, label, lockPolicy, lockTimeout }
+        // type: READ, WRITE, RANGE_READ, RANGE_LOCK or RANGE_INSERT
+        // A run that failed on lock contention answers 409/423 (see classifyError), with its logs
         const result = await db_service.simulateTransaction(req.body);
-        res.json(result);
+        res.status(result.httpStatus || 200).json(result);
+    } catch (error) {
+        if (error.code === 'INVALID_LOCK_POLICY') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// LOCK GRAPH: InnoDB waits-for graph across all nodes, plus each node's latest deadlock
+// and the distributed deadlock detector's state (polled by the concurrency panel while a simulation runs)
+app.get('/api/locks', async (req, res) => {
+    try {
+        res.json({ ...await lock_monitor.getGraph(), distributed: deadlock_detector.getStatus() });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// DISTRIBUTED DEADLOCKS: global waits-for graph of the last check and recent victims
+app.get('/api/locks/distributed', (req, res) => {
+    res.json(deadlock_detector.getStatus());
+});
+
+// SCENARIO RUNNER: scripted, interleaved transactions with anomaly detection
+app.get('/api/scenarios', (req, res) => {
+    res.json({ isolationLevels: scenario_runner.ISOLATION_LEVELS, presets: scenario_runner.listPresets() });
+});
+
+// Body: a scenario script, or { preset: '<name>', isolation?: '<level>' } to run a preset
+app.post('/api/scenarios/run', async (req, res) => {
+    try {
+        const body = req.body || {};
+        let script = body;
+        if (body.preset) {
+            const preset = Object.prototype.hasOwnProperty.call(scenario_runner.PRESETS, body.preset)
+                ? scenario_runner.PRESETS[body.preset]
+                : null;
+            if (!preset) return res.status(404).json({ error: `Unknown preset '${body.preset}'.` });
+            script = { ...preset, isolation: body.isolation || preset.isolation };
+        }
+
+        res.json(await scenario_runner.run(script));
+    } catch (error) {
+        if (error.code === 'INVALID_SCENARIO') return res.status(400).json({ error: error.message });
+        if (error.code === 'SCENARIO_RUNNING') return res.status(409).json({ error: error.message });
+        res.status(500).json({ error: error.message });
+    }
+});
+
 
 
 // ==========================================
@@ -177,122 +386,81 @@ app.post('/api/simulate', async (req, res) => {
 
 // Health check - Test all nodes with row counts
 app.get('/api/health', async (req, res) => {
-  const results = {
-    node0: { port: process.env.NODE0_PORT || 60826, status: 'unknown' },
-    node1: { port: process.env.NODE1_PORT || 60827, status: 'unknown' },
-    node2: { port: process.env.NODE2_PORT || 60828, status: 'unknown' }
-  };
-
-  // Test Node 0
-  try {
-    const [info] = await node0.query('SELECT DATABASE() as db, VERSION() as version');
-    const [tables] = await node0.query('SHOW TABLES');
-    
-    // Prioritize 'users' table
-    let tableName = null;
-    const hasUsersLowercase = tables.some(t => Object.values(t)[0] === 'users');
-    if (hasUsersLowercase) {
-        tableName = 'users';
-    } else {
-        tableName = tables.length > 0 ? Object.values(tables[0])[0] : null;
-    }
-    
-    let rowCount = 0;
-    if (tableName) {
-      // Use MAX(id) instead of COUNT(*) as per user request for Dashboard
-      const [res] = await node0.query(`SELECT MAX(id) as maxId FROM ${tableName}`);
-      rowCount = res[0].maxId || 0;
-    }
-    
-    results.node0.status = 'connected';
-    results.node0.database = info[0].db;
-    results.node0.version = info[0].version;
-    results.node0.table = tableName;
-    results.node0.rowCount = rowCount;
-  } catch (error) {
-    results.node0.status = 'failed';
-    results.node0.error = error.message;
-  }
+  const results = {};
 
-  // Test Node 1
-  try {
-    const [info] = await node1.query('SELECT DATABASE() as db, VERSION() as version');
-    const [tables] = await node1.query('SHOW TABLES');
-    
-    // Prioritize 'users' table
-    let tableName = null;
-    const hasUsersLowercase = tables.some(t => Object.values(t)[0] === 'users');
-    if (hasUsersLowercase) {
-        tableName = 'users';
-    } else {
-        tableName = tables.length > 0 ? Object.values(tables[0])[0] : null;
-    }
-    
-    let rowCount = 0;
-    if (tableName) {
-      const [count] = await node1.query(`SELECT COUNT(*) as count FROM ${tableName}`);
-      rowCount = count[0].count;
-    }
-    
-    results.node1.status = 'connected';
-    results.node1.database = info[0].db;
-    results.node1.version = info[0].version;
-    results.node1.table = tableName;
-    results.node1.rowCount = rowCount;
-  } catch (error) {
-    results.node1.status = 'failed';
-    results.node1.error = error.message;
-  }
+  for (const nodeId of node_registry.getNodeIds()) {
+    const node = node_registry.getNode(nodeId);
+    const result = { port: node.port ? Number(node.port) : null, role: node.role, status: 'unknown' };
+    results[`node${nodeId}`] = result;
 
-  // Test Node 2
-  try {
-    const [info] = await node2.query('SELECT DATABASE() as db, VERSION() as version');
-    const [tables] = await node2.query('SHOW TABLES');
-    
-    // Prioritize 'users' table
-    let tableName = null;
-    const hasUsersLowercase = tables.some(t => Object.values(t)[0] === 'users');
-    if (hasUsersLowercase) {
-        tableName = 'users';
-    } else {
-        tableName = tables.length > 0 ? Object.values(tables[0])[0] : null;
-    }
-    
-    let rowCount = 0;
-    if (tableName) {
-      const [count] = await node2.query(`SELECT COUNT(*) as count FROM ${tableName}`);
-      rowCount = count[0].count;
+    try {
+      const pool = node_registry.getPool(nodeId);
+      const [info] = await pool.query('SELECT DATABASE() as db, VERSION() as version');
+      const [tables] = await pool.query('SHOW TABLES');
+      
+      // Prioritize 'users' table
+      let tableName = null;
+      const hasUsersLowercase = tables.some(t => Object.values(t)[0] === 'users');
+      if (hasUsersLowercase) {
+          tableName = 'users';
+      } else {
+          tableName = tables.length > 0 ? Object.values(tables[0])[0] : null;
+      }
+      
+      let rowCount = 0;
+      if (tableName) {
+        if (node.role === 'master') {
+          // Use MAX(id) instead of COUNT(*) as per user request for Dashboard
+          const [res] = await pool.query(`SELECT MAX(id) as maxId FROM ${tableName}`);
+          rowCount = res[0].maxId || 0;
+        } else {
+          const [count] = await pool.query(`SELECT COUNT(*) as count FROM ${tableName}`);
+          rowCount = count[0].count;
+        }
+      }
+      
+      result.status = 'connected';
+      result.database = info[0].db;
+      result.version = info[0].version;
+      result.table = tableName;
+      result.rowCount = rowCount;
+    } catch (error) {
+      result.status = 'failed';
+      result.error = error.message;
     }
-    
-    results.node2.status = 'connected';
-    results.node2.database = info[0].db;
-    results.node2.version = info[0].version;
-    results.node2.table = tableName;
-    results.node2.rowCount = rowCount;
-  } catch (error) {
-    results.node2.status = 'failed';
-    results.node2.error = error.message;
   }
 
   res.json(results);
 });
 
+// The /api/node/:id endpoints number nodes from 1 (Node 1 = registry node 0)
+function getDisplayNode(displayId) {
+  const nodeId = displayId - 1;
+  if (!node_registry.hasNode(nodeId)) return null;
+  const node = node_registry.getNode(nodeId);
+  return {
+    pool: node_registry.getPool(nodeId),
+    port: node.port,
+    name: node.role === 'master' ? `Node ${displayId} (Central)` : `Node ${displayId} (Partition ${nodeId})`
+  };
+}
+
+function invalidDisplayNode(res) {
+  const ids = node_registry.getNodeIds().map(id => id + 1);
+  return res.status(400).json({ error: `Invalid node ID. Use ${ids.join(', ')}.` });
+}
+
 // Test specific node with detailed info
 app.get('/api/node/:id', async (req, res) => {
   const nodeId = parseInt(req.params.id);
+  const displayNode = getDisplayNode(nodeId);
   
-  const nodeMap = {
-    1: { pool: node0, port: process.env.NODE0_PORT, name: 'Node 1 (Central)' },
-    2: { pool: node1, port: process.env.NODE1_PORT, name: 'Node 2 (Partition 1)' },
-    3: { pool: node2, port: process.env.NODE2_PORT, name: 'Node 3 (Partition 2)' }
-  };
-  
-  if (!nodeMap[nodeId]) {
-    return res.status(400).json({ error: 'Invalid node ID. Use 1, 2, or 3.' });
+  if (!displayNode) {
+    return invalidDisplayNode(res);
   }
 
   try {
-    const pool = nodeMap[nodeId].pool;
+    const pool = displayNode.pool;
     const [info] = await pool.query('SELECT DATABASE() as db, VERSION() as version');
     const [tables] = await pool.query('SHOW TABLES');
     
@@ -317,8 +485,8 @@ app.get('/api/node/:id', async (req, res) => {
     
     res.json({
       node: nodeId,
-      name: nodeMap[nodeId].name,
-      port: nodeMap[nodeId].port,
+      name: displayNode.name,
+      port: displayNode.port,
       status: 'connected',
       database: info[0].db,
       version: info[0].version,
@@ -329,8 +497,8 @@ app.get('/api/node/:id', async (req, res) => {
   } catch (error) {
     res.status(500).json({
       node: nodeId,
-      name: nodeMap[nodeId].name,
-      port: nodeMap[nodeId].port,
+      name: displayNode.name,
+      port: displayNode.port,
       status: 'failed',
       error: error.message,
       code: error.code
@@ -346,18 +514,14 @@ app.get('/api/node/:id/data', async (req, res) => {
   
   console.log(`[API] Fetching data for Node ${nodeId} | Limit: ${limit} | Offset: ${offset}`);
 
-  const nodeMap = {
-    1: { pool: node0, name: 'Node 1 (Central)' },
-    2: { pool: node1, name: 'Node 2 (Partition 1)' },
-    3: { pool: node2, name: 'Node 3 (Partition 2)' }
-  };
+  const displayNode = getDisplayNode(nodeId);
   
-  if (!nodeMap[nodeId]) {
-    return res.status(400).json({ error: 'Invalid node ID. Use 1, 2, or 3.' });
+  if (!displayNode) {
+    return invalidDisplayNode(res);
   }
 
   try {
-    const pool = nodeMap[nodeId].pool;
+    const pool = displayNode.pool;
     const [tables] = await pool.query('SHOW TABLES');
     
     // Prioritize 'users' table (lowercase)
@@ -393,7 +557,7 @@ app.get('/api/node/:id/data', async (req, res) => {
 
     res.json({
       node: nodeId,
-      name: nodeMap[nodeId].name,
+      name: displayNode.name,
       table: tableName,
       totalRows: count[0].count,
       showing: data.length,
@@ -410,18 +574,14 @@ app.get('/api/node/:id/count', async (req, res) => {
   const nodeId = parseInt(req.params.id);
   const tableName = req.query.table;
   
-  const nodeMap = {
-    1: { pool: node0, name: 'Node 1 (Central)' },
-    2: { pool: node1, name: 'Node 2 (Partition 1)' },
-    3: { pool: node2, name: 'Node 3 (Partition 2)' }
-  };
+  const displayNode = getDisplayNode(nodeId);
   
-  if (!nodeMap[nodeId]) {
-    return res.status(400).json({ error: 'Invalid node ID. Use 1, 2, or 3.' });
+  if (!displayNode) {
+    return invalidDisplayNode(res);
   }
 
   try {
-    const pool = nodeMap[nodeId].pool;
+    const pool = displayNode.pool;
     let table = tableName;
     if (!table) {
       const [tables] = await pool.query('SHOW TABLES');
@@ -435,7 +595,7 @@ app.get('/api/node/:id/count', async (req, res) => {
     const [count] = await pool.query(`SELECT COUNT(*) as count FROM ${table}`);
     res.json({
       node: nodeId,
-      name: nodeMap[nodeId].name,
+      name: displayNode.name,
       table: table,
       rowCount: count[0].count
     });
@@ -447,57 +607,34 @@ app.get('/api/node/:id/count', async (req, res) => {
 // Compare data across all nodes
 app.get('/api/compare', async (req, res) => {
   try {
-    const comparison = {
-      node1: { name: 'Node 1 (Central)', status: 'unknown' },
-      node2: { name: 'Node 2 (Partition 1)', status: 'unknown' },
-      node3: { name: 'Node 3 (Partition 2)', status: 'unknown' }
-    };
-
-    // Node 1
-    try {
-      const [tables1] = await node0.query('SHOW TABLES');
-      const table1 = tables1.length > 0 ? Object.values(tables1[0])[0] : null;
-      if (table1) {
-        const [count1] = await node0.query(`SELECT COUNT(*) as count FROM ${table1}`);
-        comparison.node1 = { ...comparison.node1, status: 'connected', table: table1, rowCount: count1[0].count };
-      }
-    } catch (error) {
-      comparison.node1.status = 'failed';
-      comparison.node1.error = error.message;
-    }
-
-    // Node 2
-    try {
-      const [tables2] = await node1.query('SHOW TABLES');
-      const table2 = tables2.length > 0 ? Object.values(tables2[0])[0] : null;
-      if (table2) {
-        const [count2] = await node1.query(`SELECT COUNT(*) as count FROM ${table2}`);
-        comparison.node2 = { ...comparison.node2, status: 'connected', table: table2, rowCount: count2[0].count };
-      }
-    } catch (error) {
-      comparison.node2.status = 'failed';
-      comparison.node2.error = error.message;
-    }
-
-    // Node 3
-    try {
-      const [tables3] = await node2.query('SHOW TABLES');
-      const table3 = tables3.length > 0 ? Object.values(tables3[0])[0] : null;
-      if (table3) {
-        const [count3] = await node2.query(`SELECT COUNT(*) as count FROM ${table3}`);
-        comparison.node3 = { ...comparison.node3, status: 'connected', table: table3, rowCount: count3[0].count };
+    const comparison = {};
+    const masterKey = `node${db_router.getMasterId() + 1}`;
+    const partitionKeys = db_router.getSlaveIds().map(id => `node${id + 1}`);
+
+    for (const nodeId of node_registry.getNodeIds()) {
+      const key = `node${nodeId + 1}`;
+      const displayNode = getDisplayNode(nodeId + 1);
+      comparison[key] = { name: displayNode.name, status: 'unknown' };
+
+      try {
+        const [tables] = await displayNode.pool.query('SHOW TABLES');
+        const table = tables.length > 0 ? Object.values(tables[0])[0] : null;
+        if (table) {
+          const [count] = await displayNode.pool.query(`SELECT COUNT(*) as count FROM ${table}`);
+          comparison[key] = { ...comparison[key], status: 'connected', table: table, rowCount: count[0].count };
+        }
+      } catch (error) {
+        comparison[key].status = 'failed';
+        comparison[key].error = error.message;
       }
-    } catch (error) {
-      comparison.node3.status = 'failed';
-      comparison.node3.error = error.message;
     }
 
     // Add validation
+    const nodeResults = Object.values(comparison);
     comparison.validation = {
-      allConnected: comparison.node1.status === 'connected' && 
-                    comparison.node2.status === 'connected' && 
-                    comparison.node3.status === 'connected',
-      partitionsMatch: (comparison.node2.rowCount + comparison.node3.rowCount) === comparison.node1.rowCount
+      allConnected: nodeResults.every(n => n.status === 'connected'),
+      partitionsMatch: partitionKeys.reduce((sum, key) => sum + ((comparison[key] && comparison[key].rowCount) || 0), 0) ===
+                       comparison[masterKey].rowCount
     };
 
     res.json(comparison);
@@ -515,8 +652,9 @@ app.get('/api/test-complete-flow', async (req, res) => {
 //RECOVERY
 app.use("/replication", require('./routes/db_cases'));
 app.use("/failure", require('./routes/failureRoutes'));
+app.use("/cluster", require('./routes/clusterRoutes'));
 
-app.listen(PORT, () => {
+app.listen(PORT, async () => {
   console.log(`\nServer running on http://localhost:${PORT}`);
   console.log(`Test: http://localhost:${PORT}/api/health\n`);
   console.log('Available endpoints:');
@@ -525,12 +663,32 @@ app.listen(PORT, () => {
   console.log('  GET /api/node/:id/data?limit=5 - Get sample data from node');
   console.log('  GET /api/compare - Compare data across all nodes');
   console.log('  POST /api/users - Create User');
-  console.log('  GET /api/users/search - Search User');
+  console.log('  GET /api/users/search - Search User (?consistency=strong|bounded|eventual|read-your-writes)');
   console.log('  PUT /api/users/:id - Update User');
-  console.log('  DELETE /api/users/:id - Delete User\n');
+  console.log('  DELETE /api/users/:id - Delete User');
+  console.log('  POST /cluster/rebalance - Move rows to a new partition map');
+  console.log('  GET /cluster/rebalance/status - Rebalance progress\n');
   
+  // Keep routing to a promoted Master across restarts
+  failover_manager.loadState();
+
+  // Finish any 2PC the coordinator decided but did not complete before a crash
+  const logRecovery = await db_service.recoverTransactionLog();
+  if (logRecovery.success) {
+    console.log(`✓ Coordinator log checked (${logRecovery.resolved}/${logRecovery.total} pending transactions resolved)\n`);
+  }
+
+  // Re-apply a flipped partition map and continue an interrupted rebalance
+  await rebalancer.resumeInterrupted();
+
   // Auto-start recovery monitor with 10-second interval
   const NODE_STATE = failureController.getNodeState();
   db_service.startRecoveryMonitor(10000, NODE_STATE);
   console.log('✓ Background Recovery Monitor started (10s interval)\n');
+
+  // Watch the Master for sustained outages (promotion is automatic only with FAILOVER_AUTO=true)
+  failover_manager.startMonitor(5000);
+
+  // Break lock cycles that span nodes (each node only sees its own half)
+  deadlock_detector.start();
 });
\ No newline at end of file
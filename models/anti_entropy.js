@@ -0,0 +1,322 @@
+// models/anti_entropy.js
+// =========================================================
+// ANTI-ENTROPY (Master ↔ Slave reconciliation)
+// =========================================================
+// Finds exactly which `users` rows differ between the Master and
+// each Slave, without shipping every row across the network:
+//
+//   1. CHECKSUM  Bucket rows by id (FLOOR(id / bucketSize)) and
+//                compute COUNT + BIT_XOR(CRC32(row)) per bucket, on
+//                the Master (only the countries the Slave owns) and
+//                on the Slave
+//   2. DRILL     For buckets whose checksums differ, fetch the rows
+//                from both sides and classify each id as missing
+//                (on Master only), extra (on Slave only) or
+//                mismatched (different field values)
+//   3. REPAIR    Optionally, fix the divergent ids from the Master:
+//                one XA transaction per bucket, with the Master rows
+//                locked FOR UPDATE so concurrent writes cannot race
+//                the repair. Repairs are logged in the change log like
+//                any other Slave write
+//
+// Writes still waiting in the recovery queue show up as divergence;
+// the report includes each Slave's pending queue size for context.
+// A Slave with queued writes is not repaired (repairDeferred): the
+// queue replays them after the repair and would undo it.
+// =========================================================
+
+const db_router = require('./db_router');
+const db_access = require('./db_access');
+const db_service = require('./db_service');
+const change_log = require('./change_log');
+
+// Columns compared between nodes (order matters for the checksum)
+const CHECKSUM_COLUMNS = ['id', 'firstname', 'lastname', 'city', 'country', 'createdAt', 'updatedAt', 'version'];
+
+class anti_entropy {
+
+    static DEFAULT_BUCKET_SIZE = 1000;
+
+    static lastReport = null;
+    static running = false;
+
+    // SQL expression hashing one row; NULLs are made explicit so they hash differently from ''
+    static rowHashSql() {
+        const columns = CHECKSUM_COLUMNS.map(c => `IFNULL(${c}, '<null>')`).join(', ');
+        return `CRC32(CONCAT_WS('|', ${columns}))`;
+    }
+
+    /**
+     * Countries (as stored on the Master) that the partition map assigns
+     * to a Slave.
+     */
+    static async getOwnedCountries(masterConn, slaveId) {
+        const [rows] = await masterConn.query('SELECT DISTINCT country FROM users');
+        return rows
+            .map(r => r.country)
+            .filter(country => country && db_router.getSlaveId(country) === slaveId);
+    }
+
+    /**
+     * Per-bucket { count, checksum } for a node.
+     *
+     * @param {Array<string>|null} countries - Restrict to these countries (Master side)
+     * @returns {Map<number, {count, checksum}>}
+     */
+    static async getBucketChecksums(conn, bucketSize, countries = null) {
+        if (countries && countries.length === 0) return new Map();
+
+        const where = countries ? 'WHERE country IN (?)' : '';
+        const [rows] = await conn.query(`
+            SELECT FLOOR(id / ?) AS bucket, COUNT(*) AS total, BIT_XOR(${anti_entropy.rowHashSql()}) AS checksum
+            FROM users
+            ${where}
+            GROUP BY bucket
+            ORDER BY bucket
+        `, countries ? [bucketSize, countries] : [bucketSize]);
+
+        const buckets = new Map();
+        rows.forEach(r => buckets.set(Number(r.bucket), { count: Number(r.total), checksum: String(r.checksum) }));
+        return buckets;
+    }
+
+    // Rows in one bucket, keyed by id and formatted for comparison
+    static async getBucketRows(conn, bucket, bucketSize, countries = null) {
+        const from = bucket * bucketSize;
+        const to = from + bucketSize - 1;
+        const where = countries ? 'AND country IN (?)' : '';
+        const params = countries ? [from, to, countries] : [from, to];
+
+        const [rows] = await conn.query(
+            `SELECT ${CHECKSUM_COLUMNS.join(', ')} FROM users WHERE id BETWEEN ? AND ? ${where} ORDER BY id`,
+            params
+        );
+
+        const byId = new Map();
+        rows.forEach(r => byId.set(r.id, db_service.toUserRow(r)));
+        return byId;
+    }
+
+    /**
+     * Classify the ids of one divergent bucket.
+     *
+     * @returns {Object} - { missing: [id], extra: [id], mismatched: [{ id, fields }] }
+     */
+    static diffRows(masterRows, slaveRows) {
+        const diff = { missing: [], extra: [], mismatched: [] };
+
+        for (const [id, masterRow] of masterRows) {
+            const slaveRow = slaveRows.get(id);
+            if (!slaveRow) {
+                diff.missing.push(id);
+                continue;
+            }
+            const fields = CHECKSUM_COLUMNS.filter(c => String(masterRow[c]) !== String(slaveRow[c]));
+            if (fields.length > 0) {
+                diff.mismatched.push({
+                    id,
+                    fields: fields.map(field => ({ field, master: masterRow[field], slave: slaveRow[field] }))
+                });
+            }
+        }
+        for (const id of slaveRows.keys()) {
+            if (!masterRows.has(id)) diff.extra.push(id);
+        }
+
+        return diff;
+    }
+
+    /**
+     * Compare one Slave with the Master.
+     *
+     * @param {Object} options - { bucketSize, repair }
+     */
+    static async checkSlave(slaveId, { bucketSize, repair }) {
+        const report = {
+            slaveId,
+            bucketsCompared: 0,
+            divergentBuckets: [],
+            missing: [],
+            extra: [],
+            mismatched: [],
+            repaired: 0,
+            repairDeferred: null,
+            pendingQueue: 0
+        };
+
+        let masterConn, slaveConn;
+        try {
+            masterConn = await db_service.connectWithTimeout(db_router.getMasterNode(), 3000);
+            slaveConn = await db_service.connectWithTimeout(db_router.getNodeById(slaveId), 3000);
+
+            const countries = await anti_entropy.getOwnedCountries(masterConn, slaveId);
+            const masterBuckets = await anti_entropy.getBucketChecksums(masterConn, bucketSize, countries);
+            const slaveBuckets = await anti_entropy.getBucketChecksums(slaveConn, bucketSize);
+
+            const allBuckets = [...new Set([...masterBuckets.keys(), ...slaveBuckets.keys()])].sort((a, b) => a - b);
+            report.bucketsCompared = allBuckets.length;
+
+            for (const bucket of allBuckets) {
+                const m = masterBuckets.get(bucket);
+                const s = slaveBuckets.get(bucket);
+                if (m && s && m.count === s.count && m.checksum === s.checksum) continue;
+
+                const masterRows = await anti_entropy.getBucketRows(masterConn, bucket, bucketSize, countries);
+                const slaveRows = await anti_entropy.getBucketRows(slaveConn, bucket, bucketSize);
+                const diff = anti_entropy.diffRows(masterRows, slaveRows);
+
+                report.divergentBuckets.push({
+                    bucket,
+                    idRange: [bucket * bucketSize, (bucket + 1) * bucketSize - 1],
+                    master: m || { count: 0, checksum: null },
+                    slave: s || { count: 0, checksum: null }
+                });
+                report.missing.push(...diff.missing);
+                report.extra.push(...diff.extra);
+                report.mismatched.push(...diff.mismatched);
+
+                const ids = [...diff.missing, ...diff.extra, ...diff.mismatched.map(d => d.id)];
+                if (repair && !report.repairDeferred && ids.length > 0) {
+                    try {
+                        report.repaired += await anti_entropy.repairRows(slaveId, ids);
+                    } catch (err) {
+                        if (err.code !== 'REPLICATION_BACKLOG') throw err;
+                        report.repairDeferred = err.message;
+                    }
+                }
+            }
+        } finally {
+            if (masterConn) masterConn.release();
+            if (slaveConn) slaveConn.release();
+        }
+
+        try {
+            const queueStatus = await db_service.getPersistentQueueStatus();
+            report.pendingQueue = queueStatus[slaveId] || 0;
+        } catch (e) { /* ignore */ }
+
+        report.consistent = report.missing.length === 0 && report.extra.length === 0 && report.mismatched.length === 0;
+        return report;
+    }
+
+    /**
+     * Make a Slave's copy of the given ids match the Master, in one XA
+     * transaction. Rows the Slave should not hold (deleted, or owned by
+     * another Slave) are removed; the rest are rewritten from the Master.
+     * Fails with REPLICATION_BACKLOG while the Slave has queued writes.
+     *
+     * @returns {number} - Rows repaired
+     */
+    static async repairRows(slaveId, ids) {
+        const xid = db_service.generateXid('repair');
+        const participants = [];
+        let masterConn, slaveConn;
+
+        try {
+            masterConn = await db_router.getMasterNode().getConnection();
+            await db_access.setIsolationLevel(masterConn, db_access.DEFAULT_ISOLATION);
+            await db_service.xaBegin(masterConn, xid, db_router.getMasterId(), participants);
+
+            // Same lock order as create/update/delete: Master rows first
+            const masterRows = await db_access.lockRowsExclusive(masterConn, 'users', ids);
+            const owned = new Map(masterRows
+                .filter(r => db_router.getSlaveId(r.country) === slaveId)
+                .map(r => [r.id, db_service.toUserRow(r)]));
+
+            await change_log.lockSlave(masterConn, slaveId);
+            if (await db_service.hasQueuedWrites(slaveId)) {
+                throw db_service.backlogError(slaveId);
+            }
+
+            // Each id is deleted, then rewritten if the Slave owns it
+            const changes = [];
+            for (const id of ids) {
+                changes.push({ userId: id, operation: 'DELETE', sql: 'DELETE FROM users WHERE id = ?', params: [id] });
+                if (owned.has(id)) {
+                    const row = owned.get(id);
+                    const columns = Object.keys(row);
+                    changes.push({
+                        userId: id,
+                        operation: 'INSERT',
+                        sql: `INSERT INTO users (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                        params: Object.values(row),
+                        row
+                    });
+                }
+            }
+            for (const change of changes) {
+                change.seq = await change_log.append(masterConn, {
+                    xid, slaveId, userId: change.userId, operation: change.operation, sql: change.sql, params: change.params
+                });
+            }
+
+            slaveConn = await db_service.joinSlave(db_router.getNodeById(slaveId), slaveId, xid, participants);
+            await db_access.lockRowsExclusive(slaveConn, 'users', ids);
+
+            for (const change of changes) {
+                if (change.operation === 'DELETE') {
+                    await db_access.deleteUser(slaveConn, change.userId);
+                } else {
+                    await db_access.insertUser(slaveConn, change.row);
+                }
+            }
+            await change_log.markApplied(slaveConn, slaveId, changes[changes.length - 1].seq);
+
+            await db_service.xaCommitDistributed(xid, 'repair', participants);
+            console.log(`[Anti-Entropy] Slave ${slaveId}: ${ids.length} row(s) repaired from Master (${xid})`);
+            return ids.length;
+        } catch (err) {
+            console.error(`[Anti-Entropy] Repair on Slave ${slaveId} failed: ${err.message}`);
+            await db_service.xaAbortDistributed(xid, 'repair', participants);
+            throw err;
+        } finally {
+            if (masterConn) masterConn.release();
+            if (slaveConn) slaveConn.release();
+        }
+    }
+
+    /**
+     * Run a reconciliation pass over every Slave (or just one).
+     *
+     * @param {Object} options - { bucketSize, repair, slaveId }
+     * @returns {Object} - { success, consistent, startedAt, finishedAt, slaves: [report] }
+     */
+    static async run({ bucketSize = anti_entropy.DEFAULT_BUCKET_SIZE, repair = false, slaveId = null } = {}) {
+        if (anti_entropy.running) {
+            return { success: false, message: "A reconciliation pass is already running." };
+        }
+
+        anti_entropy.running = true;
+        const result = {
+            success: true,
+            repair,
+            bucketSize,
+            startedAt: new Date().toISOString(),
+            slaves: []
+        };
+        console.log(`[Anti-Entropy] Pass started (bucket size ${bucketSize}, repair ${repair ? 'ON' : 'OFF'})`);
+
+        try {
+            const slaveIds = slaveId !== null ? [slaveId] : db_router.getSlaveIds();
+            for (const id of slaveIds) {
+                try {
+                    const report = await anti_entropy.checkSlave(id, { bucketSize, repair });
+                    result.slaves.push(report);
+                    console.log(`[Anti-Entropy] Slave ${id}: ${report.missing.length} missing, ${report.extra.length} extra, ${report.mismatched.length} mismatched`);
+                } catch (err) {
+                    console.error(`[Anti-Entropy] Slave ${id} check failed: ${err.message}`);
+                    result.slaves.push({ slaveId: id, error: err.message });
+                }
+            }
+        } finally {
+            anti_entropy.running = false;
+        }
+
+        result.consistent = result.slaves.every(s => s.consistent);
+        result.finishedAt = new Date().toISOString();
+        anti_entropy.lastReport = result;
+        return result;
+    }
+}
+
+module.exports = anti_entropy;
@@ -0,0 +1,374 @@
+// models/batch_transaction.js
+// =========================================================
+// MULTI-OPERATION TRANSACTIONS (POST /api/transactions)
+// =========================================================
+// An ordered list of create / update / delete operations on users,
+// run as ONE global XA transaction under one isolation level:
+//
+//   1. VALIDATE  The whole list is checked before anything is touched
+//   2. MASTER    Every operation runs on the Master branch, in order,
+//                locking its row (create: the ID sequence) first, so
+//                later operations see earlier ones. Each one records its
+//                Slave writes, routed by db_router: a country change
+//                across partitions is a DELETE on the old Slave and an
+//                INSERT on the new one. Once all have run, the writes
+//                are logged in change_log, in operation order
+//   3. SLAVES    The Slave writes are grouped by Slave; each Slave
+//                joins the transaction with one branch and applies its
+//                writes in operation order
+//   4. COMMIT    db_service.xaCommitDistributed: XA PREPARE everywhere,
+//                log the decision, XA COMMIT
+//
+// Locks are taken Master rows first, then the Slaves' change log
+// locks (ascending Slave id), then Slaves - the same order as the
+// single-row writes. Any operation failing aborts the whole
+// transaction; the error names the operation (`operationIndex`).
+//
+// A Slave that is offline, unreachable or behind on its queue is
+// left out exactly as in a single-row write: its writes are queued,
+// in order, in the Master branch, and commit with the rest.
+// =========================================================
+
+const db_router = require('./db_router');
+const db_access = require('./db_access');
+const db_service = require('./db_service');
+const change_log = require('./change_log');
+const deadlock_detector = require('./deadlock_detector');
+
+const OPERATIONS = ['create', 'update', 'delete'];
+const MAX_OPERATIONS = 100;
+
+// API field → users column
+const COLUMNS = { firstName: 'firstname', lastName: 'lastname', city: 'city', country: 'country' };
+
+const invalid = (message) => {
+    const err = new Error(message);
+    err.code = 'INVALID_TRANSACTION';
+    return err;
+};
+
+const notFound = (id) => {
+    const err = new Error(`User with ID ${id} not found.`);
+    err.code = 'USER_NOT_FOUND';
+    return err;
+};
+
+class batch_transaction {
+
+    static OPERATIONS = OPERATIONS;
+    static MAX_OPERATIONS = MAX_OPERATIONS;
+
+    /**
+     * Check and normalize a request body.
+     *
+     * @param {Object} body - { isolation?, operations: [{ op, id?, data?, version? }] }
+     * @returns {Object} - { isolation, operations: [{ index, op, id, columns, version }] }
+     * @throws {Error} - INVALID_TRANSACTION describing the first problem found
+     */
+    static validate(body) {
+        if (!body || typeof body !== 'object') throw invalid('Request body must be an object.');
+
+        if (body.isolation !== undefined && body.isolation !== null && typeof body.isolation !== 'string') {
+            throw invalid('isolation must be a string.');
+        }
+        const isolation = (body.isolation || db_access.DEFAULT_ISOLATION).toUpperCase();
+        if (!db_access.ISOLATION_LEVELS.includes(isolation)) {
+            throw invalid(`Invalid isolation '${body.isolation}'. Must be one of: ${db_access.ISOLATION_LEVELS.join(', ')}.`);
+        }
+
+        const list = body.operations;
+        if (!Array.isArray(list) || list.length === 0 || list.length > MAX_OPERATIONS) {
+            throw invalid(`operations must list between 1 and ${MAX_OPERATIONS} operations.`);
+        }
+
+        const operations = list.map((entry, index) => {
+            const where = `Operation ${index}`;
+            if (!entry || typeof entry !== 'object') throw invalid(`${where} must be an object.`);
+
+            const op = String(entry.op || '').toLowerCase();
+            if (!OPERATIONS.includes(op)) {
+                throw invalid(`${where}: op must be one of: ${OPERATIONS.join(', ')}.`);
+            }
+
+            let id = null;
+            if (op !== 'create') {
+                id = Number(entry.id);
+                if (!Number.isInteger(id) || id < 1) throw invalid(`${where}: ${op} needs a positive integer id.`);
+            }
+
+            let version = null;
+            if (entry.version !== undefined && entry.version !== null && entry.version !== '') {
+                if (op === 'create') throw invalid(`${where}: create does not take a version.`);
+                version = Number(entry.version);
+                if (!Number.isInteger(version)) throw invalid(`${where}: version must be an integer.`);
+            }
+
+            const columns = {};
+            if (op !== 'delete') {
+                const data = entry.data || {};
+                Object.keys(COLUMNS).forEach(field => {
+                    if (data[field]) columns[COLUMNS[field]] = data[field];
+                });
+                if (op === 'create' && !columns.country) throw invalid(`${where}: country is required.`);
+                if (Object.keys(columns).length === 0) {
+                    throw invalid(`${where}: data needs at least one of ${Object.keys(COLUMNS).join(', ')}.`);
+                }
+            }
+
+            return { index, op, id, columns, version };
+        });
+
+        return { isolation, operations };
+    }
+
+    /**
+     * Validate and run a multi-operation transaction, retrying it as a
+     * whole on lock contention (see db_service.withTransactionRetry).
+     *
+     * @returns {Object} - { success, xid, isolation, operations: [per-operation result], changes, attempts, ... }
+     * @throws {Error} - INVALID_TRANSACTION, or the abort reason with `xid` and `operationIndex`
+     */
+    static async run(body, NODE_STATE = null, lockPolicy = null) {
+        const plan = batch_transaction.validate(body);
+        return db_service.withTransactionRetry('batch', lockPolicy,
+            () => batch_transaction.execute(plan, NODE_STATE, lockPolicy));
+    }
+
+    // One attempt: the whole plan as one XA transaction
+    static async execute({ isolation, operations }, NODE_STATE, lockPolicy) {
+        const xid = db_service.generateXid('batch');
+        const participants = [];
+        const slaveConns = [];
+        const ctx = { xid, masterConn: null, lockPolicy, writes: [] };
+        let current = null; // index of the operation being worked on
+
+        console.log(`[Batch] ${xid}: ${operations.length} operation(s) under ${isolation}`);
+
+        try {
+            // =========================================================
+            // PHASE 1: PREPARE - Master branch, every operation in order
+            // =========================================================
+            ctx.masterConn = await db_router.getMasterNode().getConnection();
+            await db_access.setIsolationLevel(ctx.masterConn, isolation);
+            await db_service.xaBegin(ctx.masterConn, xid, db_router.getMasterId(), participants);
+
+            const results = [];
+            for (const operation of operations) {
+                current = operation.index;
+                results.push(await batch_transaction.applyOnMaster(ctx, operation));
+            }
+
+            // Every row lock is held: now the change log locks, in Slave id order
+            current = null;
+            await change_log.lockSlaves(ctx.masterConn, ctx.writes.map(write => write.slaveId));
+            for (const write of ctx.writes) {
+                write.seq = await change_log.append(ctx.masterConn, {
+                    xid, slaveId: write.slaveId, userId: write.userId, operation: write.operation, sql: write.sql, params: write.params
+                });
+            }
+
+            // =========================================================
+            // PHASE 1: PREPARE - one branch per Slave, writes in order
+            // =========================================================
+            const bySlave = new Map();
+            ctx.writes.forEach(write => {
+                if (!bySlave.has(write.slaveId)) bySlave.set(write.slaveId, []);
+                bySlave.get(write.slaveId).push(write);
+            });
+
+            const deferred = [];
+            for (const [slaveId, writes] of bySlave) {
+                current = null;
+                let unavailable = null;
+                let conn;
+                if (db_service.isSimulatedOffline(NODE_STATE, slaveId)) {
+                    unavailable = new Error('Node is OFFLINE (simulated)');
+                } else if (await db_service.hasQueuedWrites(slaveId)) {
+                    unavailable = db_service.backlogError(slaveId);
+                } else {
+                    try {
+                        conn = await db_service.joinSlave(db_router.getNodeById(slaveId), slaveId, xid, participants, isolation);
+                        slaveConns.push(conn);
+                    } catch (connError) {
+                        unavailable = connError;
+                    }
+                }
+
+                if (unavailable) {
+                    console.error(`[Batch] ${xid}: Slave ${slaveId} unavailable (${unavailable.message}) - its ${writes.length} write(s) will be queued`);
+                    deferred.push({ slaveId, writes, error: unavailable });
+                    continue;
+                }
+
+                for (const write of writes) {
+                    current = write.index;
+                    // Clear any stale copy left from an earlier move
+                    if (write.operation === 'INSERT') await db_access.deleteUser(conn, write.userId);
+                    await conn.query(write.sql, write.params);
+                }
+                current = null;
+                // No other write for this Slave can commit until this branch ends (change log lock),
+                // so the last seq covers every earlier one
+                await change_log.markApplied(conn, slaveId, writes[writes.length - 1].seq);
+                console.log(`[Batch] ${xid}: Slave ${slaveId} applied ${writes.length} write(s) (not committed)`);
+            }
+
+            // Queued in the Master branch, so the entries commit with the transaction
+            const queued = new Set();
+            for (const { slaveId, writes, error } of deferred) {
+                for (const write of writes) {
+                    await db_service.queueMissedWrite(ctx.masterConn, slaveId, write, error);
+                }
+                queued.add(slaveId);
+            }
+
+            // =========================================================
+            // PHASE 2: COMMIT
+            // =========================================================
+            const committedOn = participants.map(p => p.nodeId);
+            if (participants.length === 1) {
+                // Every Slave is unavailable: the Master commits alone
+                await db_access.xaCommitOnePhase(ctx.masterConn, xid);
+                participants.length = 0;
+            } else {
+                const failed = await db_service.xaCommitDistributed(xid, 'batch', participants);
+                if (failed.length > 0) {
+                    console.error(`[Batch] ${xid}: commit pending on node(s) ${failed.join(', ')} - recovery will finish it`);
+                }
+            }
+
+            results.forEach(result => {
+                if (result.partitions.some(slaveId => queued.has(slaveId))) result.queued = true;
+            });
+
+            console.log(`[Batch] ===== ${xid} COMMITTED on node(s) ${committedOn.join(', ')} =====`);
+
+            const response = {
+                success: true,
+                message: `Transaction committed: ${operations.length} operation(s).`,
+                protocol: '2PC',
+                xid,
+                isolation,
+                participants: committedOn,
+                operations: results,
+                changes: ctx.writes.map(write => ({ partition: write.slaveId, seq: write.seq }))
+            };
+            if (queued.size > 0) {
+                response.message += ` Queued for Slave(s) ${[...queued].join(', ')}.`;
+                response.queuedForPartitions = [...queued];
+            }
+            return response;
+
+        } catch (error) {
+            console.error(`[Batch] ${xid} failed${current !== null ? ` at operation ${current}` : ''}: ${error.message}`);
+            await db_service.xaAbortDistributed(xid, 'batch', participants);
+
+            const failure = deadlock_detector.victimError(xid, error);
+            failure.xid = xid;
+            failure.operationIndex = current;
+            throw failure;
+        } finally {
+            if (ctx.masterConn) ctx.masterConn.release();
+            slaveConns.forEach(conn => conn.release());
+        }
+    }
+
+    /**
+     * Run one operation on the Master branch and record its Slave writes.
+     *
+     * @returns {Object} - Per-operation result: { index, op, id, partitions, version?, moved? }
+     */
+    static async applyOnMaster(ctx, operation) {
+        const { xid, masterConn, lockPolicy } = ctx;
+        const { index, op, columns, version } = operation;
+
+        if (op === 'create') {
+            const lastId = await db_access.lockForNewId(masterConn, lockPolicy);
+            // After a failover the promoted Master may hold fewer rows than the IDs already issued
+            const id = Math.max(parseInt(lastId), db_service.getIdFloor()) + 1;
+            const timestamp = new Date().toISOString().slice(0, 19).replace('T', ' ');
+            const row = {
+                id,
+                firstname: columns.firstname,
+                lastname: columns.lastname,
+                city: columns.city,
+                country: columns.country,
+                createdAt: timestamp,
+                updatedAt: timestamp
+            };
+
+            await db_access.insertUser(masterConn, row);
+            await db_service.recordInterimWrite(masterConn, xid, 'INSERT', id, row);
+            const slaveId = db_router.getSlaveId(row.country);
+            batch_transaction.logInsert(ctx, index, slaveId, row);
+            return { index, op, id, partitions: [slaveId] };
+        }
+
+        const id = operation.id;
+
+        if (op === 'update') {
+            // Like updateUser: a version selects OPTIMISTIC locking, checked by the UPDATE itself
+            const user = version === null
+                ? await db_access.lockRowExclusive(masterConn, 'users', id, lockPolicy)
+                : await db_access.findById(masterConn, id);
+            if (!user) throw notFound(id);
+            if (version !== null && user.version !== version) {
+                throw db_access.versionConflict(id, version, user.version);
+            }
+            const newVersion = user.version + 1;
+
+            await db_access.updateUser(masterConn, id, columns, version);
+            await db_service.recordInterimWrite(masterConn, xid, 'UPDATE', id);
+
+            const fromSlaveId = db_router.getSlaveId(user.country);
+            const toSlaveId = db_router.getSlaveId(columns.country || user.country);
+            if (fromSlaveId === toSlaveId) {
+                const { sql, params } = db_access.buildUpdateUser(id, { ...columns, version: newVersion });
+                batch_transaction.logWrite(ctx, { index, slaveId: fromSlaveId, userId: id, operation: 'UPDATE', sql, params });
+                return { index, op, id, partitions: [fromSlaveId], version: newVersion };
+            }
+
+            // Country change across partitions: move the row (as it now is on the Master)
+            const row = db_service.toUserRow(await db_access.findById(masterConn, id));
+            batch_transaction.logWrite(ctx, {
+                index, slaveId: fromSlaveId, userId: id, operation: 'DELETE', sql: 'DELETE FROM users WHERE id = ?', params: [id]
+            });
+            batch_transaction.logInsert(ctx, index, toSlaveId, row);
+            return { index, op, id, partitions: [fromSlaveId, toSlaveId], version: newVersion, moved: { from: fromSlaveId, to: toSlaveId } };
+        }
+
+        // delete
+        const locked = await db_access.lockRowExclusive(masterConn, 'users', id, lockPolicy);
+        if (!locked) throw notFound(id);
+        if (version !== null && locked.version !== version) {
+            throw db_access.versionConflict(id, version, locked.version);
+        }
+
+        await db_access.deleteUser(masterConn, id);
+        await db_service.recordInterimWrite(masterConn, xid, 'DELETE', id);
+        const slaveId = db_router.getSlaveId(locked.country);
+        batch_transaction.logWrite(ctx, {
+            index, slaveId, userId: id, operation: 'DELETE', sql: 'DELETE FROM users WHERE id = ?', params: [id]
+        });
+        return { index, op, id, partitions: [slaveId] };
+    }
+
+    static logInsert(ctx, index, slaveId, row) {
+        batch_transaction.logWrite(ctx, {
+            index,
+            slaveId,
+            userId: row.id,
+            operation: 'INSERT',
+            sql: `INSERT INTO users (${Object.keys(row).join(', ')}) VALUES (${Object.keys(row).map(() => '?').join(', ')})`,
+            params: Object.values(row)
+        });
+    }
+
+    // Keep a Slave write for the change log and phase 1 on the Slaves
+    static logWrite(ctx, write) {
+        db_service.captureWrite(write.slaveId, write.userId);
+        ctx.writes.push(write);
+    }
+}
+
+module.exports = batch_transaction;
@@ -0,0 +1,171 @@
+// models/change_log.js
+// =========================================================
+// REPLICATION CHANGE LOG (Master-owned, sequence-numbered)
+// =========================================================
+// Every write the Master takes for a Slave gets one change_log row,
+// inserted inside the write's own Master XA branch, so its sequence
+// number (`seq`, AUTO_INCREMENT) exists exactly when the write commits.
+// A partition move logs two rows: DELETE on the old Slave, INSERT on
+// the new one. The same holds for the rebalancer's batches and
+// anti-entropy repairs.
+//
+// Outside the log: the simulations in db_service (simulateTransaction,
+// testCase1), which write nodes in plain transactions to show locking
+// and failures, and slave_resync, which rebuilds a Slave from the
+// Master and then sets its position to the head of the log. The
+// guarantees below cover logged changes only.
+//
+// Each Slave keeps its position in its own replication_state table
+// (one row per Slave: last_applied_seq), advanced inside the same
+// transaction that applies the change - synchronously in the 2PC
+// branch, or by queue replay. Replay applies a Slave's changes in
+// seq order and never skips past one that fails, so:
+//
+//   lag(Slave) = changes for Slave with seq > last_applied_seq
+//
+// last_applied_seq is a high-water mark, which is only sound if a
+// Slave's changes commit in seq order. append() therefore first takes
+// the Slave's row in change_log_locks, held until the Master branch
+// ends: writes for one Slave serialize from seq allocation to commit,
+// and a write that is deferred queues its recovery_queue entry inside
+// that same branch. When a Slave is at seq N, every change with a
+// smaller seq has either been applied there or sits in the queue.
+//
+// The Master's sequence only moves forward; failover raises the
+// promoted node's AUTO_INCREMENT past every position a Slave has
+// already reached (see raiseSequence).
+// =========================================================
+
+const db_router = require('./db_router');
+
+class change_log {
+
+    /**
+     * Take a Slave's change log lock for the rest of the Master branch.
+     * Re-entrant within a branch; append() calls it.
+     */
+    static async lockSlave(masterConn, slaveId) {
+        await masterConn.query(`
+            INSERT INTO change_log_locks (target_partition) VALUES (?)
+            ON DUPLICATE KEY UPDATE target_partition = target_partition
+        `, [slaveId]);
+    }
+
+    // Lock several Slaves in ascending id order, so two multi-Slave writes cannot deadlock on them
+    static async lockSlaves(masterConn, slaveIds) {
+        const ordered = [...new Set(slaveIds.map(Number))].sort((a, b) => a - b);
+        for (const slaveId of ordered) {
+            await change_log.lockSlave(masterConn, slaveId);
+        }
+    }
+
+    /**
+     * Append one change for a Slave. Must run on the Master connection
+     * that holds the write's XA branch.
+     *
+     * @param {Object} change - { xid, slaveId, userId, operation, sql, params }
+     * @returns {number} - Sequence number of the change
+     */
+    static async append(masterConn, { xid, slaveId, userId, operation, sql, params }) {
+        await change_log.lockSlave(masterConn, slaveId);
+        const [result] = await masterConn.query(`
+            INSERT INTO change_log (xid, target_partition, user_id, operation_type, query_text, params_json)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [xid, slaveId, userId, operation, sql, JSON.stringify(params)]);
+        console.log(`[ChangeLog] #${result.insertId}: ${operation} of user ${userId} for Slave ${slaveId}`);
+        return result.insertId;
+    }
+
+    /**
+     * Advance a Slave's position. Runs on the Slave connection, inside the
+     * transaction (or XA branch) that applied the change.
+     */
+    static async markApplied(slaveConn, slaveId, seq) {
+        await slaveConn.query(`
+            INSERT INTO replication_state (slave_id, last_applied_seq)
+            VALUES (?, ?)
+            ON DUPLICATE KEY UPDATE last_applied_seq = GREATEST(last_applied_seq, VALUES(last_applied_seq))
+        `, [slaveId, seq]);
+    }
+
+    // Last sequence number applied on the Slave (0 if it never applied one)
+    static async getLastApplied(slaveConn, slaveId) {
+        const [rows] = await slaveConn.query(
+            'SELECT last_applied_seq FROM replication_state WHERE slave_id = ?',
+            [slaveId]
+        );
+        return rows.length ? Number(rows[0].last_applied_seq) : 0;
+    }
+
+    // Newest sequence number logged for a Slave (all Slaves when slaveId is null)
+    static async getHeadSeq(conn, slaveId = null) {
+        const [rows] = slaveId === null
+            ? await conn.query('SELECT MAX(seq) AS head FROM change_log')
+            : await conn.query('SELECT MAX(seq) AS head FROM change_log WHERE target_partition = ?', [slaveId]);
+        return Number(rows[0].head) || 0;
+    }
+
+    /**
+     * Replication position of one Slave.
+     *
+     * @returns {Object} - { slaveId, headSeq, lastAppliedSeq, behind, oldestUnappliedAt, reachable }
+     *                     lastAppliedSeq / behind are null when the Slave cannot be read
+     */
+    static async getPosition(slaveId) {
+        const masterPool = db_router.getMasterNode();
+        const position = {
+            slaveId,
+            headSeq: await change_log.getHeadSeq(masterPool, slaveId),
+            lastAppliedSeq: null,
+            behind: null,
+            oldestUnappliedAt: null,
+            reachable: false
+        };
+
+        let slaveConn;
+        try {
+            slaveConn = await Promise.race([
+                db_router.getNodeById(slaveId).getConnection(),
+                new Promise((_, reject) => setTimeout(() => reject(new Error('Slave connection timeout')), 2000))
+            ]);
+            position.lastAppliedSeq = await change_log.getLastApplied(slaveConn, slaveId);
+            position.reachable = true;
+        } catch (err) {
+            position.error = err.message;
+            return position;
+        } finally {
+            if (slaveConn) slaveConn.release();
+        }
+
+        const [rows] = await masterPool.query(`
+            SELECT COUNT(*) AS behind, MIN(logged_at) AS oldest
+            FROM change_log
+            WHERE target_partition = ? AND seq > ?
+        `, [slaveId, position.lastAppliedSeq]);
+        position.behind = Number(rows[0].behind);
+        position.oldestUnappliedAt = rows[0].oldest;
+        return position;
+    }
+
+    static async getPositions() {
+        const positions = [];
+        for (const slaveId of db_router.getSlaveIds()) {
+            positions.push(await change_log.getPosition(slaveId));
+        }
+        return positions;
+    }
+
+    /**
+     * Make the next sequence number on a node's change_log greater than
+     * `floor`. Used when the Master role moves to another node, whose own
+     * log may be behind the positions the Slaves have reached.
+     */
+    static async raiseSequence(conn, floor) {
+        const next = Math.max(Number(floor) || 0, await change_log.getHeadSeq(conn)) + 1;
+        await conn.query(`ALTER TABLE change_log AUTO_INCREMENT = ${Number(next)}`);
+        console.log(`[ChangeLog] Next sequence number raised to ${next}`);
+        return next;
+    }
+}
+
+module.exports = change_log;
@@ -4,6 +4,88 @@ class db_access {
     // ISOLATION LEVEL: REPEATABLE READ (Default for all transactions)
     // =========================================================
     static DEFAULT_ISOLATION = 'REPEATABLE READ';
+    static ISOLATION_LEVELS = ['READ UNCOMMITTED', 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'];
+
+    // =========================================================
+    // LOCK POLICY: what a locking read does when the row is taken
+    //   WAIT         block, for `timeout` seconds (server default if null)
+    //   NOWAIT       fail at once (ER_LOCK_NOWAIT)
+    //   SKIP_LOCKED  leave locked rows out; a single-row lock whose
+    //                row exists but is locked fails with ROW_LOCKED
+    // =========================================================
+    static LOCK_POLICIES = ['WAIT', 'NOWAIT', 'SKIP_LOCKED'];
+
+    /**
+     * Parse a lock policy from request input.
+     *
+     * @param {Object} input - { lock, lockTimeout } (e.g. lock=nowait, or lockTimeout=3)
+     * @returns {Object|null} - { mode, timeout }, or null for the default (wait, server timeout)
+     * @throws {Error} - INVALID_LOCK_POLICY
+     */
+    static parseLockPolicy({ lock, lockTimeout } = {}) {
+        const hasTimeout = lockTimeout !== undefined && lockTimeout !== null && lockTimeout !== '';
+        if (!lock && !hasTimeout) return null;
+
+        const invalid = (message) => {
+            const err = new Error(message);
+            err.code = 'INVALID_LOCK_POLICY';
+            return err;
+        };
+
+        const mode = String(lock || 'WAIT').toUpperCase().replace(/[\s-]+/g, '_');
+        if (!db_access.LOCK_POLICIES.includes(mode)) {
+            throw invalid(`Invalid lock policy '${lock}'. Must be one of: ${db_access.LOCK_POLICIES.join(', ')}.`);
+        }
+
+        let timeout = null;
+        if (hasTimeout) {
+            timeout = Number(lockTimeout);
+            if (mode !== 'WAIT' || !Number.isInteger(timeout) || timeout < 1 || timeout > 3600) {
+                throw invalid('lockTimeout must be a whole number of seconds (1-3600) and only applies to the WAIT policy.');
+            }
+        }
+        return { mode, timeout };
+    }
+
+    // Locking clause for a policy: FOR UPDATE [NOWAIT | SKIP LOCKED], or the shared equivalent
+    static lockClause(policy, shared = false) {
+        const mode = policy ? policy.mode : 'WAIT';
+        if (mode === 'WAIT') return shared ? ' LOCK IN SHARE MODE' : ' FOR UPDATE';
+        return `${shared ? ' FOR SHARE' : ' FOR UPDATE'} ${mode === 'NOWAIT' ? 'NOWAIT' : 'SKIP LOCKED'}`;
+    }
+
+    /**
+     * Run fn with the policy's lock wait timeout on the session, restoring
+     * the server default afterwards (pooled connections are reused).
+     */
+    static async withLockPolicy(connection, policy, fn) {
+        if (!policy || policy.timeout === null) return fn();
+        await db_access.setLockWaitTimeout(connection, policy.timeout);
+        try {
+            return await fn();
+        } finally {
+            await db_access.setLockWaitTimeout(connection, null).catch(() => {});
+        }
+    }
+
+    // Session lock wait timeout in seconds; null restores the server default
+    static async setLockWaitTimeout(connection, seconds) {
+        if (seconds === null) {
+            await connection.query('SET SESSION innodb_lock_wait_timeout = DEFAULT');
+        } else {
+            await connection.query('SET SESSION innodb_lock_wait_timeout = ?', [seconds]);
+        }
+    }
+
+    // SKIP LOCKED returned nothing: tell a locked row from a missing one
+    static async assertNotSkipped(connection, table, id) {
+        const [rows] = await connection.query(`SELECT 1 FROM ${table} WHERE id = ?`, [id]);
+        if (rows.length > 0) {
+            const err = new Error(`Row ${id} in ${table} is locked by another transaction (skipped: SKIP LOCKED).`);
+            err.code = 'ROW_LOCKED';
+            throw err;
+        }
+    }
 
     // Find by ID
     static async findById(connection, id) {
@@ -33,28 +115,53 @@ class db_access {
      * - Used for: UPDATE, DELETE operations
      * - Prevents: Lost updates, dirty reads, non-repeatable reads
      */
-    static async lockRowExclusive(connection, table, id) {
-        const [rows] = await connection.query(`SELECT * FROM ${table} WHERE id = ? FOR UPDATE`, [id]);
+    static async lockRowExclusive(connection, table, id, policy = null) {
+        const [rows] = await db_access.withLockPolicy(connection, policy, () =>
+            connection.query(`SELECT * FROM ${table} WHERE id = ?${db_access.lockClause(policy)}`, [id]));
+        if (rows.length === 0 && policy && policy.mode === 'SKIP_LOCKED') {
+            await db_access.assertNotSkipped(connection, table, id);
+        }
         return rows[0];
     }
 
+    /**
+     * PESSIMISTIC LOCKING: Exclusive lock on a set of rows (FOR UPDATE)
+     * - Used for: batch operations such as partition rebalancing
+     * - Rows are returned in id order; missing ids are simply absent
+     */
+    static async lockRowsExclusive(connection, table, ids) {
+        if (ids.length === 0) return [];
+        const [rows] = await connection.query(`SELECT * FROM ${table} WHERE id IN (?) ORDER BY id FOR UPDATE`, [ids]);
+        return rows;
+    }
+
     /**
      * PESSIMISTIC LOCKING: Shared lock (LOCK IN SHARE MODE)
      * - Allows other transactions to read but not write
      * - Used for: Read operations that need consistency
      * - Prevents: Dirty reads, ensures data doesn't change during read
      */
-    static async lockRowShared(connection, table, id) {
-        const [rows] = await connection.query(`SELECT * FROM ${table} WHERE id = ? LOCK IN SHARE MODE`, [id]);
+    static async lockRowShared(connection, table, id, policy = null) {
+        const [rows] = await db_access.withLockPolicy(connection, policy, () =>
+            connection.query(`SELECT * FROM ${table} WHERE id = ?${db_access.lockClause(policy, true)}`, [id]));
+        if (rows.length === 0 && policy && policy.mode === 'SKIP_LOCKED') {
+            await db_access.assertNotSkipped(connection, table, id);
+        }
         return rows[0];
     }
 
     // Lock for ID generation (pessimistic lock on max ID)
-    static async lockForNewId(connection) {
+    // SKIP LOCKED is refused: skipping the last row would hand out a used ID.
+    static async lockForNewId(connection, policy = null) {
+        if (policy && policy.mode === 'SKIP_LOCKED') {
+            const err = new Error('SKIP_LOCKED cannot be used to create a user: the ID lock must not be skipped.');
+            err.code = 'INVALID_LOCK_POLICY';
+            throw err;
+        }
         // Lock the last row to prevent concurrent ID generation
-        const [rows] = await connection.query(
-            'SELECT id FROM users ORDER BY id DESC LIMIT 1 FOR UPDATE'
-        );
+        const [rows] = await db_access.withLockPolicy(connection, policy, () => connection.query(
+            `SELECT id FROM users ORDER BY id DESC LIMIT 1${db_access.lockClause(policy)}`
+        ));
         return rows.length ? rows[0].id : 0;
     }
 
@@ -67,16 +174,62 @@ class db_access {
         await connection.query(`SET SESSION TRANSACTION ISOLATION LEVEL ${level}`);
     }
 
-    // Dynamic Update
-    static async updateUser(connection, id, data) {
+    /**
+     * Dynamic Update
+     *
+     * Every update bumps the row's version. With expectedVersion
+     * (OPTIMISTIC locking) the row is only updated while its version still
+     * matches; if another transaction got there first, a VERSION_CONFLICT
+     * error is thrown and nothing is written.
+     */
+    static async updateUser(connection, id, data, expectedVersion = null) {
         const keys = Object.keys(data);
         if (keys.length === 0) return;
 
-        const setClause = keys.map(key => `${key} = ?`).join(', ');
-        const values = Object.values(data);
-        values.push(id); 
+        const { sql, params } = db_access.buildUpdateUser(id, data, expectedVersion);
+        const [result] = await connection.query(sql, params);
+        if (expectedVersion !== null && result.affectedRows === 0) {
+            throw db_access.versionConflict(id, expectedVersion);
+        }
+        return result;
+    }
+
+    // SQL + params for a dynamic update (also stored in the recovery queue).
+    // An explicit `version` in data (replicated writes) is set as-is instead of bumped.
+    static buildUpdateUser(id, data, expectedVersion = null) {
+        const keys = Object.keys(data);
+        let setClause = keys.map(key => `${key} = ?`).join(', ');
+        if (!keys.includes('version')) setClause += ', version = version + 1';
+        const params = Object.values(data);
+        params.push(id);
 
-        await connection.query(`UPDATE users SET ${setClause} WHERE id = ?`, values);
+        let where = 'id = ?';
+        if (expectedVersion !== null) {
+            where += ' AND version = ?';
+            params.push(expectedVersion);
+        }
+
+        return { sql: `UPDATE users SET ${setClause} WHERE ${where}`, params };
+    }
+
+    // =========================================================
+    // OPTIMISTIC LOCKING: version check failed
+    // =========================================================
+    static versionConflict(id, expectedVersion, currentVersion = null) {
+        const err = new Error(`User ${id} was modified by another transaction (expected version ${expectedVersion}${currentVersion !== null ? `, found ${currentVersion}` : ''}).`);
+        err.code = 'VERSION_CONFLICT';
+        err.userId = id;
+        err.expectedVersion = expectedVersion;
+        err.currentVersion = currentVersion;
+        return err;
+    }
+
+    // Row to update/delete does not exist
+    static userNotFound(id, detail = '') {
+        const err = new Error(`User with ID ${id} not found${detail}.`);
+        err.code = 'USER_NOT_FOUND';
+        err.userId = id;
+        return err;
     }
 
     // Dynamic Insert
@@ -109,6 +262,12 @@ class db_access {
     }
 
     static async xaRollback(connection, xid) {
+        try {
+            // An ACTIVE branch must be ended before it can be rolled back
+            await connection.query(`XA END '${xid}'`);
+        } catch (e) {
+            // Already IDLE or PREPARED
+        }
         try {
             await connection.query(`XA ROLLBACK '${xid}'`);
         } catch (e) {
@@ -120,6 +279,12 @@ class db_access {
     static async xaStart(connection, xid) {
         await connection.query(`XA START '${xid}'`);
     }
+
+    // Single-participant commit: skips PREPARE when no other branch exists
+    static async xaCommitOnePhase(connection, xid) {
+        await connection.query(`XA END '${xid}'`);
+        await connection.query(`XA COMMIT '${xid}' ONE PHASE`);
+    }
 }
 
 module.exports = db_access;
\ No newline at end of file
@@ -3,48 +3,150 @@
 // MASTER-SLAVE ARCHITECTURE
 // =========================================================
 // Master (Central Node 0): Handles ALL writes, source of truth
-// Slave 1 (Node 1): Read replica for countries A-L
-// Slave 2 (Node 2): Read replica for countries M-Z
-// 
+// Slaves (Node 1..N): Read replicas, each owning the countries
+//                     assigned to it by the partition map
+//                     (default: Slave 1 = A-L, Slave 2 = M-Z)
+//
 // Write Path: Client → Master → Slaves (synchronous replication with 2PC)
 // Read Path: Client → Appropriate Slave (or Master as fallback)
 // =========================================================
 
-const db = require('../db/connection');
+const fs = require('fs');
+const path = require('path');
+const node_registry = require('./node_registry');
+
+// =========================================================
+// PARTITION MAP
+// =========================================================
+// Loaded from config/partition_map.json (or PARTITION_MAP_FILE).
+// Each partition assigns countries to a Slave node by:
+//   - countries: explicit list, e.g. ["Canada", "Mexico"]
+//   - range:     first-letter range, e.g. { from: "A", to: "L" };
+//                without `from` it is open below, so names starting
+//                with a digit or symbol fall in it too
+// Explicit lists win over ranges. The partition marked
+// "default": true receives countries no other partition matches.
+// The default map's Slave 1 range has no `from`: anything sorting
+// before "M" routes to Slave 1, as the original fixed A-L/M-Z
+// routing did.
+// =========================================================
+const PARTITION_MAP_FILE = process.env.PARTITION_MAP_FILE ||
+    path.join(__dirname, '..', 'config', 'partition_map.json');
 
 class db_router {
-    
+
+    static partitionMap = null;
+
+    /**
+     * Validate a partition map and normalize its country names.
+     * Throws if the map is unusable.
+     */
+    static normalizePartitionMap(map) {
+        if (!map || !Array.isArray(map.partitions) || map.partitions.length === 0) {
+            throw new Error("Partition map must define at least one partition.");
+        }
+
+        const partitions = map.partitions.map(p => {
+            const node = Number(p.node);
+            if (!Number.isInteger(node) || node < 0) {
+                throw new Error(`Partition map: invalid Slave node '${p.node}'.`);
+            }
+            if (!p.countries && !p.range && !p.default) {
+                throw new Error(`Partition map: node ${node} needs countries, a range or default.`);
+            }
+            return {
+                node: node,
+                name: p.name || `Slave ${node}`,
+                countries: (p.countries || []).map(c => c.toUpperCase()),
+                range: p.range ? { from: (p.range.from || '').toUpperCase(), to: p.range.to.toUpperCase() } : null,
+                default: !!p.default
+            };
+        });
+
+        if (partitions.filter(p => p.default).length > 1) {
+            throw new Error("Partition map: only one partition can be the default.");
+        }
+
+        return { partitions };
+    }
+
+    // Load (or reload) the partition map from disk
+    static loadPartitionMap(file = PARTITION_MAP_FILE) {
+        const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+        db_router.partitionMap = db_router.normalizePartitionMap(raw);
+        console.log(`[Router] Partition map loaded: ${db_router.partitionMap.partitions.length} partition(s)`);
+        return db_router.partitionMap;
+    }
+
+    // Swap in a new partition map (validated first, so a bad map never goes live)
+    static setPartitionMap(map) {
+        db_router.partitionMap = db_router.normalizePartitionMap(map);
+        return db_router.partitionMap;
+    }
+
+    /**
+     * Make a new partition map live and persist it for the next start.
+     * The file is replaced with a rename, so a reader never sees half a map.
+     */
+    static writePartitionMap(map, file = PARTITION_MAP_FILE) {
+        const normalized = db_router.normalizePartitionMap(map);
+        try {
+            const tmpFile = `${file}.${process.pid}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify(normalized, null, 4) + '\n');
+            fs.renameSync(tmpFile, file);
+        } catch (err) {
+            // Read-only deployments (e.g. Vercel) keep the map in memory only
+            console.error(`[Router] Could not persist partition map: ${err.message}`);
+        }
+        db_router.partitionMap = normalized;
+        console.log(`[Router] Partition map switched: ${normalized.partitions.length} partition(s)`);
+        return normalized;
+    }
+
+    static getPartitionMap() {
+        if (!db_router.partitionMap) db_router.loadPartitionMap();
+        return db_router.partitionMap;
+    }
+
+    // Partition that owns a country: explicit list, then range, then default
+    static findPartition(country, map = db_router.getPartitionMap()) {
+        const normalizedCountry = country.toUpperCase();
+        const { partitions } = map;
+
+        return partitions.find(p => p.countries.includes(normalizedCountry)) ||
+            partitions.find(p => p.range &&
+                normalizedCountry >= p.range.from &&
+                normalizedCountry.slice(0, p.range.to.length) <= p.range.to) ||
+            partitions.find(p => p.default);
+    }
+
     // =========================================================
     // MASTER NODE: Central database - ALL WRITES go here first
     // This is the single source of truth (Master in Master-Slave)
     // =========================================================
     static getMasterNode() {
-        return db.node0;
+        return node_registry.getPool(node_registry.getMasterId());
     }
 
     // Alias for compatibility
     static getCentralNode() {
-        return db.node0;
+        return db_router.getMasterNode();
+    }
+
+    static getMasterId() {
+        return node_registry.getMasterId();
     }
 
     // =========================================================
     // SLAVE NODES: Read replicas partitioned by country
-    // Slave 1: Countries A-L (Australia, Canada, Germany, etc.)
-    // Slave 2: Countries M-Z (Mexico, Philippines, USA, etc.)
+    // Assignment comes from the partition map
     // =========================================================
     static getSlaveNode(country) {
         if (!country) {
             throw new Error("Routing Error: Country is required to determine slave.");
         }
 
-        const normalizedCountry = country.toUpperCase();
-
-        // Route to appropriate slave based on country first letter
-        if (normalizedCountry < 'M') {
-            return db.node1; // Slave 1: A-L countries
-        }
-        
-        return db.node2; // Slave 2: M-Z countries
+        return db_router.getNodeById(db_router.getSlaveId(country));
     }
 
     // Alias for compatibility
@@ -52,13 +154,16 @@ class db_router {
         return db_router.getSlaveNode(country);
     }
 
-    // Get slave ID (1 or 2) based on country
+    // Get slave ID based on country
     static getSlaveId(country) {
         if (!country) {
             throw new Error("Country is required to determine slave.");
         }
-        const normalizedCountry = country.toUpperCase();
-        return normalizedCountry < 'M' ? 1 : 2;
+        const partition = db_router.findPartition(country);
+        if (!partition) {
+            throw new Error(`Routing Error: No partition owns country '${country}'.`);
+        }
+        return partition.node;
     }
 
     // Alias for compatibility
@@ -66,11 +171,27 @@ class db_router {
         return db_router.getSlaveId(country);
     }
 
+    // All Slave node IDs in the partition map, ascending
+    static getSlaveIds() {
+        const ids = db_router.getPartitionMap().partitions.map(p => p.node);
+        return [...new Set(ids)].sort((a, b) => a - b);
+    }
+
     static getNodeById(id) {
-        if (id == 0) return db.node0; // Master
-        if (id == 1) return db.node1; // Slave 1
-        if (id == 2) return db.node2; // Slave 2
-        throw new Error("Invalid node ID");
+        return node_registry.getPool(id);
+    }
+
+    // Human-readable scope of a partition, e.g. "Countries A-L"
+    static describePartition(partition) {
+        const parts = [];
+        if (partition.range) {
+            parts.push(partition.range.from
+                ? `Countries ${partition.range.from}-${partition.range.to}`
+                : `Countries up to ${partition.range.to}`);
+        }
+        if (partition.countries.length > 0) parts.push(partition.countries.join(', '));
+        if (partition.default) parts.push('unassigned countries');
+        return parts.join(' + ');
     }
 
     // =========================================================
@@ -79,11 +200,12 @@ class db_router {
     static getArchitectureInfo() {
         return {
             type: 'MASTER-SLAVE',
-            master: { id: 0, role: 'Master (Central)', scope: 'All data' },
-            slaves: [
-                { id: 1, role: 'Slave 1', scope: 'Countries A-L' },
-                { id: 2, role: 'Slave 2', scope: 'Countries M-Z' }
-            ],
+            master: { id: node_registry.getMasterId(), role: 'Master (Central)', scope: 'All data' },
+            slaves: db_router.getPartitionMap().partitions.map(p => ({
+                id: p.node,
+                role: p.name,
+                scope: db_router.describePartition(p)
+            })),
             replication: 'Synchronous with 2PC',
             consistency: 'Strong (ACID)',
             isolation: 'REPEATABLE READ',
@@ -92,4 +214,4 @@ class db_router {
     }
 }
 
-module.exports = db_router;
\ No newline at end of file
+module.exports = db_router;
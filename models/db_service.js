@@ -1,5 +1,15 @@
 const db_router = require('../models/db_router');
 const db_access = require('../models/db_access');
+const transaction_log = require('../models/transaction_log');
+const xa_resolver = require('../models/xa_resolver');
+const node_registry = require('../models/node_registry');
+const change_log = require('../models/change_log');
+const read_consistency = require('../models/read_consistency');
+const replication_lag = require('../models/replication_lag');
+const idempotency = require('../models/idempotency');
+const lock_monitor = require('../models/lock_monitor');
+const deadlock_detector = require('../models/deadlock_detector');
+const retry_policy = require('../models/retry_policy');
 
 // For pausing execution
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -23,6 +33,8 @@ const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
  *   - The `recovery_queue` table resides ONLY on the MASTER
  *   - When a SLAVE is unavailable, writes are queued on the MASTER
  *   - The MASTER owns all retry logic and recovery orchestration
+ *   - The `transaction_log` table (also on the MASTER) records every 2PC
+ *     decision before phase 2, so prepared branches can be finished after a crash
  *   - This maintains consistency and avoids confusion about which node owns retries
  * 
  * RECOVERY PROCESS:
@@ -43,12 +55,37 @@ const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 class db_service {
 
     // In-memory queue for fallback (only used when MASTER DB is also down)
-    // Structure: { 0: [], 1: [], 2: [] }
-    static missedWrites = {
-        0: [],
-        1: [],
-        2: []
-    };
+    // Structure: { [nodeId]: [] } - one list per registered node,
+    // created on first use (see getMissedWrites)
+    static missedWrites = {};
+
+    // In-memory queue for a node, created on first use
+    static getMissedWrites(nodeId) {
+        if (!db_service.missedWrites[nodeId]) {
+            db_service.missedWrites[nodeId] = [];
+        }
+        return db_service.missedWrites[nodeId];
+    }
+
+    // Node toggled OFF in the UI? Nodes missing from NODE_STATE count as online.
+    static isSimulatedOffline(NODE_STATE, nodeId) {
+        return !!NODE_STATE && NODE_STATE[nodeId] === false;
+    }
+
+    // Slaves being rebuilt by slave_resync: queue replay is paused for
+    // them, and every write routed to them is captured by user ID
+    // Structure: { [slaveId]: Set<userId> }
+    static writeCaptures = {};
+
+    // Record a write for a Slave under resync (no-op otherwise)
+    static captureWrite(slaveId, userId) {
+        const captured = db_service.writeCaptures[slaveId];
+        if (captured) captured.add(Number(userId));
+    }
+
+    static isResyncing(slaveId) {
+        return !!db_service.writeCaptures[slaveId];
+    }
 
     // Background recovery monitor state
     static recoveryMonitor = {
@@ -60,6 +97,7 @@ class db_service {
         stats: {
             totalChecks: 0,
             totalRecoveries: 0,
+            totalInDoubtResolved: 0,
             lastRecoveryTime: null
         },
         lastResult: {
@@ -85,48 +123,42 @@ class db_service {
      *   - Single source of truth for pending writes
      *   - Master retains full control over replication
      *   - No distributed coordination needed
+     *
+     * Runs inside the write's Master XA branch, after change_log.append
+     * took the Slave's change log lock: the entry commits (or rolls back)
+     * with the write itself, before any later write for the Slave can
+     * commit. Replay relies on that order (see change_log.js).
      * 
-     * @param {number} partition - Target Slave partition (1 or 2)
-     * @param {number} userId - The user ID being written
-     * @param {string} sql - The SQL INSERT statement
-     * @param {Array} params - Query parameters
+     * @param {Object} masterConn - Master connection holding the write's XA branch
+     * @param {number} partition - Target Slave partition
+     * @param {Object} write - { userId, operation, sql, params, seq }
      * @param {Error} error - The error that caused the failure
+     * @returns {number} - Pending queue size for the Slave, as seen by the branch
      */
-    static async queueMissedWrite(partition, userId, sql, params, error) {
-        // ALWAYS queue on the MASTER (Central) node
-        const masterPool = db_router.getMasterNode();
-        let conn;
-        try {
-            conn = await masterPool.getConnection();
-            const insertSql = `
-                INSERT INTO recovery_queue (target_partition, user_id, query_text, params_json, last_error, error_type)
-                VALUES (?, ?, ?, ?, ?, ?)
-            `;
-            await conn.query(insertSql, [
-                partition,
-                userId,
-                sql,
-                JSON.stringify(params),
-                error.message || 'Unknown error',
-                db_service.classifyError(error).type
-            ]);
-            console.log(`[Queue] Added user ${userId} to persistent queue for partition ${partition}`);
-            return true;
-        } catch (err) {
-            console.error('[Queue] Failed to persist missed write:', err.message);
-            // Fallback to in-memory queue
-            db_service.missedWrites[partition].push({
-                query: sql,
-                params: params,
-                insertedId: userId,
-                attemptCount: 1,
-                lastError: error.message,
-                queuedAt: new Date()
-            });
-            return false;
-        } finally {
-            if (conn) conn.release();
+    static async queueMissedWrite(masterConn, partition, write, error) {
+        if (!write.seq) {
+            throw new Error(`Cannot queue ${write.operation} of user ${write.userId}: it has no change_log seq`);
         }
+        await masterConn.query(`
+            INSERT INTO recovery_queue (target_partition, user_id, operation_type, query_text, params_json, last_error, error_type, seq)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            partition,
+            write.userId,
+            write.operation,
+            write.sql,
+            JSON.stringify(write.params),
+            error.message || 'Unknown error',
+            db_service.classifyError(error).type,
+            write.seq
+        ]);
+        console.log(`[Queue] Added ${write.operation} of user ${write.userId} (seq ${write.seq}) to persistent queue for partition ${partition}`);
+
+        const [rows] = await masterConn.query(
+            "SELECT COUNT(*) AS count FROM recovery_queue WHERE target_partition = ? AND status = 'pending'",
+            [partition]
+        );
+        return Number(rows[0].count);
     }
 
     /**
@@ -145,59 +177,98 @@ class db_service {
                 GROUP BY target_partition
             `);
             
-            const result = { 0: 0, 1: 0, 2: 0, details: { central: [], partition1: [], partition2: [] } };
+            const result = db_service.emptyQueueStatus();
             rows.forEach(row => {
                 result[row.target_partition] = row.count;
             });
 
             // Get details for pending writes
             const [details] = await conn.query(`
-                SELECT id, target_partition, user_id, params_json, attempt_count 
+                SELECT id, target_partition, user_id, operation_type, params_json, attempt_count, seq
                 FROM recovery_queue 
                 WHERE status = 'pending'
-                ORDER BY queued_at ASC
+                ORDER BY target_partition ASC, seq ASC, id ASC
                 LIMIT 20
             `);
             
             details.forEach(d => {
                 const params = JSON.parse(d.params_json);
+                // Only INSERT params carry the full row: [id, firstname, lastname, city, country, ...]
+                const isInsert = d.operation_type === 'INSERT';
                 const detail = {
                     id: d.id,
-                    user: `${params[1]} ${params[2]}`,
-                    country: params[4],
+                    seq: d.seq,
+                    operation: d.operation_type,
+                    user: isInsert ? `${params[1]} ${params[2]}` : `User ${d.user_id}`,
+                    country: isInsert ? params[4] : null,
                     attempts: d.attempt_count
                 };
-                if (d.target_partition === 1) result.details.partition1.push(detail);
-                else if (d.target_partition === 2) result.details.partition2.push(detail);
-                else result.details.central.push(detail);
+                const key = d.target_partition === 0 ? 'central' : `partition${d.target_partition}`;
+                (result.details[key] = result.details[key] || []).push(detail);
             });
 
             return result;
         } catch (err) {
             console.error('[Queue] Failed to get persistent queue status:', err.message);
             // Fallback to in-memory
-            return {
-                0: db_service.missedWrites[0].length,
-                1: db_service.missedWrites[1].length,
-                2: db_service.missedWrites[2].length,
-                details: { central: [], partition1: [], partition2: [] }
-            };
+            const result = db_service.emptyQueueStatus();
+            Object.keys(db_service.missedWrites).forEach(nodeId => {
+                result[nodeId] = db_service.missedWrites[nodeId].length;
+            });
+            return result;
         } finally {
             if (conn) conn.release();
         }
     }
 
+    /**
+     * Zeroed queue status for the Master and every Slave in the partition map:
+     * { 0: 0, 1: 0, ..., details: { central: [], partition1: [], ... } }
+     */
+    static emptyQueueStatus() {
+        const result = { 0: 0, details: { central: [] } };
+        db_router.getSlaveIds().forEach(slaveId => {
+            result[slaveId] = 0;
+            result.details[`partition${slaveId}`] = [];
+        });
+        return result;
+    }
+
+    // { partition1: n, partition2: n, ... } from a queue status
+    static partitionQueueSizes(queueStatus) {
+        const sizes = {};
+        db_router.getSlaveIds().forEach(slaveId => {
+            sizes[`partition${slaveId}`] = queueStatus[slaveId] || 0;
+        });
+        return sizes;
+    }
+
+    // Pending writes across every Slave in a queue status
+    static totalSlaveQueue(queueStatus) {
+        return db_router.getSlaveIds().reduce((sum, slaveId) => sum + (queueStatus[slaveId] || 0), 0);
+    }
+
     /**
      * Process MASTER's recovery queue for a specific Slave partition.
      * 
      * The MASTER reads pending writes from its queue and attempts to
      * replicate them to the target Slave. This is the core of the
      * Master-owned recovery strategy.
+     *
+     * Writes are applied in change_log sequence order, each in one Slave
+     * transaction together with the Slave's new replication position.
+     * Replay stops at the first write that cannot be applied, so the
+     * Slave never holds a later change without every earlier one.
      * 
      * @param {number} partition - The Slave partition to recover (1 or 2)
      * @returns {number} - Number of successfully recovered writes
      */
     static async processPersistentQueue(partition) {
+        if (db_service.isResyncing(partition)) {
+            console.log(`[Queue] Partition ${partition}: resync in progress - queue replay paused`);
+            return 0;
+        }
+
         const masterPool = db_router.getMasterNode();
         let masterConn;
         let slaveConn;
@@ -206,12 +277,14 @@ class db_service {
         try {
             masterConn = await masterPool.getConnection();
             
-            // Get pending writes for this Slave from MASTER's queue
+            // Get this Slave's queued writes from MASTER's queue, in change log order.
+            // Entries without a seq were queued before the change log existed, so
+            // they are older than any logged change: NULL sorts them first, by id
             const [pending] = await masterConn.query(`
-                SELECT id, user_id, query_text, params_json, attempt_count 
+                SELECT id, user_id, operation_type, query_text, params_json, attempt_count, seq, status
                 FROM recovery_queue 
-                WHERE target_partition = ? AND status = 'pending'
-                ORDER BY queued_at ASC
+                WHERE target_partition = ? AND status IN ('pending', 'failed')
+                ORDER BY seq ASC, id ASC
                 LIMIT 10
             `, [partition]);
 
@@ -219,7 +292,7 @@ class db_service {
                 return 0;
             }
 
-            console.log(`[Recovery] Slave ${partition}: ${pending.length} pending writes in Master's queue`);
+            console.log(`[Recovery] Slave ${partition}: ${pending.length} queued writes in Master's queue`);
             console.log(`[Recovery] Pending IDs: ${pending.map(p => p.user_id).join(', ')}`);
 
             // Try to connect to the Slave
@@ -232,55 +305,63 @@ class db_service {
                 return 0;
             }
 
+            const lastApplied = await change_log.getLastApplied(slaveConn, partition);
+
+            // Strictly in order: the first write that cannot be applied stops the replay
             for (const write of pending) {
-                try {
-                    const params = JSON.parse(write.params_json);
-                    const userId = write.user_id;
-                    
-                    console.log(`[Recovery] Processing user ${userId} for Slave ${partition}`);
+                const operation = write.operation_type || 'INSERT';
+                const userId = write.user_id;
+
+                if (write.status === 'failed') {
+                    console.log(`[Recovery] Slave ${partition}: replay blocked by failed ${operation} ${write.id} (seq ${write.seq}) - park it or resync`);
+                    break;
+                }
 
-                    // Check if already exists in Slave
-                    const [existing] = await slaveConn.query(
-                        "SELECT id FROM users WHERE id = ?", 
-                        [userId]
+                // Already applied (e.g. the process died before marking the entry complete).
+                // Sound because a Slave's writes commit in seq order (see change_log.js)
+                if (write.seq !== null && write.seq <= lastApplied) {
+                    await masterConn.query(
+                        "UPDATE recovery_queue SET status = 'completed', last_attempt_at = NOW() WHERE id = ?",
+                        [write.id]
                     );
+                    console.log(`[Recovery] ✓ seq ${write.seq} already applied on Slave ${partition}, marked complete`);
+                    recoveredCount++;
+                    continue;
+                }
 
-                    if (existing && existing.length > 0) {
-                        // Already exists, mark as completed in Master's queue
-                        await masterConn.query(
-                            "UPDATE recovery_queue SET status = 'completed', last_attempt_at = NOW() WHERE id = ?",
-                            [write.id]
-                        );
-                        console.log(`[Recovery] ✓ User ${userId} already exists in Slave ${partition}, marked complete`);
-                        recoveredCount++;
-                        continue;
+                try {
+                    const params = JSON.parse(write.params_json);
+                    
+                    console.log(`[Recovery] Processing ${operation} of user ${userId} (seq ${write.seq}) for Slave ${partition}`);
+
+                    // The write and the Slave's new position commit together
+                    await slaveConn.query('START TRANSACTION');
+                    let outcome;
+                    try {
+                        outcome = await db_service.replayWrite(slaveConn, operation, userId, write.query_text, params);
+                        // A legacy entry has no position to record
+                        if (write.seq !== null) {
+                            await change_log.markApplied(slaveConn, partition, write.seq);
+                        }
+                        await slaveConn.query('COMMIT');
+                    } catch (err) {
+                        await slaveConn.query('ROLLBACK').catch(() => {});
+                        throw err;
                     }
-
-                    // Execute the write to Slave
-                    console.log(`[Recovery] Inserting user ${userId} into Slave ${partition}...`);
-                    await db_service.queryWithTimeout(slaveConn, write.query_text, params, 2000);
                     
                     // Mark as completed in Master's queue
                     await masterConn.query(
                         "UPDATE recovery_queue SET status = 'completed', last_attempt_at = NOW() WHERE id = ?",
                         [write.id]
                     );
-                    console.log(`[Recovery] ✓ Recovered user ${userId} to Slave ${partition}`);
+                    console.log(outcome === 'ALREADY_APPLIED'
+                        ? `[Recovery] ✓ ${operation} of user ${userId} already reflected in Slave ${partition}, marked complete`
+                        : `[Recovery] ✓ Recovered ${operation} of user ${userId} to Slave ${partition}`);
                     recoveredCount++;
 
                 } catch (err) {
                     console.error(`[Recovery] Error recovering write ${write.id}:`, err.message);
                     
-                    // Handle duplicate key error
-                    if (err.code === 'ER_DUP_ENTRY' || err.message.includes('Duplicate entry')) {
-                        await masterConn.query(
-                            "UPDATE recovery_queue SET status = 'completed', last_attempt_at = NOW() WHERE id = ?",
-                            [write.id]
-                        );
-                        recoveredCount++;
-                        continue;
-                    }
-
                     // Update attempt count in Master's queue
                     const newAttemptCount = write.attempt_count + 1;
                     if (newAttemptCount >= 10) {
@@ -294,6 +375,9 @@ class db_service {
                             [newAttemptCount, err.message, write.id]
                         );
                     }
+
+                    console.log(`[Recovery] Slave ${partition}: replay stopped at seq ${write.seq} - later writes wait for it`);
+                    break;
                 }
             }
 
@@ -308,6 +392,159 @@ class db_service {
         }
     }
 
+    /**
+     * Operator action on a failed queue entry, the one a Slave's replay
+     * is blocked on (see replication_lag.getBlockingEntry):
+     *
+     *   retry - back to pending with a fresh attempt count, once the cause is fixed
+     *   park  - set aside; replay moves past it, and the Slave is missing the
+     *           write until POST /failure/resync/:partition rebuilds it
+     *
+     * Without either, a resync is the only way past the entry.
+     *
+     * @returns {Object|null} - { id, partition, seq, status }, null if no failed entry has that id
+     */
+    static async resolveFailedWrite(id, action) {
+        if (!['retry', 'park'].includes(action)) {
+            throw new Error(`Invalid action '${action}'. Must be one of: retry, park.`);
+        }
+        const masterPool = db_router.getMasterNode();
+        const [rows] = await masterPool.query(
+            "SELECT id, target_partition, seq FROM recovery_queue WHERE id = ? AND status = 'failed'",
+            [id]
+        );
+        if (rows.length === 0) return null;
+
+        const status = action === 'retry' ? 'pending' : 'parked';
+        const [result] = await masterPool.query(`
+            UPDATE recovery_queue
+            SET status = ?${action === 'retry' ? ', attempt_count = 1' : ''}, last_attempt_at = NOW()
+            WHERE id = ? AND status = 'failed'
+        `, [status, id]);
+        if (result.affectedRows === 0) return null;
+
+        const entry = rows[0];
+        replication_lag.cache = {};
+        console.log(`[Queue] Failed entry ${id} (seq ${entry.seq}) for Slave ${entry.target_partition}: ${action === 'retry' ? 'back to pending' : 'parked'}`);
+        return { id: entry.id, partition: entry.target_partition, seq: entry.seq, status };
+    }
+
+    /**
+     * Replay one queued write against a Slave, idempotently.
+     *
+     *   INSERT - skipped if the row already exists
+     *   UPDATE - applied only if the row exists (absolute SET values, safe to repeat);
+     *            a missing row means its INSERT has not been replayed yet
+     *   DELETE - skipped if the row is already gone
+     *
+     * @returns {string} - 'APPLIED' or 'ALREADY_APPLIED'
+     * @throws {Error} - If the write cannot be applied yet
+     */
+    static async replayWrite(slaveConn, operation, userId, sql, params) {
+        const [existing] = await db_service.queryWithTimeout(
+            slaveConn,
+            "SELECT id FROM users WHERE id = ?",
+            [userId],
+            2000
+        );
+        const rowExists = existing && existing.length > 0;
+
+        if (operation === 'INSERT' && rowExists) return 'ALREADY_APPLIED';
+        if (operation === 'DELETE' && !rowExists) return 'ALREADY_APPLIED';
+        if (operation === 'UPDATE' && !rowExists) {
+            throw new Error(`User ${userId} not on Slave yet - UPDATE deferred`);
+        }
+
+        await db_service.queryWithTimeout(slaveConn, sql, params, 2000);
+        return 'APPLIED';
+    }
+
+    // =========================================================
+    // COORDINATOR LOG RECOVERY (Master-owned)
+    // =========================================================
+    // Re-drives phase 2 for every transaction_log entry that was
+    // decided but never completed (e.g. the process died between
+    // XA COMMIT on the Master and XA COMMIT on the Slave).
+    // =========================================================
+
+    /**
+     * Finish one XA branch on a node according to the logged decision.
+     * A branch the node no longer knows about (XAER_NOTA) was already
+     * finished, so it counts as done.
+     *
+     * @param {number} nodeId - Node holding the branch
+     * @param {string} xid - Global transaction ID
+     * @param {string} decision - 'COMMIT' or 'ABORT'
+     */
+    static async finishBranch(nodeId, xid, decision) {
+        const pool = db_router.getNodeById(nodeId);
+        const conn = await db_service.connectWithTimeout(pool, 2000);
+        try {
+            if (decision === 'COMMIT') {
+                await db_access.xaCommit(conn, xid);
+            } else {
+                // Not db_access.xaRollback: recovery needs to see real failures
+                await conn.query(`XA ROLLBACK '${xid}'`);
+            }
+        } catch (err) {
+            if (err.code !== 'ER_XAER_NOTA') throw err;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Read the coordinator log and finish every pending transaction.
+     * Called on startup, before the recovery monitor begins.
+     *
+     * @returns {Object} - { success, total, resolved, remaining }
+     */
+    static async recoverTransactionLog() {
+        let entries;
+        try {
+            entries = await transaction_log.getPending();
+        } catch (err) {
+            console.error('[TxLog] Could not read coordinator log:', err.message);
+            return { success: false, error: err.message };
+        }
+
+        if (entries.length === 0) {
+            console.log('[TxLog] No pending distributed transactions');
+            return { success: true, total: 0, resolved: 0, remaining: 0 };
+        }
+
+        console.log(`[TxLog] ${entries.length} pending distributed transaction(s) found`);
+        let resolved = 0;
+
+        for (const entry of entries) {
+            const stillPending = [];
+
+            for (const nodeId of entry.pending) {
+                try {
+                    await db_service.finishBranch(nodeId, entry.xid, entry.decision);
+                    console.log(`[TxLog] ${entry.xid}: node ${nodeId} finished (${entry.decision})`);
+                } catch (err) {
+                    console.error(`[TxLog] ${entry.xid}: node ${nodeId} not finished - ${err.message}`);
+                    stillPending.push(nodeId);
+                }
+            }
+
+            try {
+                await transaction_log.markCompleted(entry.xid, stillPending);
+                if (stillPending.length === 0) resolved++;
+            } catch (err) {
+                console.error(`[TxLog] ${entry.xid}: could not update log - ${err.message}`);
+            }
+        }
+
+        return {
+            success: true,
+            total: entries.length,
+            resolved: resolved,
+            remaining: entries.length - resolved
+        };
+    }
+
     // =========================================================
     // BACKGROUND RECOVERY MONITOR (Master-orchestrated)
     // =========================================================
@@ -362,9 +599,10 @@ class db_service {
      * Perform background recovery check (Master-orchestrated).
      * 
      * This runs on the Master and:
-     *   1. Checks each Slave's health
-     *   2. Processes the Master's recovery_queue for healthy Slaves
-     *   3. Reports recovery statistics
+     *   1. Resolves in-doubt XA branches left PREPARED on any node
+     *   2. Checks each Slave's health
+     *   3. Processes the Master's recovery_queue for healthy Slaves
+     *   4. Reports recovery statistics
      */
     static async performBackgroundRecovery() {
         const checkTime = new Date();
@@ -376,8 +614,19 @@ class db_service {
         let totalRecovered = 0;
         let totalRemaining = 0;
 
+        // Release locks held by PREPARED branches whose coordinator is gone
+        try {
+            const inDoubt = await xa_resolver.resolveAll();
+            if (inDoubt.resolved > 0) {
+                db_service.recoveryMonitor.stats.totalInDoubtResolved += inDoubt.resolved;
+                console.log(`[Recovery Monitor] Resolved ${inDoubt.resolved} in-doubt XA branch(es)`);
+            }
+        } catch (e) {
+            console.error('[Recovery Monitor] In-doubt resolution failed:', e.message);
+        }
+
         // Check each Slave partition
-        for (let slaveId of [1, 2]) {
+        for (let slaveId of db_router.getSlaveIds()) {
             // NOTE: We don't check simulated NODE_STATE here because:
             // 1. On serverless (Vercel), NODE_STATE is not shared between instances
             // 2. The Master's queue already contains writes that need recovery
@@ -397,7 +646,7 @@ class db_service {
             totalRecovered += persistentRecovered;
             
             // In-memory queue is only for local development fallback
-            if (db_service.missedWrites[slaveId].length > 0) {
+            if (db_service.getMissedWrites(slaveId).length > 0) {
                 const memoryRecovered = await db_service.attemptPartitionRecovery(slaveId);
                 totalRecovered += memoryRecovered;
             }
@@ -411,7 +660,7 @@ class db_service {
         // Get Master's queue status for accurate remaining count
         try {
             const queueStatus = await db_service.getPersistentQueueStatus();
-            totalRemaining = queueStatus[1] + queueStatus[2];
+            totalRemaining = db_service.totalSlaveQueue(queueStatus);
         } catch (e) {
             console.error('[Recovery Monitor] Failed to get Master queue status:', e.message);
         }
@@ -443,14 +692,19 @@ class db_service {
      */
     static async attemptPartitionRecovery(partition) {
         // Skip if no missed writes
-        if (db_service.missedWrites[partition].length === 0) {
+        if (db_service.getMissedWrites(partition).length === 0) {
             return 0;
         }
 
-        console.log(`[Recovery] Partition ${partition}: ${db_service.missedWrites[partition].length} pending writes`);
+        console.log(`[Recovery] Partition ${partition}: ${db_service.getMissedWrites(partition).length} pending writes`);
+
+        if (db_service.isResyncing(partition)) {
+            console.log(`[Recovery] Partition ${partition}: resync in progress - skipping recovery`);
+            return 0;
+        }
 
         // Check simulated state first (respect UI toggles)
-        if (db_service.recoveryMonitor.nodeState && !db_service.recoveryMonitor.nodeState[partition]) {
+        if (db_service.isSimulatedOffline(db_service.recoveryMonitor.nodeState, partition)) {
             console.log(`[Recovery] Partition ${partition}: OFFLINE (simulated) - skipping recovery`);
             return 0;
         }
@@ -475,35 +729,22 @@ class db_service {
             const remainingWrites = [];
 
             for (let write of db_service.missedWrites[partition]) {
+                const operation = write.operation || 'INSERT';
                 try {
-                    // params order: [id, firstname, lastname, city, country, createdAt, updatedAt]
-                    const userId = write.params[0];
+                    // INSERT params order: [id, firstname, lastname, city, country, createdAt, updatedAt]
+                    const userId = write.insertedId !== undefined ? write.insertedId : write.params[0];
                     
-                    // Check for duplicates by ID
-                    const checkSql = "SELECT id FROM users WHERE id = ?";
-                    const [existing] = await db_service.queryWithTimeout(
-                        pConn, 
-                        checkSql, 
-                        [userId], 
-                        2000
-                    );
-
-                    if (existing && existing.length > 0) {
-                        console.log(`[Recovery] Skipped duplicate ID ${userId}: ${write.params[1]} ${write.params[2]}`);
-                        successCount++;
-                        continue;
-                    }
-
-                    // Apply write
-                    await db_service.queryWithTimeout(pConn, write.query, write.params, 2000);
-                    console.log(`[Recovery] ✓ Recovered ID ${userId}: ${write.params[1]} ${write.params[2]}`);
+                    const outcome = await db_service.replayWrite(pConn, operation, userId, write.query, write.params);
+                    console.log(outcome === 'ALREADY_APPLIED'
+                        ? `[Recovery] Skipped ${operation} of ID ${userId}: already applied`
+                        : `[Recovery] ✓ Recovered ${operation} of ID ${userId}`);
                     successCount++;
 
                 } catch (err) {
                     console.error(`[Recovery] Error recovering write:`, err.message);
                     
                     // Check if it's a duplicate key error - if so, consider it recovered
-                    if (err.code === 'ER_DUP_ENTRY' || err.message.includes('Duplicate entry')) {
+                    if (operation === 'INSERT' && (err.code === 'ER_DUP_ENTRY' || err.message.includes('Duplicate entry'))) {
                         console.log(`[Recovery] Duplicate key - already exists, marking as recovered`);
                         successCount++;
                         continue;
@@ -548,14 +789,19 @@ class db_service {
             lastCheck: db_service.recoveryMonitor.lastCheckTime,
             stats: db_service.recoveryMonitor.stats,
             lastResult: db_service.recoveryMonitor.lastResult,
-            queueSizes: {
-                central: db_service.missedWrites[0].length,
-                partition1: db_service.missedWrites[1].length,
-                partition2: db_service.missedWrites[2].length
-            }
+            queueSizes: db_service.getMemoryQueueSizes()
         };
     }
 
+    // In-memory queue sizes: { central, partition1, partition2, ... }
+    static getMemoryQueueSizes() {
+        const sizes = { central: db_service.getMissedWrites(0).length };
+        db_router.getSlaveIds().forEach(slaveId => {
+            sizes[`partition${slaveId}`] = db_service.getMissedWrites(slaveId).length;
+        });
+        return sizes;
+    }
+
     /**
      * Helper function to get a connection with a timeout.
      * If the connection is not acquired within the specified time, it throws an error.
@@ -672,7 +918,7 @@ class db_service {
     /**
      * Checks if a database node is healthy and reachable.
      * 
-     * @param {number} nodeId - The ID of the node to check (0, 1, or 2).
+     * @param {number} nodeId - The ID of a registered node.
      * @param {number} timeoutMs - The timeout duration in milliseconds (default: 1000).
      * @returns {Promise<boolean>} - Returns true if healthy, false otherwise.
      */
@@ -698,7 +944,7 @@ class db_service {
     static async testNodeHealth() {
         const results = {};
         
-        for (let nodeId of [0, 1, 2]) {
+        for (let nodeId of node_registry.getNodeIds()) {
             const isHealthy = await db_service.isNodeHealthy(nodeId, 1000);
             results[`node${nodeId}`] = isHealthy ? "HEALTHY ✓" : "DOWN ✗";
             console.log(`Node ${nodeId}:`, results[`node${nodeId}`]);
@@ -708,17 +954,60 @@ class db_service {
     }
 
     // ---------------------------------------------------
-    // READ (Strategy 1: Central)
+    // READ BY ID (Strategy 1: Central, unless a weaker consistency allows a Slave)
+    // ---------------------------------------------------
+    // The row's Slave is not known from the ID alone, so every Slave the
+    // consistency level allows is asked in turn. Any Slave that is
+    // skipped or fails sends the read to the Master.
     // ---------------------------------------------------
-    static async getUserById(id) {
+    static async getUserById(id, options = {}) {
+        return (await db_service.readUserById(id, options)).row;
+    }
+
+    /**
+     * @param {Object} options - From read_consistency.parseOptions(); strong when omitted
+     * @returns {Object} - { row, servedBy, level, reasons }
+     */
+    static async readUserById(id, options = {}) {
+        const consistency = { level: 'strong', maxLagSeconds: null, sessionToken: null, ...options };
+        const reasons = [];
+
+        if (consistency.level !== 'strong') {
+            let complete = true;
+            for (const slaveId of db_router.getSlaveIds()) {
+                const { useSlave, reason } = await read_consistency.canReadFromSlave(slaveId, consistency);
+                if (!useSlave) {
+                    reasons.push(`Slave ${slaveId}: ${reason}`);
+                    complete = false;
+                    continue;
+                }
+                let conn;
+                try {
+                    conn = await db_service.connectWithTimeout(db_router.getNodeById(slaveId), 2000);
+                    const row = await db_access.findById(conn, id);
+                    if (row) {
+                        return { row, servedBy: slaveId, level: consistency.level, reasons };
+                    }
+                } catch (error) {
+                    console.error(`[DB Service] Slave ${slaveId} read failed:`, error.message);
+                    reasons.push(`Slave ${slaveId}: ${error.message}`);
+                    complete = false;
+                } finally {
+                    if (conn) conn.release();
+                }
+            }
+            // Every Slave answered and none holds the row
+            if (complete) {
+                return { row: undefined, servedBy: 'slaves', level: consistency.level, reasons };
+            }
+        }
+
         const centralPool = db_router.getCentralNode();
         let conn;
         try {
             conn = await centralPool.getConnection();
-            const user = await db_access.findById(conn, id);
-            return user;
-        } catch (error) {
-            throw error;
+            const row = await db_access.findById(conn, id);
+            return { row, servedBy: db_router.getMasterId(), level: consistency.level, reasons };
         } finally {
             if (conn) conn.release();
         }
@@ -727,8 +1016,13 @@ class db_service {
     /**
      * Classifies a database error as RETRYABLE or PERMANENT.
      * 
+     * Lock contention also carries the HTTP status to answer with:
+     * 423 Locked when the row could not be had under the lock policy
+     * (wait timeout, NOWAIT, SKIP LOCKED), 409 Conflict when the
+     * transaction lost to another one (deadlock victim, stale version).
+     * 
      * @param {Error} error - The error object from the database driver.
-     * @returns {Object} - { type: 'RETRYABLE' | 'PERMANENT' | 'UNKNOWN', code: string }
+     * @returns {Object} - { type: 'RETRYABLE' | 'PERMANENT' | 'UNKNOWN', code: string, httpStatus?: number }
      */
     static classifyError(error) {
         const code = error.code || 'UNKNOWN';
@@ -740,9 +1034,25 @@ class db_service {
             'ECONNRESET',
             'PROTOCOL_CONNECTION_LOST',
             'ER_LOCK_DEADLOCK',
-            'ER_LOCK_WAIT_TIMEOUT'
+            'ER_LOCK_WAIT_TIMEOUT',
+            'ER_LOCK_NOWAIT',
+            'ROW_LOCKED',
+            'DISTRIBUTED_DEADLOCK',
+            'FAILOVER_RECONCILING'
         ];
 
+        // Lock contention → HTTP status
+        const contentionStatus = {
+            ER_LOCK_WAIT_TIMEOUT: 423,
+            ER_LOCK_NOWAIT: 423,
+            ROW_LOCKED: 423,
+            ER_LOCK_DEADLOCK: 409,
+            DISTRIBUTED_DEADLOCK: 409,
+            VERSION_CONFLICT: 409,
+            // Not contention, but just as short-lived: the Master is being drained
+            FAILOVER_RECONCILING: 503
+        };
+
         // List of permanent error codes (should not be retried)
         const permanentCodes = [
             'ER_DUP_ENTRY',
@@ -750,15 +1060,20 @@ class db_service {
             'ER_NO_REFERENCED_ROW_2',
             'ER_ACCESS_DENIED_ERROR',
             'ER_BAD_DB_ERROR',
-            'ER_PARSE_ERROR'
+            'ER_PARSE_ERROR',
+            'VERSION_CONFLICT'
         ];
 
         if (retryableCodes.includes(code)) {
-            return { type: 'RETRYABLE', code };
+            return contentionStatus[code]
+                ? { type: 'RETRYABLE', code, httpStatus: contentionStatus[code] }
+                : { type: 'RETRYABLE', code };
         }
 
         if (permanentCodes.includes(code)) {
-            return { type: 'PERMANENT', code };
+            return contentionStatus[code]
+                ? { type: 'PERMANENT', code, httpStatus: contentionStatus[code] }
+                : { type: 'PERMANENT', code };
         }
 
         // If it's a timeout error message but code is generic
@@ -862,7 +1177,7 @@ class db_service {
         const timestamp = new Date().toISOString().slice(0, 19).replace('T', ' ');
         
         // Manually add a missed write to queue
-        db_service.missedWrites[1].push({
+        db_service.getMissedWrites(1).push({
             query: "INSERT INTO users (firstname, lastname, city, country, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?)",
             params: ['Recovery', 'Test', 'TestCity', 'USA', timestamp, timestamp],
             originalTimestamp: timestamp,
@@ -880,7 +1195,7 @@ class db_service {
         
         // Test adding a write
         const timestamp = new Date().toISOString().slice(0, 19).replace('T', ' ');
-        db_service.missedWrites[1].push({
+        db_service.getMissedWrites(1).push({
             query: "INSERT INTO users (firstname, lastname, city, country, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?)",
             params: ['Test', 'User', 'TestCity', 'USA', timestamp, timestamp],
             originalTimestamp: timestamp,
@@ -888,7 +1203,7 @@ class db_service {
             lastError: 'Connection timeout'
         });
         
-        console.log("After push:", db_service.missedWrites[1]);
+        console.log("After push:", db_service.getMissedWrites(1));
         
         // Test clearing
         db_service.missedWrites[1] = [];
@@ -898,38 +1213,63 @@ class db_service {
     }
 
     // ---------------------------------------------------
-    // READ (Strategy 1: Central)
+    // READ BY COUNTRY (Strategy 2: Partition, Central as fallback)
+    // ---------------------------------------------------
+    // The country's Slave serves the read when the consistency level
+    // allows it (default 'bounded': within the read router's lag
+    // bounds). The Master serves it when the Slave is not allowed or
+    // fails, and - except for 'eventual' - when the Slave has no rows.
     // ---------------------------------------------------
-    static async getUsersByCountry(country) {
+    static async getUsersByCountry(country, options = {}) {
+        return (await db_service.readUsersByCountry(country, options)).rows;
+    }
+
+    /**
+     * @param {Object} options - From read_consistency.parseOptions(); bounded when omitted
+     * @returns {Object} - { rows, servedBy, level, reasons }
+     */
+    static async readUsersByCountry(country, options = {}) {
         console.log(`[DB Service] Getting users for country: ${country}`);
+        const consistency = { level: 'bounded', maxLagSeconds: null, sessionToken: null, ...options };
+        const reasons = [];
         
-        // 1. Try Partition First
-        const partitionPool = db_router.getPartitionNode(country);
-        let conn;
-        try {
-            conn = await partitionPool.getConnection();
-            const users = await db_access.findByCountry(conn, country);
-            console.log(`[DB Service] Partition returned ${users.length} records.`);
-            
-            if (users.length > 0) {
-                return users;
+        // 1. Try Partition First, if the consistency level allows it
+        const slaveId = db_router.getSlaveId(country);
+        const { useSlave, reason } = await read_consistency.canReadFromSlave(slaveId, consistency);
+
+        if (!useSlave) {
+            console.log(`[DB Service] Skipping Slave ${slaveId} (${consistency.level}): ${reason}`);
+            reasons.push(`Slave ${slaveId}: ${reason}`);
+        } else {
+            const partitionPool = db_router.getPartitionNode(country);
+            let conn;
+            try {
+                conn = await partitionPool.getConnection();
+                const users = await db_access.findByCountry(conn, country);
+                console.log(`[DB Service] Partition returned ${users.length} records.`);
+                
+                if (users.length > 0 || consistency.level === 'eventual') {
+                    return { rows: users, servedBy: slaveId, level: consistency.level, reasons };
+                }
+                reasons.push(`Slave ${slaveId}: no rows`);
+            } catch (error) {
+                console.error(`[DB Service] Partition read failed:`, error.message);
+                reasons.push(`Slave ${slaveId}: ${error.message}`);
+                // Don't throw yet, try central
+            } finally {
+                if (conn) conn.release();
             }
-        } catch (error) {
-            console.error(`[DB Service] Partition read failed:`, error.message);
-            // Don't throw yet, try central
-        } finally {
-            if (conn) conn.release();
         }
 
-        // 2. Fallback to Central Node if Partition is empty or failed
-        console.log(`[DB Service] Partition empty/failed. Falling back to Central Node.`);
+        // 2. Fallback to Central Node if Partition is not allowed, empty or failed
+        console.log(`[DB Service] Reading from Central Node.`);
         const centralPool = db_router.getCentralNode();
         let centralConn;
         try {
             centralConn = await centralPool.getConnection();
             const users = await db_access.findByCountry(centralConn, country);
             console.log(`[DB Service] Central Node returned ${users.length} records.`);
-            return users;
+            return { rows: users, servedBy: db_router.getMasterId(), level: consistency.level, reasons };
         } catch (error) {
             console.error(`[DB Service] Central Node read failed:`, error);
             throw error;
@@ -938,6 +1278,313 @@ class db_service {
         }
     }
 
+    // =========================================================
+    // XA TWO-PHASE COMMIT HELPERS
+    // =========================================================
+    // Each node taking part in a distributed write runs its own MySQL
+    // XA branch under one global transaction ID (xid). Nothing is
+    // committed until every branch has answered XA PREPARE, so a crash
+    // between the two commits leaves a PREPARED branch behind instead
+    // of diverged nodes.
+    // =========================================================
+
+    /**
+     * Builds a global transaction ID shared by every branch of one 2PC.
+     *
+     * @param {string} operation - Short label for the write (create, update, delete).
+     * @returns {string} - The xid.
+     */
+    static generateXid(operation) {
+        return `${operation}-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Starts an XA branch on a connection and registers it as a participant.
+     *
+     * @param {number} nodeId - Node the connection belongs to (0 = Master)
+     */
+    static async xaBegin(conn, xid, nodeId, participants) {
+        await db_access.xaStart(conn, xid);
+        const name = node_registry.getNodeName(nodeId);
+        participants.push({ nodeId, name, conn, prepared: false });
+        // Visible to the distributed deadlock detector until participants is emptied
+        deadlock_detector.track(xid, participants);
+
+        // A promoted Master being drained takes no new branch. Checked once the
+        // branch is tracked, so the drain either waits for it or it is refused
+        const node = node_registry.getNode(nodeId);
+        if (node.failover && node.failover.draining) {
+            const err = new Error(`${name} is handing the Master role back; retry shortly`);
+            err.code = 'FAILOVER_RECONCILING';
+            throw err;
+        }
+        console.log(`[2PC] ${name} XA branch started (${xid})`);
+    }
+
+    /**
+     * PHASE 1: Sends XA END / XA PREPARE to every participant.
+     * Throws on the first participant that cannot prepare.
+     */
+    static async xaPrepareAll(xid, participants) {
+        for (const participant of participants) {
+            await db_access.xaPrepare(participant.conn, xid);
+            participant.prepared = true;
+            console.log(`[2PC] ${participant.name} PREPARED`);
+        }
+    }
+
+    /**
+     * PHASE 2 (COMMIT): Commits every prepared participant.
+     * Once all branches are PREPARED the decision is final, so a failed
+     * XA COMMIT does not abort the others - the branch stays PREPARED
+     * on its node until it is committed again.
+     *
+     * @returns {Array<number>} - Node IDs of participants whose commit failed.
+     */
+    static async xaCommitAll(xid, participants) {
+        const failed = [];
+        for (const participant of participants) {
+            try {
+                await db_access.xaCommit(participant.conn, xid);
+                console.log(`[2PC] ${participant.name} COMMIT successful`);
+            } catch (err) {
+                console.error(`[2PC] ${participant.name} COMMIT failed, branch left PREPARED: ${err.message}`);
+                failed.push(participant.nodeId);
+            }
+        }
+        participants.length = 0;
+        return failed;
+    }
+
+    /**
+     * PHASE 2 (ABORT): Rolls back every participant, prepared or not.
+     */
+    static async xaRollbackAll(xid, participants) {
+        for (const participant of participants) {
+            await db_access.xaRollback(participant.conn, xid);
+            console.log(`[2PC] ${participant.name} ROLLBACK complete`);
+        }
+        participants.length = 0;
+    }
+
+    /**
+     * Rolls back a single participant and removes it from the transaction.
+     */
+    static async xaAbortBranch(xid, participants, nodeId) {
+        const index = participants.findIndex(p => p.nodeId == nodeId);
+        if (index === -1) return;
+        const { name, conn } = participants[index];
+        await db_access.xaRollback(conn, xid);
+        participants.splice(index, 1);
+        console.log(`[2PC] ${name} branch rolled back`);
+    }
+
+    /**
+     * Runs both phases of an XA transaction whose branches are all started.
+     *
+     *   1. XA PREPARE on every participant
+     *   2. Durably log the COMMIT decision on the Master
+     *   3. XA COMMIT every participant
+     *   4. Mark the log entry completed (or pending for nodes that failed)
+     *
+     * If the decision cannot be logged the transaction is not committed.
+     */
+    static async xaCommitDistributed(xid, operation, participants) {
+        await db_service.xaPrepareAll(xid, participants);
+
+        // The decision must be durable before any participant is told to commit
+        await transaction_log.recordDecision(xid, operation, participants.map(p => p.nodeId), 'COMMIT');
+        console.log('[2PC] PHASE 2: COMMIT - All nodes PREPARED, decision logged');
+
+        const failed = await db_service.xaCommitAll(xid, participants);
+        try {
+            await transaction_log.markCompleted(xid, failed);
+        } catch (err) {
+            // Recovery re-drives the entry; committed branches report XAER_NOTA
+            console.error(`[TxLog] ${xid}: could not mark completed: ${err.message}`);
+        }
+        return failed;
+    }
+
+    /**
+     * Aborts an XA transaction and rolls back every branch.
+     * The ABORT decision is only logged (best effort) once a branch has
+     * been PREPARED - unprepared branches cannot outlive their connection,
+     * and a missing entry is presumed aborted anyway.
+     */
+    static async xaAbortDistributed(xid, operation, participants) {
+        const anyPrepared = participants.some(p => p.prepared);
+
+        if (anyPrepared) {
+            try {
+                await transaction_log.recordDecision(xid, operation, participants.map(p => p.nodeId), 'ABORT');
+            } catch (err) {
+                console.error(`[TxLog] ${xid}: could not log ABORT decision: ${err.message}`);
+            }
+        }
+
+        await db_service.xaRollbackAll(xid, participants);
+
+        if (anyPrepared) {
+            try {
+                await transaction_log.markCompleted(xid, []);
+            } catch (err) {
+                console.error(`[TxLog] ${xid}: could not mark completed: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * Queue the Slave's share of the write in the Master branch, then
+     * commit that branch on its own. Used when the Slave is offline or
+     * unreachable, so the Master stays available and the Slave converges
+     * through recovery.
+     *
+     * @param {Object} write - { userId, operation, sql, params, seq }
+     * @param {Function|null} beforeCommit - async (queueSize) => void, run in
+     *                                       the branch just before it commits
+     * @returns {number} - Pending queue size for the Slave
+     */
+    static async commitMasterAndQueue(xid, participants, masterConn, slaveId, write, reason, beforeCommit = null) {
+        await db_service.xaAbortBranch(xid, participants, slaveId);
+
+        const queueSize = await db_service.queueMissedWrite(masterConn, slaveId, write, reason);
+        if (beforeCommit) await beforeCommit(queueSize);
+
+        await db_access.xaCommitOnePhase(masterConn, xid);
+        participants.length = 0;
+        console.log('[2PC] Master COMMIT successful (one phase)');
+        console.log(`[2PC] ${write.operation} queued for Slave ${slaveId}`);
+        return queueSize;
+    }
+
+    /**
+     * Whether earlier writes for a Slave are still waiting in the queue.
+     * A new write must then be queued behind them rather than applied
+     * directly, or the Slave would see changes out of sequence order.
+     *
+     * Call it only after change_log.append for the Slave, i.e. holding
+     * its change log lock. It reads through the pool rather than the
+     * write's branch: the branch's snapshot may predate the commit of
+     * the write that held the lock before, and miss its queue entry.
+     */
+    static async hasQueuedWrites(slaveId) {
+        const [rows] = await db_router.getMasterNode().query(`
+            SELECT 1 FROM recovery_queue
+            WHERE target_partition = ? AND status IN ('pending', 'processing', 'failed')
+            LIMIT 1
+        `, [slaveId]);
+        return rows.length > 0;
+    }
+
+    // Error used to route a write to the queue while its Slave has a backlog
+    static backlogError(slaveId) {
+        const err = new Error(`Slave ${slaveId} has earlier writes waiting in the queue`);
+        err.code = 'REPLICATION_BACKLOG';
+        return err;
+    }
+
+    /**
+     * Acquire a Slave connection and start its XA branch.
+     * Any failure here means the Slave is unavailable for this write.
+     */
+    static async joinSlave(slavePool, slaveId, xid, participants, isolation = db_access.DEFAULT_ISOLATION) {
+        const slaveConn = await Promise.race([
+            slavePool.getConnection(),
+            new Promise((_, reject) => setTimeout(() => reject(new Error('Slave connection timeout')), 3000))
+        ]);
+        try {
+            console.log('[2PC] Slave connection acquired');
+            await db_access.setIsolationLevel(slaveConn, isolation);
+            console.log(`[2PC] Slave isolation set to ${isolation}`);
+            await db_service.xaBegin(slaveConn, xid, slaveId, participants);
+            return slaveConn;
+        } catch (err) {
+            slaveConn.release();
+            throw err;
+        }
+    }
+
+    // Lowest safe user ID on a Master promoted by failover (0 otherwise)
+    static getIdFloor() {
+        const master = node_registry.getNode(node_registry.getMasterId());
+        return master.failover ? master.failover.idFloor : 0;
+    }
+
+    /**
+     * Record a write taken by a Master promoted by failover, inside the
+     * write's own XA branch, so failover_manager.reconcile() can replay
+     * it onto the original Master. No-op when no failover is active.
+     *
+     * @param {Object|null} row - Row as committed; read back from the Master
+     *                            branch when omitted (ignored for DELETE)
+     */
+    static async recordInterimWrite(masterConn, xid, operation, userId, row = null) {
+        const master = node_registry.getNode(node_registry.getMasterId());
+        if (!master.failover) return;
+
+        if (operation !== 'DELETE' && !row) {
+            row = db_service.toUserRow(await db_access.findById(masterConn, userId));
+        }
+
+        await masterConn.query(
+            'INSERT INTO failover_writes (epoch, xid, operation, user_id, row_json) VALUES (?, ?, ?, ?, ?)',
+            [master.failover.epoch, xid, operation, userId, row ? JSON.stringify(row) : null]
+        );
+        console.log(`[Failover] ${operation} of user ${userId} recorded for reconciliation`);
+    }
+
+    // ---------------------------------------------------
+    // CRUD RETRY (see models/retry_policy.js)
+    // ---------------------------------------------------
+    // createUser, updateUser and deleteUser run their distributed
+    // transaction (the *Once methods below) through retry_policy. An
+    // attempt that lost to lock contention has been rolled back on every
+    // node by its abort path, so it is run again from scratch after a
+    // jittered backoff, while attempts and the shared retry budget last.
+    // Results carry `attempts`; so does the error that finally surfaces.
+    //
+    // Deadlocks (InnoDB's or the distributed detector's) are retried. A
+    // lock wait timeout is retried only when the request set a short
+    // lockTimeout (up to RETRY_MAX_LOCK_TIMEOUT_S): under the server
+    // default every attempt could wait ~50s before failing. NOWAIT and
+    // SKIP LOCKED get the contention back at once.
+    // ---------------------------------------------------
+
+    static TRANSACTION_RETRY_CODES = ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT', 'DISTRIBUTED_DEADLOCK'];
+
+    static RETRY_MAX_LOCK_TIMEOUT_S = parseInt(process.env.TX_RETRY_MAX_LOCK_TIMEOUT_S) || 5;
+
+    static isTransactionRetryable(error, lockPolicy = null) {
+        const { type, code } = db_service.classifyError(error);
+        if (type !== 'RETRYABLE' || !db_service.TRANSACTION_RETRY_CODES.includes(code)) return false;
+        if (code !== 'ER_LOCK_WAIT_TIMEOUT') return true;
+        return !!lockPolicy && lockPolicy.timeout !== null && lockPolicy.timeout <= db_service.RETRY_MAX_LOCK_TIMEOUT_S;
+    }
+
+    static async withTransactionRetry(operation, lockPolicy, fn) {
+        const { result, attempts } = await retry_policy.run(
+            operation, fn, (error) => db_service.isTransactionRetryable(error, lockPolicy)
+        );
+        return { ...result, attempts };
+    }
+
+    static async createUser(userData, NODE_STATE = null, idempotencyKey = null, lockPolicy = null) {
+        // Each attempt gets its own copy: createUserOnce strips `id` from it
+        return db_service.withTransactionRetry('create', lockPolicy,
+            () => db_service.createUserOnce({ ...userData }, NODE_STATE, idempotencyKey, lockPolicy));
+    }
+
+    static async updateUser(id, newData, NODE_STATE = null, lockPolicy = null) {
+        return db_service.withTransactionRetry('update', lockPolicy,
+            () => db_service.updateUserOnce(id, newData, NODE_STATE, lockPolicy));
+    }
+
+    static async deleteUser(id, countryHint = null, NODE_STATE = null, expectedVersion = null, lockPolicy = null) {
+        return db_service.withTransactionRetry('delete', lockPolicy,
+            () => db_service.deleteUserOnce(id, countryHint, NODE_STATE, expectedVersion, lockPolicy));
+    }
+
     // ---------------------------------------------------
     // CREATE - Two-Phase Commit (2PC) with Master-Slave Architecture
     // ---------------------------------------------------
@@ -951,23 +1598,30 @@ class db_service {
     //   - Isolation: REPEATABLE READ prevents phantom reads
     //   - Durability: Committed changes are persisted
     //
-    // 2PC Protocol:
-    //   - PHASE 1 (PREPARE): Set isolation, begin transactions, acquire locks
-    //   - PHASE 2 (COMMIT/ABORT): Commit both if successful, rollback both if any fails
+    // 2PC Protocol (MySQL XA):
+    //   - PHASE 1 (PREPARE): XA START on each node, execute writes, XA END + XA PREPARE
+    //   - PHASE 2 (COMMIT/ABORT): XA COMMIT once every node is PREPARED, XA ROLLBACK otherwise
     //
     // Pessimistic Locking:
     //   - SELECT ... FOR UPDATE on ID sequence prevents concurrent ID conflicts
+    //   - lockPolicy (db_access.parseLockPolicy) sets how that lock waits:
+    //     WAIT [timeout] or NOWAIT; SKIP_LOCKED is refused
+    //
+    // Idempotency (idempotencyKey given, see models/idempotency.js):
+    //   - Checked under the ID lock; a known key returns the stored response
+    //   - The key and response are written in the Master branch, so they
+    //     commit together with the user
     // ---------------------------------------------------
 
-    static async createUser(userData, NODE_STATE = null) {
+    static async createUserOnce(userData, NODE_STATE = null, idempotencyKey = null, lockPolicy = null) {
         console.log('[2PC] ===== CREATE USER - Two-Phase Commit =====');
         console.log('[2PC] User Data:', userData);
         console.log('[2PC] NODE_STATE:', NODE_STATE);
-        
+
         if (userData.id !== undefined) {
             delete userData.id;
         }
-        
+
         if (!userData.country) {
             throw new Error("Country is required.");
         }
@@ -981,16 +1635,24 @@ class db_service {
             throw new Error("Master node pool is not configured");
         }
 
+        const xid = db_service.generateXid('create');
+        const participants = [];
+        const requestHash = idempotencyKey ? idempotency.hashRequest(userData) : null;
         let masterConn, slaveConn;
-        let masterPrepared = false;
-        let slavePrepared = false;
+
+        // Store the response with the key (no-op without one), inside the Master branch
+        const rememberResponse = async (userId, response) => {
+            if (idempotencyKey) {
+                await idempotency.saveResponse(masterConn, idempotencyKey, requestHash, userId, response);
+            }
+        };
 
         try {
             // =========================================================
-            // PHASE 1: PREPARE - Acquire connections and locks
+            // PHASE 1: PREPARE - Start XA branches, execute writes, prepare
             // =========================================================
-            console.log('[2PC] PHASE 1: PREPARE');
-            
+            console.log(`[2PC] PHASE 1: PREPARE (xid: ${xid})`);
+
             // 1a. Acquire Master connection
             console.log('[2PC] Acquiring Master (Central) connection...');
             try {
@@ -1001,36 +1663,43 @@ class db_service {
             } catch (connError) {
                 throw new Error(`[2PC] PREPARE FAILED - Master unreachable: ${connError.message}`);
             }
-            
+
             if (!masterConn) {
                 throw new Error("[2PC] PREPARE FAILED - Master connection undefined");
             }
             console.log('[2PC] Master connection acquired');
-            
+
             // 1b. Set REPEATABLE READ isolation on Master
             await db_access.setIsolationLevel(masterConn, db_access.DEFAULT_ISOLATION);
             console.log(`[2PC] Master isolation set to ${db_access.DEFAULT_ISOLATION}`);
-            
-            // 1c. Begin transaction on Master
-            await masterConn.beginTransaction();
-            console.log('[2PC] Master transaction started');
-            masterPrepared = true;
+
+            // 1c. Start XA branch on Master
+            await db_service.xaBegin(masterConn, xid, db_router.getMasterId(), participants);
 
             // 1d. PESSIMISTIC LOCK: Lock ID sequence to prevent concurrent inserts
             // SELECT FOR UPDATE creates exclusive lock on the row
             console.log('[2PC] Acquiring pessimistic lock on ID sequence...');
-            const [rows] = await masterConn.query(
-                'SELECT id FROM users ORDER BY id DESC LIMIT 1 FOR UPDATE'
-            );
-            const lastId = rows.length ? rows[0].id : 0;
-            const newId = parseInt(lastId) + 1;
+            const lastId = await db_access.lockForNewId(masterConn, lockPolicy);
+
+            // A retried request: answer with the original response, write nothing
+            if (idempotencyKey) {
+                const previous = await idempotency.findResponse(masterConn, idempotencyKey, requestHash);
+                if (previous) {
+                    console.log(`[2PC] Idempotency-Key '${idempotencyKey}' already used for user ${previous.id} - replaying response`);
+                    await db_service.xaAbortDistributed(xid, 'create', participants);
+                    return { ...previous, idempotentReplay: true };
+                }
+            }
+
+            // After a failover the promoted Master may hold fewer rows than the IDs already issued
+            const newId = Math.max(parseInt(lastId), db_service.getIdFloor()) + 1;
             console.log(`[2PC] Pessimistic lock acquired. Generated new ID: ${newId}`);
 
             // 1e. Prepare Data
             const timestamp = new Date().toISOString().slice(0, 19).replace('T', ' ');
-            
+
             const fullData = {
-                id: newId, 
+                id: newId,
                 firstname: userData.firstName,
                 lastname: userData.lastName,
                 city: userData.city,
@@ -1042,176 +1711,103 @@ class db_service {
 
             console.log(`[2PC] User with country "${userData.country}" routes to Slave ${slaveId}`);
 
-            // 1f. Insert into Master (still in PREPARE phase, not committed yet)
+            // 1f. Insert into Master (inside the XA branch, not committed yet)
             console.log('[2PC] Executing INSERT on Master...');
             await db_access.insertUser(masterConn, fullData);
+            await db_service.recordInterimWrite(masterConn, xid, 'INSERT', newId, fullData);
+            db_service.captureWrite(slaveId, newId);
             console.log('[2PC] Master INSERT executed (not committed)');
 
-            // 1g. Check if Slave is simulated as offline
-            if (NODE_STATE && !NODE_STATE[slaveId]) {
-                console.log(`[2PC] Slave ${slaveId} is OFFLINE (simulated)`);
-                console.log('[2PC] PHASE 2: COMMIT Master, QUEUE Slave write');
-                
-                // Commit Master since Slave is intentionally offline
-                await masterConn.commit();
-                console.log('[2PC] Master COMMIT successful');
-                masterPrepared = false;
-                
-                // Queue the write for Slave using PERSISTENT queue
-                const sql = 'INSERT INTO users (id, firstname, lastname, city, country, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?)';
-                const params = [fullData.id, fullData.firstname, fullData.lastname, fullData.city, fullData.country, fullData.createdAt, fullData.updatedAt];
-                
-                await db_service.queueMissedWrite(
-                    slaveId,
-                    fullData.id,
-                    sql,
-                    params,
-                    new Error('Node is OFFLINE (simulated)')
-                );
-                console.log(`[2PC] Write queued for Slave ${slaveId} in persistent queue`);
-                
-                // Get queue count
-                let queueSize = 1;
+            // The Slave's share of the write, as logged and (if needed) queued
+            const sql = 'INSERT INTO users (id, firstname, lastname, city, country, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?)';
+            const params = [fullData.id, fullData.firstname, fullData.lastname, fullData.city, fullData.country, fullData.createdAt, fullData.updatedAt];
+            const seq = await change_log.append(masterConn, { xid, slaveId, userId: newId, operation: 'INSERT', sql, params });
+
+            const slaveWrite = { userId: newId, operation: 'INSERT', sql, params, seq };
+
+            // 1g. Acquire Slave connection and start its XA branch
+            let slaveError = null;
+            if (db_service.isSimulatedOffline(NODE_STATE, slaveId)) {
+                slaveError = new Error('Node is OFFLINE (simulated)');
+            } else if (await db_service.hasQueuedWrites(slaveId)) {
+                slaveError = db_service.backlogError(slaveId);
+            } else {
                 try {
-                    const queueStatus = await db_service.getPersistentQueueStatus();
-                    queueSize = queueStatus[slaveId];
-                } catch (e) { /* ignore */ }
-                
-                return {
-                    success: true,
-                    id: newId,
-                    message: `User created with ID ${newId}. Slave ${slaveId} offline - write queued.`,
-                    queuedForPartition: slaveId,
-                    queueSize: queueSize,
-                    protocol: '2PC',
-                    isolation: db_access.DEFAULT_ISOLATION
-                };
+                    slaveConn = await db_service.joinSlave(slavePool, slaveId, xid, participants);
+                } catch (connError) {
+                    slaveError = connError;
+                }
             }
 
-            // 1h. Acquire Slave connection and prepare
-            console.log('[2PC] Acquiring Slave connection...');
-            try {
-                slaveConn = await Promise.race([
-                    slavePool.getConnection(),
-                    new Promise((_, reject) => setTimeout(() => reject(new Error('Slave connection timeout')), 3000))
-                ]);
-                console.log('[2PC] Slave connection acquired');
-                
-                // Set REPEATABLE READ isolation on Slave
-                await db_access.setIsolationLevel(slaveConn, db_access.DEFAULT_ISOLATION);
-                console.log(`[2PC] Slave isolation set to ${db_access.DEFAULT_ISOLATION}`);
-                
-                // Begin transaction on Slave
-                await slaveConn.beginTransaction();
-                console.log('[2PC] Slave transaction started');
-                slavePrepared = true;
-
-                // Insert into Slave
-                console.log('[2PC] Executing INSERT on Slave...');
-                await db_access.insertUser(slaveConn, fullData);
-                console.log('[2PC] Slave INSERT executed (not committed)');
-                
-            } catch (connError) {
-                console.error(`[2PC] PREPARE FAILED on Slave ${slaveId}:`, connError.message);
-                
-                // 2PC ABORT: Rollback Master since Slave failed to prepare
-                console.log('[2PC] PHASE 2: ABORT - Rolling back Master...');
-                if (masterPrepared && masterConn) {
-                    await masterConn.rollback();
-                    masterPrepared = false;
-                    console.log('[2PC] Master ROLLBACK complete');
-                }
-                
-                // Queue for later recovery
-                const sql = 'INSERT INTO users (id, firstname, lastname, city, country, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?)';
-                const params = [fullData.id, fullData.firstname, fullData.lastname, fullData.city, fullData.country, fullData.createdAt, fullData.updatedAt];
-                
-                // Re-commit to Master first (for data availability)
-                console.log('[2PC] Re-committing to Master for availability...');
-                await masterConn.beginTransaction();
-                await db_access.insertUser(masterConn, fullData);
-                await masterConn.commit();
-                
-                await db_service.queueMissedWrite(slaveId, fullData.id, sql, params, connError);
-                console.log(`[2PC] Write queued for Slave ${slaveId}`);
-                
-                let queueSize = 1;
-                try {
-                    const queueStatus = await db_service.getPersistentQueueStatus();
-                    queueSize = queueStatus[slaveId];
-                } catch (e) { /* ignore */ }
-                
-                return {
+            if (slaveError) {
+                console.error(`[2PC] Slave ${slaveId} unavailable: ${slaveError.message}`);
+                console.log('[2PC] PHASE 2: COMMIT Master, QUEUE Slave INSERT');
+
+                const offline = db_service.isSimulatedOffline(NODE_STATE, slaveId);
+                const backlog = slaveError.code === 'REPLICATION_BACKLOG';
+                const response = {
                     success: true,
                     id: newId,
-                    message: `User created with ID ${newId}. Slave ${slaveId} connection failed - write queued.`,
+                    message: offline
+                        ? `User created with ID ${newId}. Slave ${slaveId} offline - write queued.`
+                        : backlog
+                            ? `User created with ID ${newId}. Slave ${slaveId} has queued writes - write queued behind them.`
+                            : `User created with ID ${newId}. Slave ${slaveId} connection failed - write queued.`,
                     queuedForPartition: slaveId,
-                    queueSize: queueSize,
-                    reason: 'SLAVE_CONNECTION_FAILURE',
+                    changes: [{ partition: slaveId, seq }],
+                    ...(offline ? {} : { reason: backlog ? 'REPLICATION_BACKLOG' : 'SLAVE_CONNECTION_FAILURE' }),
                     protocol: '2PC',
+                    xid: xid,
                     isolation: db_access.DEFAULT_ISOLATION
                 };
+
+                // The stored response must be the one sent, queue size included
+                const queueSize = await db_service.commitMasterAndQueue(
+                    xid, participants, masterConn, slaveId, slaveWrite, slaveError,
+                    (size) => rememberResponse(newId, { ...response, queueSize: size })
+                );
+                return { ...response, queueSize: queueSize };
             }
 
-            // =========================================================
-            // PHASE 2: COMMIT - All nodes prepared successfully
-            // =========================================================
-            console.log('[2PC] PHASE 2: COMMIT - All nodes prepared');
-            
-            // Commit Master first
-            console.log('[2PC] Committing Master...');
-            await masterConn.commit();
-            masterPrepared = false;
-            console.log('[2PC] Master COMMIT successful');
-            
-            // Commit Slave
-            console.log('[2PC] Committing Slave...');
-            await slaveConn.commit();
-            slavePrepared = false;
-            console.log('[2PC] Slave COMMIT successful');
-            
-            console.log('[2PC] ===== 2PC COMPLETE: SUCCESS =====');
+            // 1h. Insert into Slave (inside its XA branch, not committed yet)
+            console.log('[2PC] Executing INSERT on Slave...');
+            await db_access.insertUser(slaveConn, fullData);
+            await change_log.markApplied(slaveConn, slaveId, seq);
+            console.log('[2PC] Slave INSERT executed (not committed)');
 
             // Both successful
-            return {
+            const response = {
                 success: true,
                 id: newId,
                 message: `User created with ID ${newId} in Master and Slave.`,
                 protocol: '2PC',
+                xid: xid,
                 isolation: db_access.DEFAULT_ISOLATION,
+                changes: [{ partition: slaveId, seq }],
                 locking: 'PESSIMISTIC'
             };
-            
+            await rememberResponse(newId, response);
+
+            // =========================================================
+            // PHASE 2: COMMIT - All nodes prepared successfully
+            // =========================================================
+            // 1i. XA PREPARE everywhere, log the decision, then XA COMMIT
+            await db_service.xaCommitDistributed(xid, 'create', participants);
+
+            console.log('[2PC] ===== 2PC COMPLETE: SUCCESS =====');
+
+            return response;
+
         } catch (error) {
             console.error("[2PC] Transaction Failed:", error.message);
             console.error("[2PC] Error stack:", error.stack);
-            
+
             // =========================================================
-            // PHASE 2: ABORT - Rollback all prepared nodes
+            // PHASE 2: ABORT - Rollback all started branches
             // =========================================================
             console.log('[2PC] PHASE 2: ABORT - Rolling back all nodes');
-            
-            try {
-                if (masterPrepared && masterConn) {
-                    console.log('[2PC] Rolling back Master...');
-                    await masterConn.rollback();
-                    console.log('[2PC] Master ROLLBACK complete');
-                }
-            } catch (rbError) {
-                console.error('[2PC] Master rollback failed:', rbError.message);
-            }
-            
-            try {
-                if (slavePrepared && slaveConn) {
-                    console.log('[2PC] Rolling back Slave...');
-                    await slaveConn.rollback();
-                    console.log('[2PC] Slave ROLLBACK complete');
-                }
-            } catch (rbError) {
-                console.error('[2PC] Slave rollback failed:', rbError.message);
-            }
-            
-            throw error;
+            await db_service.xaAbortDistributed(xid, 'create', participants);
+            throw deadlock_detector.victimError(xid, error);
         } finally {
             if (masterConn) {
                 console.log('[2PC] Releasing Master connection');
@@ -1229,172 +1825,381 @@ class db_service {
     // ---------------------------------------------------
     // UPDATE - Two-Phase Commit (2PC) with Master-Slave Architecture
     // ---------------------------------------------------
-    // Uses same 2PC protocol as CREATE:
-    //   - PHASE 1 (PREPARE): Set REPEATABLE READ, begin transactions, acquire exclusive locks
-    //   - PHASE 2 (COMMIT/ABORT): Commit both if successful, rollback both if any fails
+    // Uses same XA 2PC protocol as CREATE:
+    //   - PHASE 1 (PREPARE): Set REPEATABLE READ, XA START, acquire exclusive locks, write, XA PREPARE
+    //   - PHASE 2 (COMMIT/ABORT): XA COMMIT both if prepared, XA ROLLBACK both if any fails
     //
-    // Pessimistic Locking:
+    // Pessimistic Locking (default):
     //   - SELECT ... FOR UPDATE on the row being updated
     //   - Prevents concurrent modifications (lost updates)
+    //
+    // Optimistic Locking (newData.version given):
+    //   - No lock up front; UPDATE ... WHERE id = ? AND version = ?
+    //   - A concurrent change makes it fail with VERSION_CONFLICT (409)
+    //
+    // lockPolicy (db_access.parseLockPolicy) applies to every row lock the
+    // update takes: Master, Slave and, on a country change, the old Slave.
+    //
+    // Every update bumps `version`; Slaves receive the new value as-is.
+    //
+    // Slave unavailable (offline or unreachable):
+    //   - Master commits alone, the UPDATE is queued for the Slave
+    //
+    // Country change across partitions (see migrateUserPartition):
+    //   - Master UPDATE + old Slave DELETE + new Slave INSERT in one 2PC
     // ---------------------------------------------------
-    
-    static async updateUser(id, newData) {
+
+    static async updateUserOnce(id, newData, NODE_STATE = null, lockPolicy = null) {
         console.log('[2PC] ===== UPDATE USER - Two-Phase Commit =====');
         console.log('[2PC] User ID:', id, 'New Data:', newData);
-        
+
         // Sanitize data to match 'users' table schema
         const sanitizedData = {};
         if (newData.firstName) sanitizedData.firstname = newData.firstName;
         if (newData.lastName) sanitizedData.lastname = newData.lastName;
         if (newData.city) sanitizedData.city = newData.city;
         if (newData.country) sanitizedData.country = newData.country;
-        
+
         // If sanitizedData is empty, nothing to update
         if (Object.keys(sanitizedData).length === 0) {
              return { success: true, message: "No valid fields to update." };
         }
 
+        // A version from the client selects OPTIMISTIC locking
+        let expectedVersion = null;
+        if (newData.version !== undefined && newData.version !== null && newData.version !== '') {
+            expectedVersion = Number(newData.version);
+            if (!Number.isInteger(expectedVersion)) {
+                const err = new Error(`Invalid version '${newData.version}'. Must be an integer.`);
+                err.code = 'INVALID_VERSION';
+                throw err;
+            }
+        }
+        const locking = expectedVersion === null ? 'PESSIMISTIC' : 'OPTIMISTIC';
+
         const masterPool = db_router.getMasterNode();
+        const xid = db_service.generateXid('update');
+        const participants = [];
         let masterConn, slaveConn;
-        let masterPrepared = false;
-        let slavePrepared = false;
+        const migrationConns = [];
 
         try {
             // =========================================================
             // PHASE 1: PREPARE
             // =========================================================
-            console.log('[2PC] PHASE 1: PREPARE');
-            
+            console.log(`[2PC] PHASE 1: PREPARE (xid: ${xid})`);
+
             // 1a. Acquire Master connection
             masterConn = await masterPool.getConnection();
             console.log('[2PC] Master connection acquired');
-            
+
             // 1b. Set REPEATABLE READ isolation
             await db_access.setIsolationLevel(masterConn, db_access.DEFAULT_ISOLATION);
             console.log(`[2PC] Master isolation set to ${db_access.DEFAULT_ISOLATION}`);
-            
-            // 1c. Begin transaction
-            await masterConn.beginTransaction();
-            masterPrepared = true;
-            console.log('[2PC] Master transaction started');
 
-            // 1d. Find user and acquire PESSIMISTIC LOCK
-            console.log('[2PC] Acquiring pessimistic lock on user...');
-            const user = await db_access.lockRowExclusive(masterConn, 'users', id);
-            if (!user) throw new Error(`User with ID ${id} not found.`);
-            console.log(`[2PC] Pessimistic lock acquired on user ${id} (${user.country})`);
+            // 1c. Start XA branch on Master
+            await db_service.xaBegin(masterConn, xid, db_router.getMasterId(), participants);
+
+            // 1d. Find user: PESSIMISTIC locks it now, OPTIMISTIC only reads it
+            //     and lets the conditional UPDATE catch a concurrent change
+            let user;
+            if (locking === 'PESSIMISTIC') {
+                console.log('[2PC] Acquiring pessimistic lock on user...');
+                user = await db_access.lockRowExclusive(masterConn, 'users', id, lockPolicy);
+                if (!user) throw db_access.userNotFound(id);
+                console.log(`[2PC] Pessimistic lock acquired on user ${id} (${user.country})`);
+            } else {
+                user = await db_access.findById(masterConn, id);
+                if (!user) throw db_access.userNotFound(id);
+                if (user.version !== expectedVersion) {
+                    throw db_access.versionConflict(id, expectedVersion, user.version);
+                }
+                console.log(`[2PC] Optimistic read of user ${id} (${user.country}) at version ${user.version}`);
+            }
+            const newVersion = (expectedVersion === null ? user.version : expectedVersion) + 1;
+            const slaveData = { ...sanitizedData, version: newVersion };
 
             // 1e. Get Slave pool based on user's country
             const slavePool = db_router.getSlaveNode(user.country);
             const slaveId = db_router.getSlaveId(user.country);
-            
-            // 1f. Acquire Slave connection and prepare
-            slaveConn = await slavePool.getConnection();
-            console.log('[2PC] Slave connection acquired');
-            
-            await db_access.setIsolationLevel(slaveConn, db_access.DEFAULT_ISOLATION);
-            console.log(`[2PC] Slave isolation set to ${db_access.DEFAULT_ISOLATION}`);
-            
-            await slaveConn.beginTransaction();
-            slavePrepared = true;
-            console.log('[2PC] Slave transaction started');
-            
-            // 1g. Acquire pessimistic lock on Slave
-            await db_access.lockRowExclusive(slaveConn, 'users', id);
-            console.log('[2PC] Pessimistic lock acquired on Slave');
+            const newSlaveId = db_router.getSlaveId(sanitizedData.country || user.country);
 
-            // 1h. Execute UPDATE on both nodes (not committed yet)
+            // 1f. Execute UPDATE on Master (not committed yet)
             console.log('[2PC] Executing UPDATE on Master...');
-            await db_access.updateUser(masterConn, id, sanitizedData);
+            await db_access.updateUser(masterConn, id, sanitizedData, expectedVersion);
+            await db_service.recordInterimWrite(masterConn, xid, 'UPDATE', id);
+            db_service.captureWrite(slaveId, id);
+            db_service.captureWrite(newSlaveId, id);
             console.log('[2PC] Master UPDATE executed');
-            
+
+            // Country change crossing a partition boundary: move the row between Slaves
+            if (newSlaveId !== slaveId) {
+                const moved = await db_service.migrateUserPartition({
+                    id, xid, participants, masterConn, NODE_STATE, lockPolicy,
+                    fromSlaveId: slaveId,
+                    toSlaveId: newSlaveId,
+                    connections: migrationConns
+                });
+                return { ...moved, locking, version: newVersion };
+            }
+
+            const slaveWrite = { userId: id, operation: 'UPDATE', ...db_access.buildUpdateUser(id, slaveData) };
+            slaveWrite.seq = await change_log.append(masterConn, { xid, slaveId, ...slaveWrite });
+
+            // 1g. Acquire Slave connection and start its XA branch
+            let slaveError = null;
+            if (db_service.isSimulatedOffline(NODE_STATE, slaveId)) {
+                slaveError = new Error('Node is OFFLINE (simulated)');
+            } else if (await db_service.hasQueuedWrites(slaveId)) {
+                slaveError = db_service.backlogError(slaveId);
+            } else {
+                try {
+                    slaveConn = await db_service.joinSlave(slavePool, slaveId, xid, participants);
+                } catch (connError) {
+                    slaveError = connError;
+                }
+            }
+
+            if (slaveError) {
+                console.error(`[2PC] Slave ${slaveId} unavailable: ${slaveError.message}`);
+                console.log('[2PC] PHASE 2: COMMIT Master, QUEUE Slave UPDATE');
+
+                const queueSize = await db_service.commitMasterAndQueue(xid, participants, masterConn, slaveId, slaveWrite, slaveError);
+
+                return {
+                    success: true,
+                    message: `User updated. Slave ${slaveId} unavailable - write queued.`,
+                    queuedForPartition: slaveId,
+                    changes: [{ partition: slaveId, seq: slaveWrite.seq }],
+                    queueSize: queueSize,
+                    protocol: '2PC',
+                    xid: xid,
+                    isolation: db_access.DEFAULT_ISOLATION,
+                    locking,
+                    version: newVersion
+                };
+            }
+
+            // 1h. Acquire pessimistic lock on Slave and execute UPDATE (not committed yet)
+            await db_access.lockRowExclusive(slaveConn, 'users', id, lockPolicy);
+            console.log('[2PC] Pessimistic lock acquired on Slave');
+
             console.log('[2PC] Executing UPDATE on Slave...');
-            await db_access.updateUser(slaveConn, id, sanitizedData);
+            await db_access.updateUser(slaveConn, id, slaveData);
+            await change_log.markApplied(slaveConn, slaveId, slaveWrite.seq);
             console.log('[2PC] Slave UPDATE executed');
 
             // =========================================================
             // PHASE 2: COMMIT
             // =========================================================
-            console.log('[2PC] PHASE 2: COMMIT');
-            
-            await masterConn.commit();
-            masterPrepared = false;
-            console.log('[2PC] Master COMMIT successful');
-            
-            await slaveConn.commit();
-            slavePrepared = false;
-            console.log('[2PC] Slave COMMIT successful');
-            
+            // 1i. XA PREPARE everywhere, log the decision, then XA COMMIT
+            await db_service.xaCommitDistributed(xid, 'update', participants);
+
             console.log('[2PC] ===== 2PC UPDATE COMPLETE: SUCCESS =====');
 
-            return { 
-                success: true, 
+            return {
+                success: true,
                 message: "User updated successfully.",
                 protocol: '2PC',
+                xid: xid,
                 isolation: db_access.DEFAULT_ISOLATION,
-                locking: 'PESSIMISTIC'
+                changes: [{ partition: slaveId, seq: slaveWrite.seq }],
+                locking,
+                version: newVersion
             };
-            
+
         } catch (error) {
             console.error('[2PC] Update failed:', error.message);
-            
+
             // PHASE 2: ABORT
             console.log('[2PC] PHASE 2: ABORT');
-            
-            if (masterPrepared && masterConn) {
-                await masterConn.rollback();
-                console.log('[2PC] Master ROLLBACK complete');
-            }
-            if (slavePrepared && slaveConn) {
-                await slaveConn.rollback();
-                console.log('[2PC] Slave ROLLBACK complete');
-            }
-            throw error;
+            await db_service.xaAbortDistributed(xid, 'update', participants);
+            throw deadlock_detector.victimError(xid, error);
         } finally {
             if (masterConn) masterConn.release();
             if (slaveConn) slaveConn.release();
+            migrationConns.forEach(conn => conn.release());
+        }
+    }
+
+    /**
+     * Country change that crosses a partition boundary, as ONE distributed
+     * transaction: the Master UPDATE (already executed by the caller), a
+     * DELETE on the old Slave and an INSERT of the updated row on the new one.
+     *
+     * A Slave that is offline, unreachable or behind on its queue is left
+     * out of the transaction and its share of the move is queued in the
+     * Master branch, committing with the rest. A Slave that joins but fails
+     * its step (lock contention, deadlock victim, ...) aborts the move.
+     *
+     * @param {Object} ctx - { id, xid, participants, masterConn, NODE_STATE,
+     *                         lockPolicy, fromSlaveId, toSlaveId, connections }
+     *                       Slave connections are pushed to `connections`
+     *                       for the caller to release.
+     */
+    static async migrateUserPartition({ id, xid, participants, masterConn, NODE_STATE, lockPolicy = null, fromSlaveId, toSlaveId, connections }) {
+        console.log(`[2PC] Country change moves user ${id} from Slave ${fromSlaveId} to Slave ${toSlaveId}`);
+
+        // Row as it will look after commit (the Master branch sees its own UPDATE)
+        const row = db_service.toUserRow(await db_access.findById(masterConn, id));
+
+        const steps = [
+            {
+                slaveId: fromSlaveId,
+                operation: 'DELETE',
+                sql: 'DELETE FROM users WHERE id = ?',
+                params: [id],
+                apply: async (conn) => {
+                    await db_access.lockRowExclusive(conn, 'users', id, lockPolicy);
+                    await db_access.deleteUser(conn, id);
+                }
+            },
+            {
+                slaveId: toSlaveId,
+                operation: 'INSERT',
+                sql: `INSERT INTO users (${Object.keys(row).join(', ')}) VALUES (${Object.keys(row).map(() => '?').join(', ')})`,
+                params: Object.values(row),
+                apply: async (conn) => {
+                    // Clear any stale copy left from an earlier move
+                    await db_access.deleteUser(conn, id);
+                    await db_access.insertUser(conn, row);
+                }
+            }
+        ];
+        const deferred = [];
+
+        // Both Slaves' change log locks, in id order, before either seq is taken
+        await change_log.lockSlaves(masterConn, steps.map(step => step.slaveId));
+        for (const step of steps) {
+            step.seq = await change_log.append(masterConn, {
+                xid, slaveId: step.slaveId, userId: id, operation: step.operation, sql: step.sql, params: step.params
+            });
+        }
+
+        for (const step of steps) {
+            let unavailable = null;
+            let conn;
+            if (db_service.isSimulatedOffline(NODE_STATE, step.slaveId)) {
+                unavailable = new Error('Node is OFFLINE (simulated)');
+            } else if (await db_service.hasQueuedWrites(step.slaveId)) {
+                unavailable = db_service.backlogError(step.slaveId);
+            } else {
+                try {
+                    conn = await db_service.joinSlave(db_router.getNodeById(step.slaveId), step.slaveId, xid, participants);
+                    connections.push(conn);
+                } catch (connError) {
+                    unavailable = connError;
+                }
+            }
+
+            if (unavailable) {
+                console.error(`[2PC] Slave ${step.slaveId} unavailable (${unavailable.message}) - its ${step.operation} will be queued`);
+                await db_service.xaAbortBranch(xid, participants, step.slaveId);
+                deferred.push({ ...step, error: unavailable });
+                continue;
+            }
+
+            // Lock contention, a deadlock victim's interrupted query or any other
+            // failure here is no reason to queue: it aborts the whole move
+            await step.apply(conn);
+            await change_log.markApplied(conn, step.slaveId, step.seq);
+            console.log(`[2PC] Slave ${step.slaveId} ${step.operation} executed (not committed)`);
         }
+
+        // Queued in the Master branch, so the entries commit with the move
+        for (const step of deferred) {
+            await db_service.queueMissedWrite(masterConn, step.slaveId, { ...step, userId: id }, step.error);
+        }
+
+        // XA PREPARE everywhere, log the decision, then XA COMMIT
+        await db_service.xaCommitDistributed(xid, 'update', participants);
+
+        console.log('[2PC] ===== 2PC PARTITION MOVE COMPLETE: SUCCESS =====');
+
+        const result = {
+            success: true,
+            message: `User updated and moved from Slave ${fromSlaveId} to Slave ${toSlaveId}.`,
+            migrated: { from: fromSlaveId, to: toSlaveId },
+            changes: steps.map(step => ({ partition: step.slaveId, seq: step.seq })),
+            protocol: '2PC',
+            xid: xid,
+            isolation: db_access.DEFAULT_ISOLATION,
+            locking: 'PESSIMISTIC'
+        };
+        if (deferred.length > 0) {
+            result.message += ` Queued for Slave(s) ${deferred.map(d => d.slaveId).join(', ')}.`;
+            result.queuedForPartitions = deferred.map(d => d.slaveId);
+        }
+        return result;
+    }
+
+    // Master row → users column values, DATETIMEs formatted as createUser writes them
+    static toUserRow(row) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const formatDate = (value) => value instanceof Date
+            ? `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`
+            : value;
+
+        return {
+            id: row.id,
+            firstname: row.firstname,
+            lastname: row.lastname,
+            city: row.city,
+            country: row.country,
+            createdAt: formatDate(row.createdAt),
+            updatedAt: formatDate(row.updatedAt),
+            // Rows read without the version column (e.g. partial SELECTs) leave it out
+            ...(row.version !== undefined && { version: row.version })
+        };
     }
 
     // ---------------------------------------------------
     // DELETE - Two-Phase Commit (2PC) with Master-Slave Architecture
     // ---------------------------------------------------
-    // Uses same 2PC protocol as CREATE/UPDATE:
-    //   - PHASE 1 (PREPARE): Set REPEATABLE READ, begin transactions, acquire exclusive locks
-    //   - PHASE 2 (COMMIT/ABORT): Commit both if successful, rollback both if any fails
+    // Uses same XA 2PC protocol as CREATE/UPDATE:
+    //   - PHASE 1 (PREPARE): Set REPEATABLE READ, XA START, acquire exclusive locks, delete, XA PREPARE
+    //   - PHASE 2 (COMMIT/ABORT): XA COMMIT both if prepared, XA ROLLBACK both if any fails
     //
     // Pessimistic Locking:
     //   - SELECT ... FOR UPDATE on the row being deleted
     //   - Prevents concurrent modifications during delete
+    //
+    // Slave unavailable (offline or unreachable):
+    //   - Master commits alone, the DELETE is queued for the Slave
+    //
+    // Conditional delete (expectedVersion, from HTTP If-Match):
+    //   - Checked against the row locked FOR UPDATE, inside the 2PC, so no
+    //     write can slip in between the check and the DELETE
+    //   - '*' only requires the row to exist
+    //
+    // lockPolicy (db_access.parseLockPolicy) applies to both row locks.
     // ---------------------------------------------------
-    
-    static async deleteUser(id, countryHint = null) {
+
+    static async deleteUserOnce(id, countryHint = null, NODE_STATE = null, expectedVersion = null, lockPolicy = null) {
         console.log('[2PC] ===== DELETE USER - Two-Phase Commit =====');
         console.log(`[2PC] User ID: ${id}, Country Hint: ${countryHint}`);
-        
+
         const masterPool = db_router.getMasterNode();
+        const xid = db_service.generateXid('delete');
+        const participants = [];
         let masterConn, slaveConn;
-        let masterPrepared = false;
-        let slavePrepared = false;
 
         try {
             // =========================================================
             // PHASE 1: PREPARE
             // =========================================================
-            console.log('[2PC] PHASE 1: PREPARE');
-            
+            console.log(`[2PC] PHASE 1: PREPARE (xid: ${xid})`);
+
             // 1a. Acquire Master connection
             masterConn = await masterPool.getConnection();
             console.log('[2PC] Master connection acquired');
-            
+
             // 1b. Set REPEATABLE READ isolation
             await db_access.setIsolationLevel(masterConn, db_access.DEFAULT_ISOLATION);
             console.log(`[2PC] Master isolation set to ${db_access.DEFAULT_ISOLATION}`);
-            
-            // 1c. Begin transaction
-            await masterConn.beginTransaction();
-            masterPrepared = true;
-            console.log('[2PC] Master transaction started');
+
+            // 1c. Start XA branch on Master
+            await db_service.xaBegin(masterConn, xid, db_router.getMasterId(), participants);
 
             // 1d. Find user and determine target country
             let user = await db_access.findById(masterConn, id);
@@ -1403,7 +2208,7 @@ class db_service {
             if (!user) {
                 console.warn(`[2PC] User ${id} not found in Master.`);
                 if (!countryHint) {
-                    throw new Error(`User with ID ${id} not found in Master and no country hint provided.`);
+                    throw db_access.userNotFound(id, ' in Master and no country hint provided');
                 }
                 console.log(`[2PC] Using country hint '${countryHint}' for Slave lookup.`);
             } else {
@@ -1412,82 +2217,111 @@ class db_service {
             }
 
             // 1e. Acquire PESSIMISTIC LOCK on Master
+            let locked = null;
             if (user) {
                 console.log('[2PC] Acquiring pessimistic lock on Master...');
-                await db_access.lockRowExclusive(masterConn, 'users', id);
+                locked = await db_access.lockRowExclusive(masterConn, 'users', id, lockPolicy);
                 console.log('[2PC] Pessimistic lock acquired on Master');
             }
 
+            // Precondition on the locked (latest committed) row
+            if (expectedVersion !== null) {
+                if (!locked) {
+                    throw db_access.versionConflict(id, expectedVersion, null);
+                }
+                if (expectedVersion !== '*' && locked.version !== expectedVersion) {
+                    throw db_access.versionConflict(id, expectedVersion, locked.version);
+                }
+                console.log(`[2PC] Precondition met: user ${id} at version ${locked.version}`);
+            }
+
             // 1f. Get Slave pool based on country
             const slavePool = db_router.getSlaveNode(targetCountry);
             const slaveId = db_router.getSlaveId(targetCountry);
-            
-            // 1g. Acquire Slave connection and prepare
-            slaveConn = await slavePool.getConnection();
-            console.log('[2PC] Slave connection acquired');
-            
-            await db_access.setIsolationLevel(slaveConn, db_access.DEFAULT_ISOLATION);
-            console.log(`[2PC] Slave isolation set to ${db_access.DEFAULT_ISOLATION}`);
-            
-            await slaveConn.beginTransaction();
-            slavePrepared = true;
-            console.log('[2PC] Slave transaction started');
-            
-            // 1h. Acquire pessimistic lock on Slave (if row exists)
+
+            // 1g. Execute DELETE on Master (not committed yet)
+            console.log('[2PC] Executing DELETE on Master...');
+            const masterResult = await db_access.deleteUser(masterConn, id);
+            await db_service.recordInterimWrite(masterConn, xid, 'DELETE', id);
+            db_service.captureWrite(slaveId, id);
+            console.log(`[2PC] Master DELETE executed. Affected rows: ${masterResult.affectedRows}`);
+
+            const slaveWrite = { userId: id, operation: 'DELETE', sql: 'DELETE FROM users WHERE id = ?', params: [id] };
+            slaveWrite.seq = await change_log.append(masterConn, { xid, slaveId, ...slaveWrite });
+
+            // 1h. Acquire Slave connection and start its XA branch
+            let slaveError = null;
+            if (db_service.isSimulatedOffline(NODE_STATE, slaveId)) {
+                slaveError = new Error('Node is OFFLINE (simulated)');
+            } else if (await db_service.hasQueuedWrites(slaveId)) {
+                slaveError = db_service.backlogError(slaveId);
+            } else {
+                try {
+                    slaveConn = await db_service.joinSlave(slavePool, slaveId, xid, participants);
+                } catch (connError) {
+                    slaveError = connError;
+                }
+            }
+
+            if (slaveError) {
+                console.error(`[2PC] Slave ${slaveId} unavailable: ${slaveError.message}`);
+                console.log('[2PC] PHASE 2: COMMIT Master, QUEUE Slave DELETE');
+
+                const queueSize = await db_service.commitMasterAndQueue(xid, participants, masterConn, slaveId, slaveWrite, slaveError);
+
+                return {
+                    success: true,
+                    message: `User deleted. Slave ${slaveId} unavailable - write queued.`,
+                    queuedForPartition: slaveId,
+                    changes: [{ partition: slaveId, seq: slaveWrite.seq }],
+                    queueSize: queueSize,
+                    protocol: '2PC',
+                    xid: xid,
+                    isolation: db_access.DEFAULT_ISOLATION
+                };
+            }
+
+            // 1i. Acquire pessimistic lock on Slave (if row exists)
             try {
-                await db_access.lockRowExclusive(slaveConn, 'users', id);
+                await db_access.lockRowExclusive(slaveConn, 'users', id, lockPolicy);
                 console.log('[2PC] Pessimistic lock acquired on Slave');
             } catch (e) {
+                // Lock contention under the lock policy is an answer, not a missing row
+                if (db_service.classifyError(e).httpStatus) throw e;
                 console.log('[2PC] Row may not exist on Slave, proceeding...');
             }
 
-            // 1i. Execute DELETE on both nodes (not committed yet)
-            console.log('[2PC] Executing DELETE on Master...');
-            const masterResult = await db_access.deleteUser(masterConn, id);
-            console.log(`[2PC] Master DELETE executed. Affected rows: ${masterResult.affectedRows}`);
-            
+            // 1j. Execute DELETE on Slave (not committed yet)
             console.log('[2PC] Executing DELETE on Slave...');
             const slaveResult = await db_access.deleteUser(slaveConn, id);
+            await change_log.markApplied(slaveConn, slaveId, slaveWrite.seq);
             console.log(`[2PC] Slave DELETE executed. Affected rows: ${slaveResult.affectedRows}`);
 
             // =========================================================
             // PHASE 2: COMMIT
             // =========================================================
-            console.log('[2PC] PHASE 2: COMMIT');
-            
-            await masterConn.commit();
-            masterPrepared = false;
-            console.log('[2PC] Master COMMIT successful');
-            
-            await slaveConn.commit();
-            slavePrepared = false;
-            console.log('[2PC] Slave COMMIT successful');
-            
+            // 1k. XA PREPARE everywhere, log the decision, then XA COMMIT
+            await db_service.xaCommitDistributed(xid, 'delete', participants);
+
             console.log('[2PC] ===== 2PC DELETE COMPLETE: SUCCESS =====');
 
-            return { 
-                success: true, 
+            return {
+                success: true,
                 message: "User deleted.",
                 protocol: '2PC',
+                xid: xid,
                 isolation: db_access.DEFAULT_ISOLATION,
+                changes: [{ partition: slaveId, seq: slaveWrite.seq }],
                 locking: 'PESSIMISTIC'
             };
-            
+
         } catch (error) {
             console.error(`[2PC] Delete failed:`, error);
-            
+
             // PHASE 2: ABORT
             console.log('[2PC] PHASE 2: ABORT');
-            
-            if (masterPrepared && masterConn) {
-                await masterConn.rollback();
-                console.log('[2PC] Master ROLLBACK complete');
-            }
-            if (slavePrepared && slaveConn) {
-                await slaveConn.rollback();
-                console.log('[2PC] Slave ROLLBACK complete');
-            }
-            throw error;
+            await db_service.xaAbortDistributed(xid, 'delete', participants);
+            throw deadlock_detector.victimError(xid, error);
         } finally {
             if (masterConn) masterConn.release();
             if (slaveConn) slaveConn.release();
@@ -1502,17 +2336,58 @@ class db_service {
     //   - REPEATABLE READ (or user-specified isolation)
     //   - Pessimistic Locking (FOR UPDATE)
     //   - 2PC Protocol
+    //
+    // Range operations (on every user in `country`, defaulting to the
+    // target user's country) show phantoms and gap locking:
+    //   RANGE_READ    Plain read of the range, sleep, read it again
+    //   RANGE_LOCK    SELECT ... FOR UPDATE on the range (next-key locks
+    //                 under REPEATABLE READ, record locks only under
+    //                 READ COMMITTED), sleep, read it again
+    //   RANGE_INSERT  Insert a new user into the range; blocks while a
+    //                 RANGE_LOCK holds the gap. The user is deleted again
+    //                 when the run ends
+    // The ID sets each read saw are returned as `rowSets`.
+    //
+    // `label` tags the connections in the lock monitor's waits-for graph.
+    // If InnoDB picks this transaction as a deadlock victim, the result
+    // carries the deadlock report (`deadlock`) saying why. Both branches
+    // are registered with the distributed deadlock detector, which may
+    // abort the run when it deadlocks with another across nodes.
+    //
+    // `lockPolicy` (WAIT, NOWAIT, SKIP_LOCKED) and `lockTimeout` (seconds,
+    // WAIT only) choose how WRITE and RANGE_LOCK take their locks. The
+    // timeout holds for every statement of the run on both nodes, so it
+    // also bounds how long RANGE_INSERT waits on a gap lock. A failure
+    // result carries `errorCode` and, for lock contention, `httpStatus`.
     // =========================================================
-    
-    static async simulateTransaction({ id, type, isolation, sleepTime, updateText }) {
+
+    static RANGE_TYPES = ['RANGE_READ', 'RANGE_LOCK', 'RANGE_INSERT'];
+
+    static async simulateTransaction({ id, type, isolation, sleepTime, updateText, locking, country, label, lockPolicy, lockTimeout }) {
+        // Invalid input is the caller's error (INVALID_LOCK_POLICY), not a failed run
+        const policy = db_access.parseLockPolicy({ lock: lockPolicy, lockTimeout });
+        // The timeout is set once per session below, so the locks only need the mode
+        const lockMode = policy && { mode: policy.mode, timeout: null };
         const masterPool = db_router.getMasterNode();
         let masterConn, slaveConn;
         let logs = [];
         const startTime = Date.now();
         let masterPrepared = false;
         let slavePrepared = false;
+        const lockingMode = (locking || 'PESSIMISTIC').toUpperCase();
+        const isRange = db_service.RANGE_TYPES.includes(type);
+        const rowSets = [];
+        let insertedId = null;
+        let simulatedRow = null; // RANGE_INSERT's user once committed, deleted when the run ends
+        const threads = []; // { nodeId, threadId } of both connections
+        const simulationId = db_service.generateXid('simulate');
+        const branches = []; // for the distributed deadlock detector
 
         try {
+            if (!['PESSIMISTIC', 'OPTIMISTIC'].includes(lockingMode)) {
+                throw new Error(`Invalid locking '${locking}'. Must be PESSIMISTIC or OPTIMISTIC.`);
+            }
+
             masterConn = await masterPool.getConnection();
 
             // -----------------------------------------------------
@@ -1520,7 +2395,10 @@ class db_service {
             // -----------------------------------------------------
             let targetId = id;
 
-            if (!targetId || targetId === 'random') {
+            if (isRange && country) {
+                targetId = null;
+                logs.push(`[${Date.now() - startTime}ms] Range operation on country "${country}"`);
+            } else if (!targetId || targetId === 'random') {
                 logs.push(`[${Date.now() - startTime}ms] No specific ID provided. Selecting a RANDOM user...`);
                 
                 const [rows] = await masterConn.query('SELECT id FROM users ORDER BY RAND() LIMIT 1');
@@ -1535,18 +2413,46 @@ class db_service {
             // -----------------------------------------------------
             // STEP 2: VERIFY USER & DETERMINE SLAVE
             // -----------------------------------------------------
-            const user = await db_access.findById(masterConn, targetId); 
-            
-            if(!user) {
-                throw new Error(`User with ID ${targetId} does not exist.`);
+            let rangeCountry = country;
+            if (targetId) {
+                const user = await db_access.findById(masterConn, targetId);
+
+                if(!user) {
+                    throw new Error(`User with ID ${targetId} does not exist.`);
+                }
+                rangeCountry = rangeCountry || user.country;
             }
 
-            // Route to the correct Slave based on the user's country
-            const slavePool = db_router.getSlaveNode(user.country);
-            const slaveId = db_router.getSlaveId(user.country);
+            // Route to the correct Slave based on the country
+            const slavePool = db_router.getSlaveNode(rangeCountry);
+            const slaveId = db_router.getSlaveId(rangeCountry);
             slaveConn = await slavePool.getConnection();
 
-            logs.push(`[${Date.now() - startTime}ms] Master-Slave connections acquired for User ${targetId} (${user.country} → Slave ${slaveId}).`);
+            threads.push({ nodeId: db_router.getMasterId(), threadId: masterConn.threadId });
+            threads.push({ nodeId: slaveId, threadId: slaveConn.threadId });
+            if (label) threads.forEach(t => lock_monitor.tag(t.nodeId, t.threadId, label));
+            branches.push({ nodeId: db_router.getMasterId(), conn: masterConn }, { nodeId: slaveId, conn: slaveConn });
+            deadlock_detector.track(simulationId, branches);
+
+            if (policy && policy.timeout !== null) {
+                await db_access.setLockWaitTimeout(masterConn, policy.timeout);
+                await db_access.setLockWaitTimeout(slaveConn, policy.timeout);
+                logs.push(`[${Date.now() - startTime}ms] Lock wait timeout set to ${policy.timeout}s on both nodes`);
+            }
+
+            logs.push(`[${Date.now() - startTime}ms] Master-Slave connections acquired for ${targetId ? `User ${targetId}` : 'range'} (${rangeCountry} → Slave ${slaveId}).`);
+
+            // Reads the range on the Master and records the ID set it saw
+            const readRange = async (label, forUpdate) => {
+                const [rows] = await masterConn.query(
+                    `SELECT id FROM users WHERE country = ? ORDER BY id${forUpdate ? db_access.lockClause(lockMode) : ''}`,
+                    [rangeCountry]
+                );
+                const ids = rows.map(r => r.id);
+                rowSets.push({ label, at: Date.now() - startTime, count: ids.length, ids });
+                logs.push(`[${Date.now() - startTime}ms] ${label}: ${ids.length} row(s) in "${rangeCountry}" [${ids.join(', ')}]`);
+                return ids;
+            };
 
             // -----------------------------------------------------
             // STEP 3: PHASE 1 - PREPARE (Set Isolation, Begin Transactions)
@@ -1567,17 +2473,54 @@ class db_service {
             logs.push(`[${Date.now() - startTime}ms] Transactions started on Master and Slave`);
 
             // -----------------------------------------------------
-            // STEP 4: PERFORM ACTION (READ or WRITE) with Pessimistic Locking
+            // STEP 4: PERFORM ACTION (READ or WRITE)
+            //   PESSIMISTIC WRITE: lock, write, then hold the locks while sleeping
+            //   OPTIMISTIC WRITE:  read the version, sleep without locks, then
+            //                      write only if the version is unchanged
             // -----------------------------------------------------
-            if (type === 'WRITE') {
+            let readVersion = null;
+            const newData = { firstname: updateText || `UPDATED_${Date.now()}` };
+
+            if (type === 'RANGE_READ') {
+                await readRange('Range read (before sleep)', false);
+                logs.push(`[${Date.now() - startTime}ms] Sleeping for ${sleepTime}s...`);
+            } else if (type === 'RANGE_LOCK') {
+                logs.push(`[${Date.now() - startTime}ms] Locking range (SELECT ...${db_access.lockClause(lockMode)}) on both nodes...`);
+                await readRange('Range locked (before sleep)', true);
+                await slaveConn.query(`SELECT id FROM users WHERE country = ?${db_access.lockClause(lockMode)}`, [rangeCountry]);
+                logs.push(`[${Date.now() - startTime}ms] Range locks acquired. Sleeping for ${sleepTime}s...`);
+            } else if (type === 'RANGE_INSERT') {
+                // The ID comes the way createUser takes it, so it cannot collide with an issued one.
+                // The row is removed once the run ends (see finally)
+                const lastId = await db_access.lockForNewId(masterConn);
+                insertedId = Math.max(parseInt(lastId), db_service.getIdFloor()) + 1;
+                const now = new Date();
+                const newUser = {
+                    id: insertedId,
+                    firstname: updateText || `PHANTOM_${Date.now()}`,
+                    lastname: 'Simulation',
+                    city: 'Simulation',
+                    country: rangeCountry,
+                    createdAt: now,
+                    updatedAt: now
+                };
+
+                logs.push(`[${Date.now() - startTime}ms] Inserting User ${insertedId} into "${rangeCountry}"...`);
+                const waitStart = Date.now();
+                await db_access.insertUser(masterConn, newUser);
+                await db_access.insertUser(slaveConn, newUser);
+                logs.push(`[${Date.now() - startTime}ms] INSERT executed after waiting ${Date.now() - waitStart}ms for locks. Sleeping for ${sleepTime}s...`);
+            } else if (type === 'WRITE' && lockingMode === 'OPTIMISTIC') {
+                const row = await db_access.findById(masterConn, targetId);
+                readVersion = row.version;
+                logs.push(`[${Date.now() - startTime}ms] Optimistic read: version ${readVersion} (no locks held). Sleeping for ${sleepTime}s...`);
+            } else if (type === 'WRITE') {
                 // Acquire PESSIMISTIC LOCK before writing
-                logs.push(`[${Date.now() - startTime}ms] Acquiring pessimistic locks (FOR UPDATE)...`);
-                await db_access.lockRowExclusive(masterConn, 'users', targetId);
-                await db_access.lockRowExclusive(slaveConn, 'users', targetId);
+                logs.push(`[${Date.now() - startTime}ms] Acquiring pessimistic locks (${db_access.lockClause(lockMode).trim()})...`);
+                await db_access.lockRowExclusive(masterConn, 'users', targetId, lockMode);
+                await db_access.lockRowExclusive(slaveConn, 'users', targetId, lockMode);
                 logs.push(`[${Date.now() - startTime}ms] Pessimistic locks acquired on both nodes`);
                 
-                const newData = { firstname: updateText || `UPDATED_${Date.now()}` };
-                
                 // Perform update on both nodes
                 await db_access.updateUser(masterConn, targetId, newData);
                 await db_access.updateUser(slaveConn, targetId, newData);
@@ -1598,6 +2541,20 @@ class db_service {
             // -----------------------------------------------------
             await sleep(sleepTime * 1000);
 
+            if (type === 'RANGE_READ') {
+                await readRange('Range read (after sleep)', false);
+            } else if (type === 'RANGE_LOCK') {
+                await readRange('Range locked (after sleep)', true);
+            }
+
+            if (readVersion !== null) {
+                // Validate and write: fails with VERSION_CONFLICT if another transaction committed first
+                logs.push(`[${Date.now() - startTime}ms] Writing if version is still ${readVersion}...`);
+                await db_access.updateUser(masterConn, targetId, newData, readVersion);
+                await db_access.updateUser(slaveConn, targetId, { ...newData, version: readVersion + 1 });
+                logs.push(`[${Date.now() - startTime}ms] WRITE executed (Data: ${newData.firstname}, version ${readVersion + 1})`);
+            }
+
             // -----------------------------------------------------
             // STEP 6: PHASE 2 - COMMIT
             // -----------------------------------------------------
@@ -1605,6 +2562,7 @@ class db_service {
             
             await masterConn.commit();
             masterPrepared = false;
+            if (insertedId !== null) simulatedRow = { id: insertedId, country: rangeCountry };
             logs.push(`[${Date.now() - startTime}ms] Master COMMIT successful`);
             
             await slaveConn.commit();
@@ -1614,15 +2572,29 @@ class db_service {
             return {
                 success: true,
                 targetId: targetId,
+                country: rangeCountry,
                 logs: logs,
+                rowSets: rowSets,
+                insertedId: insertedId,
                 finalStatus: "Committed",
                 protocol: '2PC',
                 isolation: isolationLevel,
-                locking: type === 'WRITE' ? 'PESSIMISTIC' : 'SHARED'
+                locking: type === 'WRITE' ? lockingMode : type === 'RANGE_LOCK' ? 'PESSIMISTIC' : 'SHARED'
             };
 
         } catch (error) {
+            // Interrupted by the distributed deadlock detector?
+            error = deadlock_detector.victimError(simulationId, error);
             logs.push(`[ERROR] Transaction Failed: ${error.message}`);
+
+            // InnoDB has already rolled this transaction back; find out why it was chosen
+            let deadlock = null;
+            if (error.code === 'ER_LOCK_DEADLOCK') {
+                deadlock = await lock_monitor.findDeadlockFor(threads);
+                logs.push(`[${Date.now() - startTime}ms] [DEADLOCK] InnoDB chose this transaction as the victim.` +
+                    (deadlock && deadlock.reason ? ` ${deadlock.reason}` : ''));
+            }
+
             logs.push(`[2PC] PHASE 2: ABORT - Rolling back...`);
             
             // Safe Rollback - Master
@@ -1645,14 +2617,39 @@ class db_service {
                 logs.push(`[WARNING] Slave Rollback failed: ${rbError.message}`);
             }
 
+            const classification = db_service.classifyError(error);
             return {
                 success: false,
                 logs: logs,
-                error: error.message
+                rowSets: rowSets,
+                error: error.message,
+                errorCode: error.code || null,
+                httpStatus: classification.httpStatus,
+                retryable: classification.type === 'RETRYABLE',
+                conflict: error.code === 'VERSION_CONFLICT',
+                deadlock: deadlock,
+                locking: type === 'WRITE' ? lockingMode : type === 'RANGE_LOCK' ? 'PESSIMISTIC' : 'SHARED'
             };
         } finally {
+            if (label) threads.forEach(t => lock_monitor.untag(t.nodeId, t.threadId));
+            deadlock_detector.untrack(simulationId);
+            if (policy && policy.timeout !== null) {
+                // Pooled connections are reused: restore the server default
+                if (masterConn) await db_access.setLockWaitTimeout(masterConn, null).catch(() => {});
+                if (slaveConn) await db_access.setLockWaitTimeout(slaveConn, null).catch(() => {});
+            }
             if (masterConn) masterConn.release();
             if (slaveConn) slaveConn.release();
+
+            // Through the regular 2PC delete, so the Slave and the change log follow
+            if (simulatedRow) {
+                try {
+                    await db_service.deleteUser(simulatedRow.id, simulatedRow.country);
+                    logs.push(`[${Date.now() - startTime}ms] Simulated User ${simulatedRow.id} removed`);
+                } catch (cleanupErr) {
+                    logs.push(`[WARNING] Could not remove simulated User ${simulatedRow.id}: ${cleanupErr.message}`);
+                }
+            }
         }
     }
 
@@ -1672,10 +2669,11 @@ class db_service {
     // =========================================================
     static async testCase1(NODE_STATE) {
         let logs = [];
-        const partitionNode = NODE_STATE[1] ? 1 : 2;
+        const slaveIds = db_router.getSlaveIds();
+        const partitionNode = slaveIds.find(id => !db_service.isSimulatedOffline(NODE_STATE, id)) || slaveIds[slaveIds.length - 1];
         const pPool = db_router.getNodeById(partitionNode);
 
-        if (!NODE_STATE[partitionNode]) {
+        if (db_service.isSimulatedOffline(NODE_STATE, partitionNode)) {
             logs.push(`Partition ${partitionNode} is OFFLINE — cannot write.`);
             return { success: false, logs };
         }
@@ -1692,7 +2690,7 @@ class db_service {
 
             if (!NODE_STATE[0]) {
                 logs.push("CENTRAL is OFFLINE — replication FAILED. Added to missedWrites queue.");
-                db_service.missedWrites[0].push({
+                db_service.getMissedWrites(0).push({
                     query: "INSERT INTO users (firstname, lastname, city, country, createdAt, updatedAt) VALUES ('case1_first', 'case1_last', 'City', 'USA', NOW(), NOW())",
                 });
                 return { success: true, logs };
@@ -1726,7 +2724,7 @@ class db_service {
         return { success: false, logs };
         }
 
-        if (NODE_STATE[0] && db_service.missedWrites[0].length === 0) {
+        if (NODE_STATE[0] && db_service.getMissedWrites(0).length === 0) {
             logs.push("No missed writes in CENTRAL — nothing to recover.");
             return { success: true, logs };
         }
@@ -1772,14 +2770,15 @@ class db_service {
      * How Users Are Shielded:
      * - The write is acknowledged as successful once committed to the Central Node
      * - Users can continue reading from the Central Node immediately
-     * - Failed writes are queued in memory for later retry
+     * - Every partition's copy is logged (change_log) and queued in the
+     *   Central transaction, so no write can be lost or replayed out of order
      * - The system maintains eventual consistency through background recovery
      * 
      * Recovery Strategy:
-     * 1. Detect partition node failure during replication attempt
-     * 2. Queue the failed write with full context (query, params, timestamp)
+     * 1. Commit the write, its change_log entries and queue entries together
+     * 2. Replay each reachable partition's queue in seq order right away
      * 3. Return success to the user (Central write succeeded)
-     * 4. Background process will retry queued writes when node recovers
+     * 4. Background process will replay what is still queued when nodes recover
      * 
      * Data Availability:
      * - Reads can be served from Central Node (always has complete data)
@@ -1792,8 +2791,13 @@ class db_service {
         let timestamp;
         let insertedId;
         const sql = "INSERT INTO users (firstname, lastname, city, country, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?)";
+        const replicaSql = "INSERT INTO users (id, firstname, lastname, city, country, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?)";
         let params;
 
+        const slaveIds = db_router.getSlaveIds();
+        // change_log seq of each partition's copy of the write
+        const seqs = {};
+
         logs.push("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
         logs.push("📝 CASE #3: Central → Partition Replication");
         logs.push("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
@@ -1820,6 +2824,17 @@ class db_service {
             const [result] = await db_service.queryWithTimeout(cConn, sql, params, 2000);
             insertedId = result.insertId; // Get the auto-generated ID
 
+            // Each partition's copy is logged and queued in the same transaction,
+            // so it commits with the Central write and replays in seq order
+            const xid = db_service.generateXid('case3');
+            await change_log.lockSlaves(cConn, slaveIds);
+            for (const partition of slaveIds) {
+                const write = { userId: insertedId, operation: 'INSERT', sql: replicaSql, params: [insertedId, ...params] };
+                write.seq = await change_log.append(cConn, { xid, slaveId: partition, ...write });
+                await db_service.queueMissedWrite(cConn, partition, write, new Error('Awaiting replication'));
+                seqs[partition] = write.seq;
+            }
+
             await cConn.commit();
             logs.push("✅ Central Node: WRITE SUCCESSFUL");
             logs.push(`   • Transaction ID: ${insertedId}`);
@@ -1845,16 +2860,15 @@ class db_service {
         logs.push("🔄 PHASE 2: Replicating to Partition Nodes");
         logs.push("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
         
-        let replicationResults = { 1: false, 2: false };
+        let replicationResults = {};
         let queuedWrites = [];
 
-        for (let partition of [1, 2]) {
-            let pConn;
+        for (let partition of slaveIds) {
             logs.push(`Partition ${partition}:`);
             
             try {
                 // 1. CRITICAL: Check simulated NODE_STATE first (from UI toggle)
-                if (!NODE_STATE[partition]) {
+                if (db_service.isSimulatedOffline(NODE_STATE, partition)) {
                     throw new Error(`Node ${partition} is OFFLINE (simulated failure)`);
                 }
 
@@ -1865,34 +2879,24 @@ class db_service {
                     throw new Error(`Node ${partition} is unhealthy/unreachable`);
                 }
 
-                // 3. Attempt Replication
-                const pPool = db_router.getNodeById(partition);
-                pConn = await db_service.connectWithTimeout(pPool, 2000);
-                
-                await db_service.queryWithTimeout(pConn, sql, params, 2000);
+                // 3. Attempt Replication: replay the partition's queue up to this write
+                await db_service.processPersistentQueue(partition);
+                const [rows] = await db_router.getMasterNode().query(
+                    'SELECT status, last_error FROM recovery_queue WHERE target_partition = ? AND seq = ?',
+                    [partition, seqs[partition]]
+                );
+                if (rows.length === 0 || rows[0].status !== 'completed') {
+                    throw new Error(rows.length > 0 && rows[0].status === 'failed'
+                        ? rows[0].last_error
+                        : 'Write still queued behind earlier writes');
+                }
                 
-                logs.push(`  ✅ Replication successful`);
+                logs.push(`  ✅ Replication successful (seq ${seqs[partition]})`);
                 replicationResults[partition] = true;
 
             } catch (err) {
-                const errorType = db_service.classifyError(err);
                 logs.push(`  ❌ Replication failed`);
                 logs.push(`     Reason: ${err.message}`);
-                
-                // 3. Queue Missed Write
-                const missedWrite = {
-                    query: sql,
-                    params: params,
-                    originalTimestamp: timestamp,
-                    insertedId: insertedId,
-                    attemptCount: 1,
-                    lastError: err.message,
-                    errorType: errorType.type,
-                    queuedAt: new Date()
-                };
-                
-                // Queue to PERSISTENT database queue (survives serverless restarts)
-                await db_service.queueMissedWrite(partition, insertedId, sql, params, err);
                 queuedWrites.push(partition);
                 
                 // Get updated queue count from persistent storage
@@ -1900,15 +2904,11 @@ class db_service {
                 try {
                     const queueStatus = await db_service.getPersistentQueueStatus();
                     queueCount = queueStatus[partition];
-                } catch (e) {
-                    queueCount = db_service.missedWrites[partition].length;
-                }
+                } catch (e) { /* ignore */ }
                 
                 logs.push(`  📋 Queued for recovery (Queue size: ${queueCount})`);
                 
                 replicationResults[partition] = false;
-            } finally {
-                if (pConn) pConn.release();
             }
             logs.push("");
         }
@@ -1919,13 +2919,14 @@ class db_service {
         logs.push("");
         logs.push("📊 SUMMARY");
         logs.push("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-        logs.push(`Central Node:  ${replicationResults[1] && replicationResults[2] ? '✅' : '✅'} Committed`);
-        logs.push(`Partition 1:   ${replicationResults[1] ? '✅ Synchronized' : '⏳ Queued'}`);
-        logs.push(`Partition 2:   ${replicationResults[2] ? '✅ Synchronized' : '⏳ Queued'}`);
+        logs.push(`Central Node:  ✅ Committed`);
+        slaveIds.forEach(partition => {
+            logs.push(`Partition ${partition}:   ${replicationResults[partition] ? '✅ Synchronized' : '⏳ Queued'}`);
+        });
         logs.push("");
         
         // Get PERSISTENT queue status (the real source of truth on Vercel)
-        let persistentQueueStatus = { 1: 0, 2: 0 };
+        let persistentQueueStatus = db_service.emptyQueueStatus();
         try {
             persistentQueueStatus = await db_service.getPersistentQueueStatus();
         } catch (e) {
@@ -1941,7 +2942,7 @@ class db_service {
             logs.push(`   ${queuedWrites.map(p => 'Partition ' + p).join(', ')} - Queued for automatic recovery`);
             logs.push("   Background monitor will sync when nodes come online");
             logs.push("");
-            logs.push(`📈 Persistent Queue Status: P1=${persistentQueueStatus[1]} | P2=${persistentQueueStatus[2]}`);
+            logs.push(`📈 Persistent Queue Status: ${slaveIds.map(p => `P${p}=${persistentQueueStatus[p] || 0}`).join(' | ')}`);
         } else {
             logs.push("✅ All nodes synchronized - Full replication success!");
         }
@@ -1953,10 +2954,7 @@ class db_service {
             centralWriteSuccess: true,
             replicationResults,
             queuedWrites,
-            queueSizes: {
-                partition1: persistentQueueStatus[1],
-                partition2: persistentQueueStatus[2]
-            }
+            queueSizes: db_service.partitionQueueSizes(persistentQueueStatus)
         };
     }
 
@@ -2004,17 +3002,18 @@ class db_service {
         logs.push("");
 
         // Get persistent queue status FIRST (source of truth on Vercel)
-        let persistentQueueStatus = { 1: 0, 2: 0 };
+        const slaveIds = db_router.getSlaveIds();
+        let persistentQueueStatus = db_service.emptyQueueStatus();
         try {
             persistentQueueStatus = await db_service.getPersistentQueueStatus();
-            logs.push(`📋 Persistent Queue Status: P1=${persistentQueueStatus[1]} | P2=${persistentQueueStatus[2]}`);
+            logs.push(`📋 Persistent Queue Status: ${slaveIds.map(p => `P${p}=${persistentQueueStatus[p] || 0}`).join(' | ')}`);
             logs.push("");
         } catch (e) {
             logs.push(`⚠️  Could not fetch persistent queue: ${e.message}`);
             logs.push("");
         }
 
-        for (let partition of [1, 2]) {
+        for (let partition of slaveIds) {
             logs.push(`🔍 Partition ${partition}:`);
             
             // 1. Check if there are missed writes in PERSISTENT queue
@@ -2029,7 +3028,7 @@ class db_service {
             logs.push(`   📋 Queue: ${queueSize} pending write(s)`);
 
             // 2. Check simulated state FIRST (respect UI toggles)
-            if (!NODE_STATE[partition]) {
+            if (db_service.isSimulatedOffline(NODE_STATE, partition)) {
                 logs.push(`   🔴 Status: OFFLINE (simulated)`);
                 logs.push(`   ⏸️  Recovery postponed - Node must be toggled ON`);
                 logs.push("");
@@ -2101,7 +3100,7 @@ class db_service {
         logs.push("");
         
         // Get FRESH persistent queue status for final summary
-        let finalQueueStatus = { 1: 0, 2: 0 };
+        let finalQueueStatus = db_service.emptyQueueStatus();
         try {
             finalQueueStatus = await db_service.getPersistentQueueStatus();
         } catch (e) {
@@ -2109,11 +3108,12 @@ class db_service {
         }
         
         logs.push("📦 Current Queue Status (Persistent):");
-        logs.push(`   Slave 1: ${finalQueueStatus[1] || 0} pending`);
-        logs.push(`   Slave 2: ${finalQueueStatus[2] || 0} pending`);
+        slaveIds.forEach(partition => {
+            logs.push(`   Slave ${partition}: ${finalQueueStatus[partition] || 0} pending`);
+        });
         logs.push("");
 
-        const allSynced = (finalQueueStatus[1] || 0) === 0 && (finalQueueStatus[2] || 0) === 0;
+        const allSynced = db_service.totalSlaveQueue(finalQueueStatus) === 0;
         if (allSynced) {
             logs.push("✅ SYSTEM STATUS: All Slaves synchronized with Master");
             logs.push("✅ Eventual consistency achieved!");
@@ -2127,10 +3127,7 @@ class db_service {
             success: true, 
             logs,
             stats: overallStats,
-            queueSizes: {
-                partition1: finalQueueStatus[1] || 0,
-                partition2: finalQueueStatus[2] || 0
-            },
+            queueSizes: db_service.partitionQueueSizes(finalQueueStatus),
             fullyRecovered: allSynced
         };
     }
@@ -2139,7 +3136,8 @@ class db_service {
     static async testCompleteFlow() {
         let logs = [];
         // Assume all nodes are "logically" online so we test REAL connection failures
-        const NODE_STATE_ALL_ONLINE = { 0: true, 1: true, 2: true };
+        const NODE_STATE_ALL_ONLINE = {};
+        node_registry.getNodeIds().forEach(nodeId => { NODE_STATE_ALL_ONLINE[nodeId] = true; });
         
         logs.push("=== PHASE 1: Normal Operation ===");
         // All nodes healthy
@@ -2157,8 +3155,9 @@ class db_service {
         logs.push(...case3Failed.logs);
         
         logs.push("\n=== PHASE 4: Check Queue ===");
-        logs.push(`Missed writes for Node 1: ${db_service.missedWrites[1].length}`);
-        logs.push(`Missed writes for Node 2: ${db_service.missedWrites[2].length}`);
+        db_router.getSlaveIds().forEach(slaveId => {
+            logs.push(`Missed writes for Node ${slaveId}: ${db_service.getMissedWrites(slaveId).length}`);
+        });
         
         logs.push("\n=== PHASE 5: Restore Node ===");
         logs.push("Please unblock Node 2 now.");
@@ -2170,8 +3169,9 @@ class db_service {
         logs.push(...case4Result.logs);
         
         logs.push("\n=== PHASE 7: Verify ===");
-        logs.push(`Missed writes after recovery (Node 1): ${db_service.missedWrites[1].length}`);
-        logs.push(`Missed writes after recovery (Node 2): ${db_service.missedWrites[2].length}`);
+        db_router.getSlaveIds().forEach(slaveId => {
+            logs.push(`Missed writes after recovery (Node ${slaveId}): ${db_service.getMissedWrites(slaveId).length}`);
+        });
         
         return { success: true, logs };
     }
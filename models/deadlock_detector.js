@@ -0,0 +1,232 @@
+// models/deadlock_detector.js
+// =========================================================
+// DISTRIBUTED DEADLOCK DETECTOR (coordinator level)
+// =========================================================
+// A distributed write locks its Master row, then its Slave row, each
+// in its own branch. Two writes can block each other across nodes -
+// A waits for B on the Master while B waits for A on a Slave - and
+// neither InnoDB sees a cycle, because each holds only one edge of it.
+// Without help both wait out innodb_lock_wait_timeout.
+//
+// Every distributed transaction registers its branches here (xaBegin
+// does it for XA writes). Every CHECK_INTERVAL_MS the detector:
+//
+//   1. Reads the lock waits on each node hosting a registered branch
+//      (lock_monitor.getWaits)
+//   2. Maps each wait's threads to their global transactions, giving
+//      one global waits-for graph
+//   3. Looks for cycles that span more than one node (single-node
+//      cycles are InnoDB's job)
+//   4. Acts on a cycle only if the previous check saw it too, since
+//      the per-node snapshots are not taken at the same instant
+//   5. Picks the youngest transaction on the cycle as the victim and
+//      interrupts its waiting statement (KILL QUERY)
+//
+// The interrupted statement fails inside the victim's own code path,
+// whose catch block runs the usual rollback (xaAbortDistributed),
+// releasing its locks everywhere. victimError() turns that failure
+// into a DISTRIBUTED_DEADLOCK error that says what happened.
+// =========================================================
+
+const node_registry = require('./node_registry');
+const lock_monitor = require('./lock_monitor');
+
+const VICTIM_TTL_MS = 60 * 1000;
+
+class deadlock_detector {
+
+    static CHECK_INTERVAL_MS = parseInt(process.env.DEADLOCK_CHECK_MS) || 1000;
+
+    // globalId → { globalId, startedAt, branches } (branches: [{ nodeId, conn }], emptied when the transaction ends)
+    static tracked = new Map();
+
+    // globalId → { cycle, nodes, at } for transactions chosen as victims
+    static victims = new Map();
+
+    static history = [];
+    static pendingCycles = new Set();
+    static lastCheck = null;
+    static interval = null;
+    static checking = false;
+
+    /**
+     * Register a global transaction's branches. `branches` is watched by
+     * reference: the transaction counts as finished once it is empty
+     * (XA participants are emptied on commit and rollback).
+     */
+    static track(globalId, branches) {
+        if (!deadlock_detector.tracked.has(globalId)) {
+            deadlock_detector.tracked.set(globalId, { globalId, startedAt: Date.now(), branches });
+        }
+    }
+
+    static untrack(globalId) {
+        deadlock_detector.tracked.delete(globalId);
+    }
+
+    // Drop finished transactions and expired victim markers
+    static prune() {
+        for (const [globalId, entry] of deadlock_detector.tracked) {
+            if (entry.branches.length === 0) deadlock_detector.tracked.delete(globalId);
+        }
+        const cutoff = Date.now() - VICTIM_TTL_MS;
+        for (const [globalId, victim] of deadlock_detector.victims) {
+            if (victim.at < cutoff) deadlock_detector.victims.delete(globalId);
+        }
+    }
+
+    /**
+     * The error a transaction should surface after it failed: a
+     * DISTRIBUTED_DEADLOCK error if the detector aborted it, the
+     * original error otherwise.
+     */
+    static victimError(globalId, error) {
+        const victim = deadlock_detector.victims.get(globalId);
+        if (!victim) return error;
+        deadlock_detector.victims.delete(globalId);
+
+        const err = new Error(`Transaction ${globalId} was aborted to break a distributed deadlock ` +
+            `(cycle ${victim.cycle.join(' → ')} across nodes ${victim.nodes.join(', ')}).`);
+        err.code = 'DISTRIBUTED_DEADLOCK';
+        err.cycle = victim.cycle;
+        err.cause = error;
+        return err;
+    }
+
+    /**
+     * One detection pass.
+     *
+     * @returns {Object} - { at, transactions, edges, cycles, victims, errors }
+     */
+    static async check() {
+        deadlock_detector.prune();
+        const result = { at: new Date().toISOString(), transactions: deadlock_detector.tracked.size, edges: [], cycles: [], victims: [], errors: {} };
+
+        // A cross-node cycle needs at least two transactions
+        if (deadlock_detector.tracked.size < 2) {
+            deadlock_detector.pendingCycles.clear();
+            deadlock_detector.lastCheck = result;
+            return result;
+        }
+
+        // "<nodeId>:<threadId>" → globalId
+        const owners = new Map();
+        deadlock_detector.tracked.forEach(entry => entry.branches.forEach(branch => {
+            if (branch.conn && branch.conn.threadId) owners.set(`${branch.nodeId}:${branch.conn.threadId}`, entry.globalId);
+        }));
+        const nodeIds = [...new Set([...owners.keys()].map(key => Number(key.split(':')[0])))];
+
+        const waits = [];
+        for (const nodeId of nodeIds) {
+            try {
+                waits.push(...await lock_monitor.getWaits(nodeId));
+            } catch (err) {
+                result.errors[nodeId] = err.message;
+            }
+        }
+
+        // Global waits-for edges between registered transactions
+        waits.forEach(w => {
+            const from = owners.get(`${w.nodeId}:${w.waitingThread}`);
+            const to = owners.get(`${w.nodeId}:${w.blockingThread}`);
+            if (from && to && from !== to) {
+                result.edges.push({ from, to, nodeId: w.nodeId, thread: w.waitingThread, lock: w.lock, waitingMs: w.waitingMs });
+            }
+        });
+
+        const seenNow = new Set();
+        for (const cycle of lock_monitor.findCycles(result.edges)) {
+            const cycleEdges = result.edges.filter(e => cycle.includes(e.from) && cycle.includes(e.to));
+            const nodes = [...new Set(cycleEdges.map(e => e.nodeId))];
+            if (nodes.length < 2) continue;
+
+            const signature = [...cycle].sort().join('|');
+            seenNow.add(signature);
+            result.cycles.push({ cycle, nodes, confirmed: deadlock_detector.pendingCycles.has(signature) });
+            if (!deadlock_detector.pendingCycles.has(signature)) continue;
+
+            const victim = await deadlock_detector.abortVictim(cycle, nodes, cycleEdges);
+            if (victim) result.victims.push(victim);
+        }
+
+        deadlock_detector.pendingCycles = seenNow;
+        deadlock_detector.lastCheck = result;
+        return result;
+    }
+
+    /**
+     * Interrupt the youngest transaction on a cycle wherever it waits.
+     * Its caller's error handling performs the actual rollback.
+     */
+    static async abortVictim(cycle, nodes, cycleEdges) {
+        const victimId = cycle
+            .map(globalId => deadlock_detector.tracked.get(globalId))
+            .filter(Boolean)
+            .sort((a, b) => b.startedAt - a.startedAt)[0].globalId;
+        if (deadlock_detector.victims.has(victimId)) return null;
+
+        deadlock_detector.victims.set(victimId, { cycle, nodes, at: Date.now() });
+        const waitsOf = cycleEdges.filter(e => e.from === victimId);
+        console.log(`[Deadlock] Distributed deadlock ${cycle.join(' → ')} across nodes ${nodes.join(', ')}; aborting youngest: ${victimId}`);
+
+        for (const wait of waitsOf) {
+            try {
+                await node_registry.getPool(wait.nodeId).query('KILL QUERY ?', [wait.thread]);
+                console.log(`[Deadlock] ${victimId}: waiting statement on node ${wait.nodeId} interrupted (thread ${wait.thread})`);
+            } catch (err) {
+                console.error(`[Deadlock] ${victimId}: could not interrupt thread ${wait.thread} on node ${wait.nodeId}: ${err.message}`);
+            }
+        }
+
+        const entry = {
+            at: new Date().toISOString(),
+            victim: victimId,
+            cycle,
+            nodes,
+            reason: 'youngest transaction on the cycle (least work lost)',
+            waits: waitsOf.map(e => ({ nodeId: e.nodeId, lock: e.lock, waitingMs: e.waitingMs }))
+        };
+        deadlock_detector.history.unshift(entry);
+        deadlock_detector.history.length = Math.min(deadlock_detector.history.length, 20);
+        return entry;
+    }
+
+    static start(intervalMs = deadlock_detector.CHECK_INTERVAL_MS) {
+        if (deadlock_detector.interval) return;
+        deadlock_detector.interval = setInterval(async () => {
+            if (deadlock_detector.checking) return;
+            deadlock_detector.checking = true;
+            try {
+                await deadlock_detector.check();
+            } catch (err) {
+                console.error(`[Deadlock] Check failed: ${err.message}`);
+            } finally {
+                deadlock_detector.checking = false;
+            }
+        }, intervalMs);
+        console.log(`[Deadlock] Distributed deadlock detector started (${intervalMs}ms interval)`);
+    }
+
+    static stop() {
+        if (deadlock_detector.interval) {
+            clearInterval(deadlock_detector.interval);
+            deadlock_detector.interval = null;
+        }
+    }
+
+    static getStatus() {
+        deadlock_detector.prune();
+        return {
+            running: deadlock_detector.interval !== null,
+            tracked: [...deadlock_detector.tracked.values()].map(t => ({
+                globalId: t.globalId,
+                startedAt: new Date(t.startedAt).toISOString(),
+                nodes: t.branches.map(b => b.nodeId)
+            })),
+            lastCheck: deadlock_detector.lastCheck,
+            recentVictims: deadlock_detector.history
+        };
+    }
+}
+
+module.exports = deadlock_detector;
@@ -0,0 +1,710 @@
+// models/failover_manager.js
+// =========================================================
+// MASTER FAILOVER (promotion, fencing, reconciliation)
+// =========================================================
+// The Master is the only write entry point, so while it is down
+// every create/update/delete fails. The failover manager:
+//
+//   1. DETECT     Polls the Master with db_service.isNodeHealthy and
+//                 tracks how long it has been unreachable
+//   2. PROMOTE    Makes a designated standby node the Master
+//                 (operator request, or automatically once the outage
+//                 lasts FAILOVER_THRESHOLD_MS with FAILOVER_AUTO=true)
+//   3. FENCE      Marks the old Master 'fenced' in the registry so no
+//                 write is routed to it, and once it is reachable
+//                 again sets it read_only so other clients cannot
+//                 write to it either
+//   4. RECONCILE  Replays the writes taken by the promoted node onto
+//                 the old Master, drains the promoted node, then hands
+//                 the Master role back
+//
+// The promoted node records each write it takes in failover_writes,
+// inside the write's own XA branch (see db_service.recordInterimWrite).
+//
+// Privileges: the app's database user needs SYSTEM_VARIABLES_ADMIN
+// (or SUPER) on every node, since fencing, draining and unfencing set
+// read_only globally. read_only therefore does not bind this app's
+// own connections. The registry does: a fenced node is not routed
+// to, and a draining Master starts no new XA branch. read_only keeps
+// out every other client, which lacks the privilege.
+//
+// Failover state is kept in config/failover_state.json (or
+// FAILOVER_STATE_FILE) so a restart keeps routing to the promoted node.
+//
+// The standby must not own a partition (it would then hold two
+// branches of the same XA transaction) and needs the users,
+// failover_writes, recovery_queue, transaction_log and change_log tables.
+//
+// Nothing in this app copies the Master's users table to the standby:
+// keep it in sync outside it (e.g. MySQL replication). promote()
+// checks it against the Master's last known state - row count and
+// max id, read live if the Master answers, otherwise as the monitor
+// last saw them - and refuses a standby that differs unless the
+// operator passes acceptDataLoss.
+// =========================================================
+
+const fs = require('fs');
+const path = require('path');
+const node_registry = require('./node_registry');
+const db_router = require('./db_router');
+const db_access = require('./db_access');
+const db_service = require('./db_service');
+const change_log = require('./change_log');
+const deadlock_detector = require('./deadlock_detector');
+
+const FAILOVER_STATE_FILE = process.env.FAILOVER_STATE_FILE ||
+    path.join(__dirname, '..', 'config', 'failover_state.json');
+
+class failover_manager {
+
+    static DEFAULT_THRESHOLD_MS = 30000;
+
+    // How long reconcile() waits for the promoted node's open transactions
+    static DRAIN_TIMEOUT_MS = 30000;
+    static DRAIN_POLL_MS = 200;
+
+    // Current failover, or null when the original Master is in charge:
+    // { epoch, originalMasterId, promotedNodeId, promotedAt, idFloor, dbFenced, fencedAt }
+    static state = null;
+
+    static epoch = 0;
+
+    // Master's users table as last seen healthy: { nodeId, rowCount, maxId, at }
+    static lastMasterState = null;
+
+    static monitor = {
+        enabled: false,
+        intervalId: null,
+        checkIntervalMs: 5000,
+        autoPromote: process.env.FAILOVER_AUTO === 'true',
+        thresholdMs: Number(process.env.FAILOVER_THRESHOLD_MS) || failover_manager.DEFAULT_THRESHOLD_MS,
+        standbyId: process.env.FAILOVER_NODE_ID !== undefined ? Number(process.env.FAILOVER_NODE_ID) : null,
+        outageSince: null,
+        consecutiveFailures: 0,
+        lastCheckTime: null,
+        lastError: null
+    };
+
+    // =========================================================
+    // STATE PERSISTENCE
+    // =========================================================
+
+    /**
+     * Startup hook: re-apply a failover that was active before a restart.
+     */
+    static loadState(file = FAILOVER_STATE_FILE) {
+        if (!fs.existsSync(file)) return null;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            failover_manager.epoch = saved.epoch || 0;
+            if (saved.state) {
+                failover_manager.applyPromotion(saved.state);
+                console.log(`[Failover] Restored: node ${saved.state.promotedNodeId} is Master (epoch ${failover_manager.epoch})`);
+            }
+            return failover_manager.state;
+        } catch (err) {
+            console.error(`[Failover] Could not load failover state: ${err.message}`);
+            return null;
+        }
+    }
+
+    static saveState(file = FAILOVER_STATE_FILE) {
+        try {
+            const tmpFile = `${file}.${process.pid}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify({ epoch: failover_manager.epoch, state: failover_manager.state }, null, 4) + '\n');
+            fs.renameSync(tmpFile, file);
+        } catch (err) {
+            // Read-only deployments (e.g. Vercel) keep the state in memory only
+            console.error(`[Failover] Could not persist failover state: ${err.message}`);
+        }
+    }
+
+    // Registry changes for an active failover: old Master fenced, standby promoted
+    static applyPromotion(state) {
+        node_registry.setRole(state.originalMasterId, 'fenced');
+        node_registry.setRole(state.promotedNodeId, 'master');
+        node_registry.getNode(state.promotedNodeId).failover = {
+            epoch: state.epoch,
+            originalMasterId: state.originalMasterId,
+            idFloor: state.idFloor
+        };
+        failover_manager.state = state;
+    }
+
+    // =========================================================
+    // DETECTION
+    // =========================================================
+
+    /**
+     * Start polling the Master. With autoPromote on, a sustained outage
+     * promotes the designated standby; while failed over, the old
+     * Master is fenced as soon as it answers again.
+     */
+    static startMonitor(intervalMs = 5000) {
+        const monitor = failover_manager.monitor;
+        if (monitor.enabled) {
+            return { success: false, message: "Failover monitor already running" };
+        }
+
+        monitor.checkIntervalMs = intervalMs;
+        monitor.enabled = true;
+        monitor.intervalId = setInterval(async () => {
+            await failover_manager.checkMaster();
+        }, intervalMs);
+
+        console.log(`[Failover] Monitor started (interval: ${intervalMs}ms, auto-promote: ${monitor.autoPromote ? 'ON' : 'OFF'})`);
+        return { success: true, message: "Failover monitor started" };
+    }
+
+    static stopMonitor() {
+        const monitor = failover_manager.monitor;
+        if (!monitor.enabled) {
+            return { success: false, message: "Failover monitor not running" };
+        }
+
+        clearInterval(monitor.intervalId);
+        monitor.enabled = false;
+        monitor.intervalId = null;
+        console.log("[Failover] Monitor stopped");
+        return { success: true, message: "Failover monitor stopped" };
+    }
+
+    static async checkMaster() {
+        const monitor = failover_manager.monitor;
+        monitor.lastCheckTime = new Date();
+
+        try {
+            if (failover_manager.state) {
+                // Failed over: fence the old Master the moment it is back
+                if (!failover_manager.state.dbFenced &&
+                    await db_service.isNodeHealthy(failover_manager.state.originalMasterId, 1000)) {
+                    await failover_manager.fence();
+                }
+                return;
+            }
+
+            const masterId = node_registry.getMasterId();
+            if (await db_service.isNodeHealthy(masterId, 1000)) {
+                try {
+                    failover_manager.lastMasterState = {
+                        nodeId: masterId,
+                        ...await failover_manager.readUsersState(masterId),
+                        at: new Date().toISOString()
+                    };
+                } catch (err) {
+                    monitor.lastError = `Could not read Master state: ${err.message}`;
+                }
+                if (monitor.outageSince) {
+                    console.log(`[Failover] Master ${masterId} reachable again after ${Date.now() - monitor.outageSince.getTime()}ms`);
+                }
+                monitor.outageSince = null;
+                monitor.consecutiveFailures = 0;
+                return;
+            }
+
+            monitor.consecutiveFailures++;
+            if (!monitor.outageSince) monitor.outageSince = new Date();
+            const outageMs = Date.now() - monitor.outageSince.getTime();
+            console.log(`[Failover] Master ${masterId} unreachable (${monitor.consecutiveFailures} checks, ${outageMs}ms)`);
+
+            if (monitor.autoPromote && monitor.standbyId !== null && outageMs >= monitor.thresholdMs) {
+                console.log(`[Failover] Outage exceeded ${monitor.thresholdMs}ms - promoting node ${monitor.standbyId}`);
+                const result = await failover_manager.promote(monitor.standbyId);
+                if (!result.success) console.error(`[Failover] Automatic promotion refused: ${result.message}`);
+            }
+        } catch (err) {
+            monitor.lastError = err.message;
+            console.error(`[Failover] Check failed: ${err.message}`);
+        }
+    }
+
+    // =========================================================
+    // PROMOTION
+    // =========================================================
+
+    /**
+     * Promote a standby node to Master.
+     *
+     * @param {number} nodeId - Node to promote (defaults to FAILOVER_NODE_ID)
+     * @param {Object} options - { force } skips the "Master must be down" check,
+     *                          { acceptDataLoss } the standby-in-sync check
+     * @returns {Object} - { success, state } or { success: false, message }
+     */
+    static async promote(nodeId = failover_manager.monitor.standbyId, { force = false, acceptDataLoss = false } = {}) {
+        if (failover_manager.state) {
+            return { success: false, message: `Already failed over to node ${failover_manager.state.promotedNodeId}. Reconcile first.` };
+        }
+        if (nodeId === null || nodeId === undefined || !node_registry.hasNode(nodeId)) {
+            return { success: false, message: `Node ${nodeId} is not registered.` };
+        }
+
+        const promotedNodeId = Number(nodeId);
+        const originalMasterId = node_registry.getMasterId();
+        if (promotedNodeId === originalMasterId) {
+            return { success: false, message: `Node ${promotedNodeId} is already the Master.` };
+        }
+        if (db_router.getSlaveIds().includes(promotedNodeId)) {
+            return { success: false, message: `Node ${promotedNodeId} owns a partition and cannot be promoted.` };
+        }
+        if (!force && await db_service.isNodeHealthy(originalMasterId, 1000)) {
+            return { success: false, message: `Master ${originalMasterId} is still reachable. Use force to promote anyway.` };
+        }
+        if (!await db_service.isNodeHealthy(promotedNodeId, 2000)) {
+            return { success: false, message: `Node ${promotedNodeId} is not reachable.` };
+        }
+
+        // New IDs must stay above every ID the old Master may have handed out
+        const idFloor = await failover_manager.findIdFloor(promotedNodeId);
+        // The standby serves every read and write from now on: it must hold what the Master held
+        const standby = await failover_manager.verifyStandby(promotedNodeId, originalMasterId);
+        if (!standby.inSync && !acceptDataLoss) {
+            return { success: false, message: `${standby.reason} Pass acceptDataLoss to promote anyway.`, standby };
+        }
+        // Likewise new change_log sequence numbers, or Slaves would skip them
+        await failover_manager.alignSequence(promotedNodeId, await failover_manager.findSeqFloor());
+
+        failover_manager.epoch++;
+        const state = {
+            epoch: failover_manager.epoch,
+            originalMasterId,
+            promotedNodeId,
+            promotedAt: new Date().toISOString(),
+            idFloor,
+            dbFenced: false,
+            fencedAt: null
+        };
+        failover_manager.applyPromotion(state);
+        failover_manager.saveState();
+        failover_manager.monitor.outageSince = null;
+        failover_manager.monitor.consecutiveFailures = 0;
+
+        console.log(`[Failover] ===== Node ${promotedNodeId} PROMOTED to Master (epoch ${state.epoch}, ID floor ${idFloor}) =====`);
+
+        // Fence at the database level right away if the old Master still answers
+        if (await db_service.isNodeHealthy(originalMasterId, 1000)) {
+            await failover_manager.fence();
+        }
+
+        return { success: true, state: failover_manager.state };
+    }
+
+    // Highest user ID on the promoted node and every reachable Slave
+    static async findIdFloor(promotedNodeId) {
+        let floor = 0;
+        for (const nodeId of [promotedNodeId, ...db_router.getSlaveIds()]) {
+            let conn;
+            try {
+                conn = await db_service.connectWithTimeout(db_router.getNodeById(nodeId), 2000);
+                const [rows] = await conn.query('SELECT MAX(id) AS maxId FROM users');
+                floor = Math.max(floor, Number(rows[0].maxId) || 0);
+            } catch (err) {
+                console.error(`[Failover] Could not read max ID from node ${nodeId}: ${err.message}`);
+            } finally {
+                if (conn) conn.release();
+            }
+        }
+        return floor;
+    }
+
+    // Row count and highest id of a node's users table
+    static async readUsersState(nodeId) {
+        let conn;
+        try {
+            conn = await db_service.connectWithTimeout(db_router.getNodeById(nodeId), 2000);
+            const [rows] = await conn.query('SELECT COUNT(*) AS rowCount, MAX(id) AS maxId FROM users');
+            return { rowCount: Number(rows[0].rowCount), maxId: Number(rows[0].maxId) || 0 };
+        } finally {
+            if (conn) conn.release();
+        }
+    }
+
+    /**
+     * Compare the standby's users table with the Master's: read live when
+     * the Master answers, else the monitor's last reading (lastMasterState).
+     *
+     * @returns {Object} - { inSync, reason, standby, master }
+     */
+    static async verifyStandby(promotedNodeId, originalMasterId) {
+        let master = null;
+        try {
+            master = { nodeId: originalMasterId, ...await failover_manager.readUsersState(originalMasterId), at: new Date().toISOString() };
+        } catch (err) {
+            const last = failover_manager.lastMasterState;
+            master = last && last.nodeId === originalMasterId ? last : null;
+        }
+        if (!master) {
+            return { inSync: false, reason: `No known state of Master ${originalMasterId} to check node ${promotedNodeId} against.`, standby: null, master: null };
+        }
+
+        let standby;
+        try {
+            standby = await failover_manager.readUsersState(promotedNodeId);
+        } catch (err) {
+            return { inSync: false, reason: `Could not read users on node ${promotedNodeId}: ${err.message}`, standby: null, master };
+        }
+
+        if (standby.rowCount !== master.rowCount || standby.maxId !== master.maxId) {
+            return {
+                inSync: false,
+                reason: `Node ${promotedNodeId} is behind Master ${originalMasterId}: ${standby.rowCount} users up to id ${standby.maxId}, ` +
+                    `Master had ${master.rowCount} up to id ${master.maxId} (as of ${master.at}).`,
+                standby,
+                master
+            };
+        }
+        return { inSync: true, reason: null, standby, master };
+    }
+
+    // Highest replication position reached by any reachable Slave
+    static async findSeqFloor() {
+        let floor = 0;
+        for (const slaveId of db_router.getSlaveIds()) {
+            let conn;
+            try {
+                conn = await db_service.connectWithTimeout(db_router.getNodeById(slaveId), 2000);
+                floor = Math.max(floor, await change_log.getLastApplied(conn, slaveId));
+            } catch (err) {
+                console.error(`[Failover] Could not read replication position of Slave ${slaveId}: ${err.message}`);
+            } finally {
+                if (conn) conn.release();
+            }
+        }
+        return floor;
+    }
+
+    // Raise a node's next change_log sequence number above `floor`
+    static async alignSequence(nodeId, floor) {
+        let conn;
+        try {
+            conn = await db_service.connectWithTimeout(db_router.getNodeById(nodeId), 3000);
+            await change_log.raiseSequence(conn, floor);
+        } finally {
+            if (conn) conn.release();
+        }
+    }
+
+    // =========================================================
+    // FENCING
+    // =========================================================
+
+    /**
+     * Set the old Master read_only so other clients cannot write to it.
+     * This app's own writes are kept off it by the registry, not by
+     * read_only (see Privileges above), so reconcile can still replay.
+     */
+    static async fence() {
+        const state = failover_manager.state;
+        if (!state) {
+            return { success: false, message: "No failover in progress." };
+        }
+
+        let conn;
+        try {
+            conn = await db_service.connectWithTimeout(db_router.getNodeById(state.originalMasterId), 2000);
+            await conn.query('SET GLOBAL read_only = ON');
+            state.dbFenced = true;
+            state.fencedAt = new Date().toISOString();
+            failover_manager.saveState();
+            console.log(`[Failover] Old Master ${state.originalMasterId} FENCED (read_only = ON)`);
+            return { success: true, state };
+        } catch (err) {
+            console.error(`[Failover] Could not fence node ${state.originalMasterId}: ${err.message}`);
+            return { success: false, message: err.message, state };
+        } finally {
+            if (conn) conn.release();
+        }
+    }
+
+    // =========================================================
+    // RECONCILIATION
+    // =========================================================
+
+    /**
+     * Fold the promoted node's writes back into the original Master and
+     * hand the Master role back:
+     *
+     *   1. Replay failover_writes (oldest first) onto the old Master,
+     *      while the promoted node keeps taking writes
+     *   2. Drain the promoted node: no new writes, wait for open ones
+     *   3. Replay what committed meanwhile (still recorded, since the
+     *      promoted node keeps its failover marker until now)
+     *   4. Switch the registry back (new writes go to the old Master)
+     *   5. Move pending recovery_queue / transaction_log entries across
+     *   6. Lift read_only on both nodes and clear the failover
+     *
+     * If it fails before the switch, the promoted node takes writes again.
+     */
+    static async reconcile() {
+        const state = failover_manager.state;
+        if (!state) {
+            return { success: false, message: "No failover in progress." };
+        }
+        if (!await db_service.isNodeHealthy(state.originalMasterId, 2000)) {
+            return { success: false, message: `Original Master ${state.originalMasterId} is not reachable.` };
+        }
+        if (!state.dbFenced) {
+            const fenced = await failover_manager.fence();
+            if (!fenced.success) {
+                return { success: false, message: `Could not fence original Master: ${fenced.message}` };
+            }
+        }
+
+        console.log(`[Failover] ===== RECONCILING node ${state.promotedNodeId} → node ${state.originalMasterId} =====`);
+        const result = { success: true, replayed: 0, queueEntries: 0, logEntries: 0 };
+        let switched = false;
+
+        try {
+            result.replayed += await failover_manager.replayInterimWrites(state);
+
+            await failover_manager.drainPromoted(state);
+            result.replayed += await failover_manager.replayInterimWrites(state);
+
+            // The original Master's sequence continues after the promoted node's
+            let promotedConn;
+            try {
+                promotedConn = await db_service.connectWithTimeout(db_router.getNodeById(state.promotedNodeId), 3000);
+                const promotedHead = await change_log.getHeadSeq(promotedConn);
+                await failover_manager.alignSequence(state.originalMasterId, promotedHead);
+            } finally {
+                if (promotedConn) promotedConn.release();
+            }
+
+            // Nothing can commit on the promoted node any more: hand the Master role back
+            node_registry.getNode(state.promotedNodeId).failover = null;
+            node_registry.setRole(state.promotedNodeId, 'standby');
+            node_registry.setRole(state.originalMasterId, 'master');
+            switched = true;
+            console.log(`[Failover] Node ${state.originalMasterId} is Master again`);
+
+            result.queueEntries = await failover_manager.moveRecoveryQueue(state);
+            result.logEntries = await failover_manager.moveTransactionLog(state);
+
+            await failover_manager.unfence(state.originalMasterId);
+            await failover_manager.unfence(state.promotedNodeId);
+        } catch (err) {
+            console.error(`[Failover] Reconciliation failed: ${err.message}`);
+            if (!switched) await failover_manager.undrainPromoted(state);
+            return { success: false, message: err.message, ...result };
+        }
+
+        failover_manager.state = null;
+        failover_manager.saveState();
+        console.log(`[Failover] ===== RECONCILIATION COMPLETE: ${result.replayed} write(s) replayed =====`);
+        return result;
+    }
+
+    /**
+     * Stop writes on the promoted node and wait for those in flight.
+     * New XA branches are refused there (FAILOVER_RECONCILING, see
+     * db_service.xaBegin) and read_only keeps other clients out. The wait
+     * lasts until no branch of this process and no transaction of any
+     * client is open on the node; an in-doubt branch left PREPARED there
+     * keeps it open until it is resolved.
+     */
+    static async drainPromoted(state) {
+        const nodeId = state.promotedNodeId;
+        node_registry.getNode(nodeId).failover.draining = true;
+        console.log(`[Failover] Draining node ${nodeId}: new writes refused`);
+
+        let conn;
+        try {
+            conn = await db_service.connectWithTimeout(db_router.getNodeById(nodeId), 3000);
+            await conn.query('SET GLOBAL read_only = ON');
+
+            const deadline = Date.now() + failover_manager.DRAIN_TIMEOUT_MS;
+            while (true) {
+                const branches = failover_manager.countOpenBranches(nodeId);
+                const [rows] = await conn.query(
+                    'SELECT COUNT(*) AS open FROM information_schema.innodb_trx WHERE trx_mysql_thread_id <> CONNECTION_ID()'
+                );
+                const open = Number(rows[0].open);
+                if (branches === 0 && open === 0) break;
+
+                if (Date.now() >= deadline) {
+                    throw new Error(`Node ${nodeId} still has ${open} open transaction(s) (${branches} from this process) after ${failover_manager.DRAIN_TIMEOUT_MS}ms`);
+                }
+                await new Promise(resolve => setTimeout(resolve, failover_manager.DRAIN_POLL_MS));
+            }
+            console.log(`[Failover] Node ${nodeId} drained`);
+        } catch (err) {
+            await failover_manager.undrainPromoted(state);
+            throw err;
+        } finally {
+            if (conn) conn.release();
+        }
+    }
+
+    // Let the promoted node take writes again after a failed drain or reconcile
+    static async undrainPromoted(state) {
+        const node = node_registry.getNode(state.promotedNodeId);
+        if (!node.failover || !node.failover.draining) return;
+
+        node.failover.draining = false;
+        try {
+            await failover_manager.unfence(state.promotedNodeId);
+        } catch (err) {
+            console.error(`[Failover] Could not lift read_only on node ${state.promotedNodeId}: ${err.message}`);
+        }
+        console.log(`[Failover] Node ${state.promotedNodeId} takes writes again`);
+    }
+
+    // XA transactions of this process with a branch on the node
+    static countOpenBranches(nodeId) {
+        return [...deadlock_detector.tracked.values()]
+            .filter(entry => entry.branches.some(branch => branch.nodeId === nodeId))
+            .length;
+    }
+
+    /**
+     * Apply every unreconciled failover_writes entry to the original Master.
+     * INSERT/UPDATE entries carry the row as committed, so replay is an
+     * upsert; DELETE removes the row.
+     *
+     * @returns {number} - Entries replayed
+     */
+    static async replayInterimWrites(state) {
+        let sourceConn, targetConn;
+        let replayed = 0;
+        try {
+            sourceConn = await db_service.connectWithTimeout(db_router.getNodeById(state.promotedNodeId), 3000);
+            targetConn = await db_service.connectWithTimeout(db_router.getNodeById(state.originalMasterId), 3000);
+
+            const [entries] = await sourceConn.query(
+                'SELECT id, operation, user_id, row_json FROM failover_writes WHERE reconciled_at IS NULL AND epoch = ? ORDER BY id ASC',
+                [state.epoch]
+            );
+
+            for (const entry of entries) {
+                await targetConn.beginTransaction();
+                try {
+                    await db_access.deleteUser(targetConn, entry.user_id);
+                    if (entry.operation !== 'DELETE') {
+                        await db_access.insertUser(targetConn, JSON.parse(entry.row_json));
+                    }
+                    await targetConn.commit();
+                } catch (err) {
+                    await targetConn.rollback();
+                    throw new Error(`Replay of failover write ${entry.id} (${entry.operation} user ${entry.user_id}) failed: ${err.message}`);
+                }
+
+                await sourceConn.query('UPDATE failover_writes SET reconciled_at = NOW() WHERE id = ?', [entry.id]);
+                replayed++;
+            }
+
+            if (entries.length > 0) {
+                console.log(`[Failover] Replayed ${entries.length} interim write(s) onto node ${state.originalMasterId}`);
+            }
+            return replayed;
+        } finally {
+            if (sourceConn) sourceConn.release();
+            if (targetConn) targetConn.release();
+        }
+    }
+
+    // Open Slave writes queued on the promoted node move to the original Master's queue.
+    // Failed and parked entries keep their status, so a blocked Slave stays blocked
+    static async moveRecoveryQueue(state) {
+        let sourceConn, targetConn;
+        try {
+            sourceConn = await db_service.connectWithTimeout(db_router.getNodeById(state.promotedNodeId), 3000);
+            targetConn = await db_service.connectWithTimeout(db_router.getNodeById(state.originalMasterId), 3000);
+
+            const [rows] = await sourceConn.query(`
+                SELECT id, target_partition, user_id, operation_type, query_text, params_json, attempt_count, last_error, error_type, queued_at, seq, status
+                FROM recovery_queue
+                WHERE status IN ('pending', 'processing', 'failed', 'parked')
+                ORDER BY seq ASC, id ASC
+            `);
+
+            for (const row of rows) {
+                await targetConn.query(`
+                    INSERT INTO recovery_queue
+                        (target_partition, user_id, operation_type, query_text, params_json, attempt_count, last_error, error_type, queued_at, seq, status)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [row.target_partition, row.user_id, row.operation_type, row.query_text, row.params_json,
+                    row.attempt_count, row.last_error, row.error_type, row.queued_at, row.seq,
+                    row.status === 'processing' ? 'pending' : row.status]);
+                await sourceConn.query("UPDATE recovery_queue SET status = 'completed' WHERE id = ?", [row.id]);
+            }
+            return rows.length;
+        } finally {
+            if (sourceConn) sourceConn.release();
+            if (targetConn) targetConn.release();
+        }
+    }
+
+    // Unfinished 2PC decisions move too, so the in-doubt resolver can still find them
+    static async moveTransactionLog(state) {
+        let sourceConn, targetConn;
+        try {
+            sourceConn = await db_service.connectWithTimeout(db_router.getNodeById(state.promotedNodeId), 3000);
+            targetConn = await db_service.connectWithTimeout(db_router.getNodeById(state.originalMasterId), 3000);
+
+            const [rows] = await sourceConn.query(`
+                SELECT xid, operation, participants_json, pending_json, decision, decided_at
+                FROM transaction_log
+                WHERE state = 'PENDING'
+            `);
+
+            for (const row of rows) {
+                await targetConn.query(`
+                    INSERT IGNORE INTO transaction_log (xid, operation, participants_json, pending_json, decision, decided_at)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `, [row.xid, row.operation, row.participants_json, row.pending_json, row.decision, row.decided_at]);
+            }
+            return rows.length;
+        } finally {
+            if (sourceConn) sourceConn.release();
+            if (targetConn) targetConn.release();
+        }
+    }
+
+    static async unfence(nodeId) {
+        let conn;
+        try {
+            conn = await db_service.connectWithTimeout(db_router.getNodeById(nodeId), 2000);
+            await conn.query('SET GLOBAL read_only = OFF');
+            console.log(`[Failover] Node ${nodeId} unfenced (read_only = OFF)`);
+        } finally {
+            if (conn) conn.release();
+        }
+    }
+
+    static getStatus() {
+        const monitor = failover_manager.monitor;
+        return {
+            failedOver: !!failover_manager.state,
+            masterId: node_registry.getMasterId(),
+            epoch: failover_manager.epoch,
+            state: failover_manager.state,
+            lastMasterState: failover_manager.lastMasterState,
+            monitor: {
+                enabled: monitor.enabled,
+                intervalMs: monitor.checkIntervalMs,
+                autoPromote: monitor.autoPromote,
+                thresholdMs: monitor.thresholdMs,
+                standbyId: monitor.standbyId,
+                outageSince: monitor.outageSince,
+                consecutiveFailures: monitor.consecutiveFailures,
+                lastCheck: monitor.lastCheckTime,
+                lastError: monitor.lastError
+            }
+        };
+    }
+
+    /**
+     * Change the automatic promotion policy.
+     *
+     * @param {Object} policy - { autoPromote, thresholdMs, standbyId }
+     */
+    static setPolicy({ autoPromote, thresholdMs, standbyId }) {
+        const monitor = failover_manager.monitor;
+        if (autoPromote !== undefined) monitor.autoPromote = !!autoPromote;
+        if (thresholdMs !== undefined) monitor.thresholdMs = Number(thresholdMs);
+        if (standbyId !== undefined) monitor.standbyId = standbyId === null ? null : Number(standbyId);
+        return failover_manager.getStatus().monitor;
+    }
+}
+
+module.exports = failover_manager;
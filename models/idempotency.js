@@ -0,0 +1,89 @@
+// models/idempotency.js
+// =========================================================
+// IDEMPOTENCY KEYS (POST /api/users)
+// =========================================================
+// A client retrying a create after a timeout sends the same
+// Idempotency-Key. The key is stored on the Master, with the response
+// the create produced, inside the create's own XA branch: it exists
+// exactly when the user does.
+//
+// createUser looks the key up after taking the ID lock, so a retry
+// that raced the original sees its committed row and gets the
+// original response back instead of a second user. A key reused with
+// a different request body is rejected.
+//
+// The stored response is the body db_service returned, queueSize
+// included (as it was then). A replay adds `idempotentReplay: true`,
+// and three fields are produced per request rather than stored:
+//
+//   attempts        This request's attempts (retry_policy)
+//   causalityToken  Derived from the stored `changes`, so it equals
+//                   the original token
+//   sessionToken    The caller's X-Session-Token; the stored changes
+//                   are recorded under it, so a read-your-writes
+//                   session that retried the create sees the user
+// =========================================================
+
+const crypto = require('crypto');
+
+const MAX_KEY_LENGTH = 128;
+
+class idempotency {
+
+    static MAX_KEY_LENGTH = MAX_KEY_LENGTH;
+
+    // Fingerprint of the fields that define a create request
+    static hashRequest(userData) {
+        const { firstName, lastName, city, country } = userData;
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([firstName, lastName, city, country]))
+            .digest('hex');
+    }
+
+    /**
+     * Stored response for a key, read with a locking read so it sees
+     * a concurrent create that has just committed.
+     *
+     * @returns {Object|null} - The original response, or null for a new key
+     * @throws {Error} - IDEMPOTENCY_KEY_MISMATCH if the key came with a different request
+     */
+    static async findResponse(masterConn, key, requestHash) {
+        const [rows] = await masterConn.query(
+            'SELECT request_hash, response_json FROM idempotency_keys WHERE idem_key = ? FOR UPDATE',
+            [key]
+        );
+        if (rows.length === 0) return null;
+
+        if (rows[0].request_hash !== requestHash) {
+            const err = new Error(`Idempotency-Key '${key}' was already used with a different request.`);
+            err.code = 'IDEMPOTENCY_KEY_MISMATCH';
+            throw err;
+        }
+        return JSON.parse(rows[0].response_json);
+    }
+
+    /**
+     * Store the response for a key. Must run on the Master connection
+     * holding the create's XA branch, before it commits.
+     *
+     * @throws {Error} - IDEMPOTENCY_KEY_IN_USE if a concurrent request holds the key
+     */
+    static async saveResponse(masterConn, key, requestHash, userId, response) {
+        try {
+            await masterConn.query(
+                'INSERT INTO idempotency_keys (idem_key, request_hash, user_id, response_json) VALUES (?, ?, ?, ?)',
+                [key, requestHash, userId, JSON.stringify(response)]
+            );
+        } catch (err) {
+            if (err.code === 'ER_DUP_ENTRY') {
+                const inUse = new Error(`Idempotency-Key '${key}' is being used by a concurrent request. Retry shortly.`);
+                inUse.code = 'IDEMPOTENCY_KEY_IN_USE';
+                throw inUse;
+            }
+            throw err;
+        }
+        console.log(`[Idempotency] Key '${key}' stored for user ${userId}`);
+    }
+}
+
+module.exports = idempotency;
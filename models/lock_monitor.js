@@ -0,0 +1,326 @@
+// models/lock_monitor.js
+// =========================================================
+// LOCK MONITOR (InnoDB waits-for graph)
+// =========================================================
+// Snapshots the lock state of every node from InnoDB's own
+// instrumentation:
+//
+//   information_schema.innodb_trx         open transactions
+//   performance_schema.data_locks         locks held or requested
+//   performance_schema.data_lock_waits    who waits for whom
+//   SHOW ENGINE INNODB STATUS             latest detected deadlock
+//
+// and turns it into a waits-for graph: one vertex per transaction
+// (keyed "<nodeId>:<trxId>"), one edge per lock wait, pointing from
+// the waiting transaction to the one holding the lock.
+//
+// InnoDB resolves a deadlock the moment it forms, so a cycle is rarely
+// caught in a snapshot. The deadlock itself is read from the
+// LATEST DETECTED DEADLOCK section instead: which transactions took
+// part, what each held and waited for, and which one InnoDB rolled
+// back. Each distinct report is stamped with the time this process
+// first saw it, so a poller can tell a new deadlock from an old one.
+//
+// Connections can be tagged with a label (e.g. the simulator's
+// "A"/"B") so the graph shows which transaction is which.
+//
+// Needs the PROCESS privilege and MySQL 8.0 (performance_schema.data_locks).
+// =========================================================
+
+const node_registry = require('./node_registry');
+
+const QUERY_TIMEOUT_MS = 2000;
+
+const withTimeout = (promise, ms, what) => Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error(`${what} timeout`)), ms))
+]);
+
+class lock_monitor {
+
+    // "<nodeId>:<threadId>" → label
+    static labels = new Map();
+
+    // nodeId → { signature, firstSeenAt, labels: { [threadId]: label } }
+    static deadlocks = new Map();
+
+    static tag(nodeId, threadId, label) {
+        lock_monitor.labels.set(`${nodeId}:${threadId}`, label);
+    }
+
+    static untag(nodeId, threadId) {
+        lock_monitor.labels.delete(`${nodeId}:${threadId}`);
+    }
+
+    static labelFor(nodeId, threadId) {
+        return lock_monitor.labels.get(`${nodeId}:${threadId}`) || null;
+    }
+
+    /**
+     * Waits-for graph across every node.
+     *
+     * @returns {Object} - { polledAt, nodes, transactions, edges, cycles, deadlocks }
+     */
+    static async getGraph() {
+        const graph = { polledAt: Date.now(), nodes: [], transactions: [], edges: [], cycles: [], deadlocks: [] };
+
+        for (const nodeId of node_registry.getNodeIds()) {
+            const node = { nodeId, name: node_registry.getNodeName(nodeId), reachable: false };
+            graph.nodes.push(node);
+            try {
+                const snapshot = await lock_monitor.snapshotNode(nodeId);
+                node.reachable = true;
+                graph.transactions.push(...snapshot.transactions);
+                graph.edges.push(...snapshot.edges);
+                if (snapshot.deadlock) graph.deadlocks.push(snapshot.deadlock);
+            } catch (err) {
+                node.error = err.message;
+            }
+        }
+
+        graph.cycles = lock_monitor.findCycles(graph.edges);
+        return graph;
+    }
+
+    /**
+     * Transactions, lock waits and the latest deadlock on one node.
+     *
+     * @returns {Object} - { transactions, edges, deadlock }
+     */
+    static async snapshotNode(nodeId) {
+        const pool = node_registry.getPool(nodeId);
+        const query = (sql) => withTimeout(pool.query(sql), QUERY_TIMEOUT_MS, `Node ${nodeId} lock query`).then(([rows]) => rows);
+
+        const trxRows = await query(`
+            SELECT trx_id, trx_state, trx_started, trx_wait_started, trx_mysql_thread_id, trx_query,
+                   trx_weight, trx_rows_locked, trx_rows_modified, trx_isolation_level
+            FROM information_schema.innodb_trx
+        `);
+        const lockRows = await query(`
+            SELECT ENGINE_LOCK_ID, ENGINE_TRANSACTION_ID, OBJECT_NAME, INDEX_NAME,
+                   LOCK_TYPE, LOCK_MODE, LOCK_STATUS, LOCK_DATA
+            FROM performance_schema.data_locks
+        `);
+        const waitRows = await query(`
+            SELECT REQUESTING_ENGINE_TRANSACTION_ID, REQUESTING_ENGINE_LOCK_ID,
+                   BLOCKING_ENGINE_TRANSACTION_ID, BLOCKING_ENGINE_LOCK_ID
+            FROM performance_schema.data_lock_waits
+        `);
+        const statusRows = await query('SHOW ENGINE INNODB STATUS');
+
+        const key = trxId => `${nodeId}:${trxId}`;
+        const describeLock = l => ({
+            table: l.OBJECT_NAME,
+            index: l.INDEX_NAME,
+            type: l.LOCK_TYPE,
+            mode: l.LOCK_MODE,
+            status: l.LOCK_STATUS,
+            data: l.LOCK_DATA
+        });
+        const locksById = new Map(lockRows.map(l => [l.ENGINE_LOCK_ID, l]));
+
+        const transactions = trxRows.map(t => ({
+            key: key(t.trx_id),
+            nodeId,
+            trxId: String(t.trx_id),
+            threadId: Number(t.trx_mysql_thread_id),
+            label: lock_monitor.labelFor(nodeId, t.trx_mysql_thread_id),
+            state: t.trx_state,
+            isolation: t.trx_isolation_level,
+            startedAt: t.trx_started,
+            waitingMs: t.trx_wait_started ? Math.max(0, Date.now() - new Date(t.trx_wait_started).getTime()) : 0,
+            query: t.trx_query,
+            weight: Number(t.trx_weight),
+            rowsLocked: Number(t.trx_rows_locked),
+            rowsModified: Number(t.trx_rows_modified),
+            locks: lockRows.filter(l => String(l.ENGINE_TRANSACTION_ID) === String(t.trx_id)).map(describeLock)
+        }));
+
+        const edges = waitRows.map(w => {
+            const requested = locksById.get(w.REQUESTING_ENGINE_LOCK_ID);
+            const blocking = locksById.get(w.BLOCKING_ENGINE_LOCK_ID);
+            return {
+                from: key(w.REQUESTING_ENGINE_TRANSACTION_ID),
+                to: key(w.BLOCKING_ENGINE_TRANSACTION_ID),
+                nodeId,
+                requested: requested ? describeLock(requested) : null,
+                blocking: blocking ? describeLock(blocking) : null
+            };
+        });
+
+        const status = statusRows.length ? statusRows[0].Status : '';
+        return { transactions, edges, deadlock: lock_monitor.trackDeadlock(nodeId, status) };
+    }
+
+    /**
+     * Lock waits on one node by connection thread: just enough for a
+     * coordinator to map them onto its own transactions.
+     *
+     * @returns {Array} - [{ nodeId, waitingThread, blockingThread, waitingMs, lock }]
+     */
+    static async getWaits(nodeId) {
+        const [rows] = await withTimeout(node_registry.getPool(nodeId).query(`
+            SELECT r.trx_mysql_thread_id AS waiting_thread, b.trx_mysql_thread_id AS blocking_thread,
+                   r.trx_wait_started AS wait_started, l.OBJECT_NAME, l.INDEX_NAME, l.LOCK_MODE, l.LOCK_DATA
+            FROM performance_schema.data_lock_waits w
+            JOIN information_schema.innodb_trx r ON r.trx_id = w.REQUESTING_ENGINE_TRANSACTION_ID
+            JOIN information_schema.innodb_trx b ON b.trx_id = w.BLOCKING_ENGINE_TRANSACTION_ID
+            LEFT JOIN performance_schema.data_locks l ON l.ENGINE_LOCK_ID = w.REQUESTING_ENGINE_LOCK_ID
+        `), QUERY_TIMEOUT_MS, `Node ${nodeId} lock wait query`);
+
+        return rows.map(r => ({
+            nodeId,
+            waitingThread: Number(r.waiting_thread),
+            blockingThread: Number(r.blocking_thread),
+            waitingMs: r.wait_started ? Math.max(0, Date.now() - new Date(r.wait_started).getTime()) : 0,
+            lock: r.OBJECT_NAME ? `${r.LOCK_MODE} on ${r.OBJECT_NAME}.${r.INDEX_NAME}${r.LOCK_DATA ? ` (${r.LOCK_DATA})` : ''}` : null
+        }));
+    }
+
+    /**
+     * Parse and remember a node's latest deadlock report.
+     *
+     * @returns {Object|null} - Report with firstSeenAt (null when it predates
+     *                           this process's first look at the node)
+     */
+    static trackDeadlock(nodeId, status) {
+        const report = lock_monitor.parseDeadlock(status);
+        if (!report) {
+            // Any report that shows up later is new
+            if (!lock_monitor.deadlocks.has(nodeId)) {
+                lock_monitor.deadlocks.set(nodeId, { signature: null, firstSeenAt: null, labels: {} });
+            }
+            return null;
+        }
+
+        const previous = lock_monitor.deadlocks.get(nodeId);
+        if (!previous || previous.signature !== report.signature) {
+            // The first report seen on a node may be arbitrarily old
+            const firstSeenAt = previous === undefined ? null : Date.now();
+            lock_monitor.deadlocks.set(nodeId, { signature: report.signature, firstSeenAt, labels: {} });
+            if (firstSeenAt) {
+                console.log(`[Locks] Node ${nodeId}: deadlock detected, InnoDB rolled back transaction ${report.victim ? report.victim.trxId : '?'}`);
+            }
+        }
+
+        // Labels are kept with the report: the tagged connections move on to other work
+        const seen = lock_monitor.deadlocks.get(nodeId);
+        report.transactions.forEach(t => {
+            const label = lock_monitor.labelFor(nodeId, t.threadId);
+            if (label) seen.labels[t.threadId] = label;
+            t.label = seen.labels[t.threadId] || null;
+        });
+        return { nodeId, ...report, firstSeenAt: seen.firstSeenAt };
+    }
+
+    /**
+     * The LATEST DETECTED DEADLOCK section of SHOW ENGINE INNODB STATUS.
+     *
+     * @returns {Object|null} - { detectedAt, signature, transactions, victim, reason }
+     */
+    static parseDeadlock(status) {
+        const match = (status || '').match(/LATEST DETECTED DEADLOCK\n-+\n([\s\S]*?)\n-{4,}\n[A-Z]/);
+        if (!match) return null;
+        const section = match[1];
+
+        const parts = section.split(/\*\*\* \((\d+)\) TRANSACTION:\n/);
+        const transactions = [];
+        for (let i = 1; i < parts.length; i += 2) {
+            const text = parts[i + 1].split(/\n\*\*\* WE ROLL BACK/)[0];
+            const number = (re) => { const m = text.match(re); return m ? Number(m[1]) : null; };
+            const lockAfter = (heading) => {
+                const m = text.match(new RegExp(`\\*\\*\\* \\(${parts[i]}\\) ${heading}:\\n(.+)`));
+                return m ? m[1].trim() : null;
+            };
+            const threadLine = text.match(/MySQL thread id \d+[^\n]*\n([^\n]*)/);
+
+            transactions.push({
+                index: Number(parts[i]),
+                trxId: (text.match(/TRANSACTION (\d+)/) || [])[1] || null,
+                threadId: number(/MySQL thread id (\d+)/),
+                activeSeconds: number(/ACTIVE (\d+) sec/),
+                rowLocks: number(/(\d+) row lock\(s\)/) || 0,
+                undoLogEntries: number(/undo log entries (\d+)/) || 0,
+                query: threadLine && !threadLine[1].startsWith('***') ? threadLine[1].trim() : null,
+                holds: lockAfter('HOLDS THE LOCK\\(S\\)'),
+                waitingFor: lockAfter('WAITING FOR THIS LOCK TO BE GRANTED')
+            });
+        }
+
+        const victimMatch = section.match(/\*\*\* WE ROLL BACK TRANSACTION \((\d+)\)/);
+        const victim = victimMatch ? transactions.find(t => t.index === Number(victimMatch[1])) || null : null;
+
+        return {
+            detectedAt: (section.match(/^(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2})/) || [])[1] || null,
+            signature: section.slice(0, 200),
+            transactions,
+            victim,
+            reason: lock_monitor.explainVictim(victim, transactions)
+        };
+    }
+
+    // Why InnoDB picked the victim: it rolls back the transaction that is cheapest to undo
+    static explainVictim(victim, transactions) {
+        if (!victim) return null;
+        const cost = t => `${t.undoLogEntries} undo log entr${t.undoLogEntries === 1 ? 'y' : 'ies'}, ${t.rowLocks} row lock(s)`;
+        const others = transactions.filter(t => t !== victim).map(t => `(${t.index}) ${cost(t)}`).join('; ');
+        return `InnoDB rolls back the transaction with the smallest weight (rows modified + rows locked), ` +
+            `i.e. the cheapest to undo. Victim (${victim.index}) had ${cost(victim)}` + (others ? `; ${others}.` : '.');
+    }
+
+    // Deadlock report on one of the given nodes that involves the given thread
+    static async findDeadlockFor(nodeThreads) {
+        for (const { nodeId, threadId } of nodeThreads) {
+            try {
+                const [rows] = await withTimeout(node_registry.getPool(nodeId).query('SHOW ENGINE INNODB STATUS'),
+                    QUERY_TIMEOUT_MS, `Node ${nodeId} status`);
+                const report = lock_monitor.trackDeadlock(nodeId, rows.length ? rows[0].Status : '');
+                if (report && report.transactions.some(t => t.threadId === threadId)) return report;
+            } catch (err) { /* node unreachable or no PROCESS privilege */ }
+        }
+        return null;
+    }
+
+    /**
+     * Cycles in a waits-for graph.
+     *
+     * @param {Array} edges - [{ from, to }]
+     * @returns {Array} - Each cycle as the list of vertex keys on it
+     */
+    static findCycles(edges) {
+        const next = new Map();
+        edges.forEach(({ from, to }) => {
+            if (!next.has(from)) next.set(from, []);
+            next.get(from).push(to);
+        });
+
+        const cycles = [];
+        const seen = new Set();
+        const state = new Map(); // key → 'visiting' | 'done'
+        const path = [];
+
+        const visit = (vertex) => {
+            state.set(vertex, 'visiting');
+            path.push(vertex);
+            for (const target of next.get(vertex) || []) {
+                if (state.get(target) === 'visiting') {
+                    const cycle = path.slice(path.indexOf(target));
+                    const id = [...cycle].sort().join('|');
+                    if (!seen.has(id)) {
+                        seen.add(id);
+                        cycles.push(cycle);
+                    }
+                } else if (!state.has(target)) {
+                    visit(target);
+                }
+            }
+            path.pop();
+            state.set(vertex, 'done');
+        };
+
+        [...next.keys()].forEach(vertex => { if (!state.has(vertex)) visit(vertex); });
+        return cycles;
+    }
+}
+
+module.exports = lock_monitor;
@@ -0,0 +1,183 @@
+// models/node_registry.js
+// =========================================================
+// NODE REGISTRY
+// =========================================================
+// Every database node the system knows about, keyed by node ID:
+//
+//   { id, role, name, host, port, user, password, database, pool }
+//
+// Roles:
+//   master  - write entry point and full copy of the data
+//   slave   - partition replica (see the partition map)
+//   standby - spare node that failover can promote to master
+//   fenced  - former master taken out of service by failover
+//
+// Nodes from NODE<n>_* env vars are registered on first use; more
+// can be added or removed at runtime. A node's pool is only created
+// the first time something asks for it, and closed when the node
+// is removed.
+//
+// Exactly one node has the master role. Which Slaves own which
+// countries is the partition map's job (db_router), not the registry's.
+// =========================================================
+
+const { createPool, readEnvNodes } = require('../db/connection');
+
+const ROLES = ['master', 'slave', 'standby', 'fenced'];
+
+class node_registry {
+
+    static nodes = null;
+
+    static getNodes() {
+        if (!node_registry.nodes) {
+            node_registry.nodes = new Map();
+            readEnvNodes().forEach(node => node_registry.addNode(node));
+        }
+        return node_registry.nodes;
+    }
+
+    /**
+     * Register a node. Its pool is created lazily by getPool().
+     *
+     * @param {Object} node - { id, role, name, host, port, user, password, database }
+     * @returns {Object} - Public description of the node
+     */
+    static addNode({ id, role = 'slave', name, host, port, user, password, database }) {
+        const nodes = node_registry.getNodes();
+        const nodeId = Number(id);
+
+        if (!Number.isInteger(nodeId) || nodeId < 0) {
+            throw new Error(`Invalid node ID '${id}'.`);
+        }
+        if (nodes.has(nodeId)) {
+            throw new Error(`Node ${nodeId} is already registered.`);
+        }
+        if (!ROLES.includes(role)) {
+            throw new Error(`Invalid role '${role}'. Must be one of: ${ROLES.join(', ')}.`);
+        }
+        if (role === 'master' && node_registry.findMaster()) {
+            throw new Error(`Node ${node_registry.getMasterId()} is already the master.`);
+        }
+
+        nodes.set(nodeId, {
+            id: nodeId,
+            role,
+            name: name || null,
+            host,
+            port,
+            user,
+            password,
+            database,
+            pool: null,
+            // Set on a node promoted by failover_manager (see failover_manager.promote)
+            failover: null
+        });
+        console.log(`[Registry] Node ${nodeId} registered as ${role}${host ? ` (${host}:${port})` : ''}`);
+        return node_registry.describeNode(nodes.get(nodeId));
+    }
+
+    /**
+     * Unregister a node and close its pool. The master cannot be removed.
+     */
+    static async removeNode(id) {
+        const node = node_registry.getNode(id);
+        if (node.role === 'master') {
+            throw new Error(`Node ${node.id} is the master and cannot be removed.`);
+        }
+
+        node_registry.getNodes().delete(node.id);
+        if (node.pool) {
+            try {
+                await node.pool.end();
+            } catch (err) {
+                console.error(`[Registry] Error closing pool for node ${node.id}: ${err.message}`);
+            }
+        }
+        console.log(`[Registry] Node ${node.id} removed`);
+        return node_registry.describeNode(node);
+    }
+
+    static getNode(id) {
+        const node = node_registry.getNodes().get(Number(id));
+        if (!node) throw new Error("Invalid node ID");
+        return node;
+    }
+
+    static hasNode(id) {
+        return node_registry.getNodes().has(Number(id));
+    }
+
+    // Connection pool for a node, created on first use
+    static getPool(id) {
+        const node = node_registry.getNode(id);
+        if (!node.pool) {
+            node.pool = createPool(node);
+            console.log(`[Registry] Pool created for node ${node.id}`);
+        }
+        return node.pool;
+    }
+
+    static setRole(id, role) {
+        if (!ROLES.includes(role)) {
+            throw new Error(`Invalid role '${role}'. Must be one of: ${ROLES.join(', ')}.`);
+        }
+        const node = node_registry.getNode(id);
+        const master = node_registry.findMaster();
+        if (role === 'master' && master && master.id !== node.id) {
+            throw new Error(`Node ${master.id} is already the master.`);
+        }
+        node.role = role;
+        console.log(`[Registry] Node ${node.id} role set to ${role}`);
+        return node_registry.describeNode(node);
+    }
+
+    static findMaster() {
+        return [...node_registry.getNodes().values()].find(n => n.role === 'master') || null;
+    }
+
+    static getMasterId() {
+        const master = node_registry.findMaster();
+        if (!master) throw new Error("No master node registered.");
+        return master.id;
+    }
+
+    // All node IDs, ascending
+    static getNodeIds() {
+        return [...node_registry.getNodes().keys()].sort((a, b) => a - b);
+    }
+
+    // IDs of nodes with the slave role, ascending
+    static getSlaveNodeIds() {
+        return node_registry.getNodeIds().filter(id => node_registry.getNode(id).role === 'slave');
+    }
+
+    // Display name: explicit name, else "Master" / "Slave N" / "Node N"
+    static getNodeName(id) {
+        const node = node_registry.getNodes().get(Number(id));
+        if (!node) return `Node ${id}`;
+        if (node.name) return node.name;
+        if (node.role === 'master') return 'Master';
+        return node.role === 'slave' ? `Slave ${node.id}` : `Node ${node.id}`;
+    }
+
+    // Node as shown by the API (never includes the password)
+    static describeNode(node) {
+        return {
+            id: node.id,
+            role: node.role,
+            name: node_registry.getNodeName(node.id),
+            host: node.host || null,
+            port: node.port ? Number(node.port) : null,
+            database: node.database || null,
+            poolCreated: !!node.pool,
+            promoted: !!node.failover
+        };
+    }
+
+    static listNodes() {
+        return node_registry.getNodeIds().map(id => node_registry.describeNode(node_registry.getNode(id)));
+    }
+}
+
+module.exports = node_registry;
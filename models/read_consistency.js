@@ -0,0 +1,257 @@
+// models/read_consistency.js
+// =========================================================
+// READ CONSISTENCY LEVELS
+// =========================================================
+// Which node may serve a read, chosen per request:
+//
+//   strong            Master only
+//   bounded           Slave if its lag is within a bound: `maxLagSeconds`
+//                     (age of the oldest change it has not applied), or
+//                     the read router's configured bounds (replication_lag)
+//   eventual          Slave always; the Master only if the Slave fails
+//   read-your-writes  Slave if it has applied every change this session
+//                     wrote for it, Master otherwise
+//
+// Sessions: write endpoints return a session token (X-Session-Token)
+// and remember, per Slave, the highest change_log sequence number the
+// session produced. Sessions live in memory and expire after
+// SESSION_TTL_MS of inactivity.
+//
+// Causality tokens: write endpoints also return the write's position
+// itself (X-Causality-Token, e.g. "1:42" or "1:42,2:43" for a partition
+// move). A read that passes it back (?after= or the header) is served
+// by a Slave only once that Slave has applied the position, at every
+// level; otherwise by the Master. Unlike sessions these need no server
+// state, so they survive restarts and work across app instances.
+// =========================================================
+
+const crypto = require('crypto');
+const replication_lag = require('./replication_lag');
+
+const LEVELS = ['strong', 'bounded', 'eventual', 'read-your-writes'];
+
+class read_consistency {
+
+    static LEVELS = LEVELS;
+
+    static SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS) || 30 * 60 * 1000;
+
+    // token → { writes: { [slaveId]: seq }, touchedAt }
+    static sessions = new Map();
+
+    /**
+     * Validate and normalize read options from a request.
+     *
+     * @param {Object} query - { consistency, maxLagSeconds, after }
+     * @param {Object} tokens - { sessionToken, causalityToken } from the request headers
+     * @param {string} defaultLevel - Level when none is given
+     * @returns {Object} - { level, maxLagSeconds, sessionToken, after }
+     * @throws {Error} - On an unknown level, a bad bound or a malformed token
+     */
+    static parseOptions({ consistency, maxLagSeconds, after } = {}, { sessionToken, causalityToken } = {}, defaultLevel) {
+        const level = consistency || defaultLevel;
+        if (!LEVELS.includes(level)) {
+            throw new Error(`Invalid consistency '${consistency}'. Must be one of: ${LEVELS.join(', ')}.`);
+        }
+
+        let bound = null;
+        if (maxLagSeconds !== undefined) {
+            bound = Number(maxLagSeconds);
+            if (level !== 'bounded' || Number.isNaN(bound) || bound < 0) {
+                throw new Error("maxLagSeconds must be a non-negative number and requires consistency=bounded.");
+            }
+        }
+
+        if (level === 'read-your-writes' && !sessionToken) {
+            throw new Error("consistency=read-your-writes requires an X-Session-Token header.");
+        }
+
+        return {
+            level,
+            maxLagSeconds: bound,
+            sessionToken: sessionToken || null,
+            after: read_consistency.parseCausalityToken([after, causalityToken].filter(Boolean).join(','))
+        };
+    }
+
+    // =========================================================
+    // CAUSALITY TOKENS
+    // =========================================================
+
+    // "1:42,2:43" from a write's changes ([{ partition, seq }]); null if none
+    static formatCausalityToken(changes = []) {
+        const positions = read_consistency.mergePositions(changes.filter(c => c.seq).map(c => ({ [c.partition]: c.seq })));
+        const parts = Object.keys(positions).map(partition => `${partition}:${positions[partition]}`);
+        return parts.length > 0 ? parts.join(',') : null;
+    }
+
+    /**
+     * "1:42,2:43" → { 1: 42, 2: 43 }. Repeated partitions keep the
+     * highest position, so tokens from several writes can be joined.
+     *
+     * @returns {Object|null} - Positions by partition, null for an empty token
+     * @throws {Error} - On a malformed token
+     */
+    static parseCausalityToken(token) {
+        if (!token) return null;
+        const positions = String(token).split(',').map(part => {
+            const match = part.trim().match(/^(\d+):(\d+)$/);
+            if (!match) {
+                throw new Error(`Invalid causality token '${token}'. Expected "<partition>:<seq>[,...]".`);
+            }
+            return { [Number(match[1])]: Number(match[2]) };
+        });
+        return read_consistency.mergePositions(positions);
+    }
+
+    static mergePositions(list) {
+        const merged = {};
+        list.forEach(positions => Object.keys(positions).forEach(partition => {
+            merged[partition] = Math.max(merged[partition] || 0, positions[partition]);
+        }));
+        return merged;
+    }
+
+    /**
+     * Whether a Slave has applied change `seq`. The cached position may
+     * predate the write, so it is re-measured before answering no. A
+     * position at or past `seq` is not enough on its own: an operator
+     * may have parked the change, letting replay move past it.
+     */
+    static async hasApplied(slaveId, seq) {
+        let lag = await replication_lag.getLag(slaveId);
+        if (!(lag.lastAppliedSeq >= seq)) {
+            lag = await replication_lag.getLag(slaveId, { fresh: true });
+        }
+        if (!(lag.lastAppliedSeq >= seq)) {
+            return false;
+        }
+        return !(await replication_lag.hasUnappliedUpTo(slaveId, seq));
+    }
+
+    // =========================================================
+    // SESSIONS
+    // =========================================================
+
+    /**
+     * Remember the changes a write produced under a session, creating the
+     * session when the token is missing or unknown.
+     *
+     * @param {string|undefined} token - Token sent by the client
+     * @param {Array} changes - [{ partition, seq }] from a db_service write
+     * @returns {string} - Session token to hand back to the client
+     */
+    static recordWrite(token, changes = []) {
+        read_consistency.pruneSessions();
+
+        let session = token ? read_consistency.sessions.get(token) : null;
+        if (!session) {
+            token = crypto.randomUUID();
+            session = { writes: {}, touchedAt: Date.now() };
+            read_consistency.sessions.set(token, session);
+        }
+
+        changes.filter(c => c.seq).forEach(({ partition, seq }) => {
+            session.writes[partition] = Math.max(session.writes[partition] || 0, seq);
+        });
+        session.touchedAt = Date.now();
+        return token;
+    }
+
+    static getSession(token) {
+        const session = token ? read_consistency.sessions.get(token) : null;
+        if (!session) return null;
+        if (Date.now() - session.touchedAt > read_consistency.SESSION_TTL_MS) {
+            read_consistency.sessions.delete(token);
+            return null;
+        }
+        session.touchedAt = Date.now();
+        return session;
+    }
+
+    static pruneSessions() {
+        const cutoff = Date.now() - read_consistency.SESSION_TTL_MS;
+        for (const [token, session] of read_consistency.sessions) {
+            if (session.touchedAt < cutoff) read_consistency.sessions.delete(token);
+        }
+    }
+
+    // =========================================================
+    // ROUTING
+    // =========================================================
+
+    /**
+     * Decide whether a Slave may serve a read at the requested level.
+     *
+     * @param {number} slaveId
+     * @param {Object} options - From parseOptions()
+     * @returns {Object} - { useSlave, reason }
+     */
+    static async canReadFromSlave(slaveId, options) {
+        const decision = await read_consistency.checkLevel(slaveId, options);
+        const needed = options.after ? options.after[slaveId] : null;
+        if (!decision.useSlave || !needed) {
+            return decision;
+        }
+
+        try {
+            if (await read_consistency.hasApplied(slaveId, needed)) {
+                return decision;
+            }
+            return { useSlave: false, reason: `Slave ${slaveId} has not reached causality token position ${needed}` };
+        } catch (err) {
+            return { useSlave: false, reason: `position unavailable: ${err.message}` };
+        }
+    }
+
+    // The consistency level's part of canReadFromSlave()
+    static async checkLevel(slaveId, { level, maxLagSeconds, sessionToken }) {
+        switch (level) {
+            case 'strong':
+                return { useSlave: false, reason: 'strong consistency reads the Master' };
+
+            case 'eventual':
+                return { useSlave: true, reason: null };
+
+            case 'bounded': {
+                if (maxLagSeconds === null) {
+                    const { readable, reason } = await replication_lag.checkReadable(slaveId);
+                    return { useSlave: readable, reason };
+                }
+                try {
+                    const lag = await replication_lag.getLag(slaveId);
+                    if (!lag.reachable) {
+                        return { useSlave: false, reason: 'replication position unknown' };
+                    }
+                    if (lag.unappliedAgeMs >= maxLagSeconds * 1000) {
+                        return { useSlave: false, reason: `lag ${lag.unappliedAgeMs}ms exceeds ${maxLagSeconds}s` };
+                    }
+                    return { useSlave: true, reason: null };
+                } catch (err) {
+                    return { useSlave: false, reason: `lag unavailable: ${err.message}` };
+                }
+            }
+
+            case 'read-your-writes': {
+                const session = read_consistency.getSession(sessionToken);
+                const needed = session ? session.writes[slaveId] || 0 : 0;
+                if (!needed) {
+                    return { useSlave: true, reason: null };
+                }
+                try {
+                    if (await read_consistency.hasApplied(slaveId, needed)) {
+                        return { useSlave: true, reason: null };
+                    }
+                    return { useSlave: false, reason: `Slave ${slaveId} has not applied seq ${needed} yet` };
+                } catch (err) {
+                    return { useSlave: false, reason: `position unavailable: ${err.message}` };
+                }
+            }
+
+            default:
+                throw new Error(`Invalid consistency '${level}'.`);
+        }
+    }
+}
+
+module.exports = read_consistency;
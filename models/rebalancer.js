@@ -0,0 +1,685 @@
+// models/rebalancer.js
+// =========================================================
+// ONLINE PARTITION REBALANCER
+// =========================================================
+// Moves `users` rows between Slaves when the partition map changes
+// (new split point or explicit country assignment), while the
+// system keeps serving reads and writes:
+//
+//   1. PLAN     Count, per Slave, the rows whose country belongs
+//               to another Slave under the target map
+//   2. COPY     Copy misplaced rows to their new Slave in batches.
+//               Reads still follow the old map, so nothing is
+//               deleted yet
+//   3. FLIP     Switch the live partition map in one step
+//   4. CLEANUP  Walk every Slave of either map and check each row
+//               against the Master: re-copy a misplaced row (catching
+//               writes made during COPY) and delete the original, and
+//               delete copies the Master no longer routes there (a
+//               user deleted or moved back since COPY)
+//
+// Every batch is one XA transaction: the Master rows are locked
+// FOR UPDATE first (same lock order as create/update/delete), then
+// the Slave branches join, and the batch commits through
+// db_service.xaCommitDistributed. Its Slave writes go through the
+// change log like any other (lockSlaves, append, markApplied), and
+// a batch waits while one of its Slaves still has queued writes.
+//
+// Progress is stored in the Master's rebalance_jobs table after
+// every batch, so an interrupted job resumes from its last cursor.
+// =========================================================
+
+const db_router = require('./db_router');
+const db_access = require('./db_access');
+const db_service = require('./db_service');
+const change_log = require('./change_log');
+const node_registry = require('./node_registry');
+const transaction_log = require('./transaction_log');
+
+class rebalancer {
+
+    static DEFAULT_BATCH_SIZE = 100;
+
+    // How long a batch waits for a Slave's queue to drain before the job fails
+    static BACKLOG_WAIT_MS = 5000;
+    static BACKLOG_MAX_WAITS = 12;
+
+    // Job currently running in this process (one at a time)
+    static activeJobId = null;
+
+    // =========================================================
+    // TARGET MAP BUILDERS
+    // =========================================================
+
+    /**
+     * Move the boundary between the two range partitions.
+     * With the default A-L / M-Z map, splitPoint 'H' gives A-G / H-Z.
+     *
+     * @param {string} splitPoint - First letter owned by the upper partition
+     */
+    static buildSplitMap(splitPoint, currentMap = db_router.getPartitionMap()) {
+        const split = String(splitPoint || '').toUpperCase();
+        if (!/^[A-Z]$/.test(split)) {
+            throw new Error("splitPoint must be a single letter A-Z.");
+        }
+
+        const ranged = currentMap.partitions.filter(p => p.range)
+            .sort((a, b) => a.range.from.localeCompare(b.range.from));
+        if (ranged.length !== 2) {
+            throw new Error("splitPoint needs exactly two range partitions; send a full map instead.");
+        }
+
+        const [lower, upper] = ranged;
+        if (split <= lower.range.from || split > upper.range.to) {
+            const lowest = lower.range.from ? String.fromCharCode(lower.range.from.charCodeAt(0) + 1) : 'A';
+            throw new Error(`splitPoint must be between ${lowest} and ${upper.range.to}.`);
+        }
+
+        return {
+            partitions: currentMap.partitions.map(p => {
+                if (p === lower) return { ...p, range: { from: lower.range.from, to: String.fromCharCode(split.charCodeAt(0) - 1) } };
+                if (p === upper) return { ...p, range: { from: split, to: upper.range.to } };
+                return p;
+            })
+        };
+    }
+
+    /**
+     * Pin individual countries to a Slave, e.g. { "Canada": 1 }.
+     * A Slave not yet in the map gets a new partition.
+     */
+    static buildAssignmentMap(assignments, currentMap = db_router.getPartitionMap()) {
+        const entries = Object.entries(assignments || {});
+        if (entries.length === 0) {
+            throw new Error("assignments must map at least one country to a Slave node.");
+        }
+
+        const partitions = currentMap.partitions.map(p => ({ ...p, countries: [...p.countries] }));
+        for (const [country, node] of entries) {
+            const normalizedCountry = country.toUpperCase();
+            partitions.forEach(p => {
+                p.countries = p.countries.filter(c => c !== normalizedCountry);
+            });
+
+            let target = partitions.find(p => p.node === Number(node));
+            if (!target) {
+                target = { node: Number(node), name: `Slave ${node}`, countries: [], range: null, default: false };
+                partitions.push(target);
+            }
+            target.countries.push(normalizedCountry);
+        }
+
+        return { partitions };
+    }
+
+    /**
+     * Turn a rebalance request body into a validated target map.
+     *
+     * @param {Object} request - { map } | { splitPoint } | { assignments }
+     */
+    static resolveTargetMap({ map, splitPoint, assignments }) {
+        let target;
+        if (map) target = map;
+        else if (splitPoint) target = rebalancer.buildSplitMap(splitPoint);
+        else if (assignments) target = rebalancer.buildAssignmentMap(assignments);
+        else throw new Error("Provide a map, a splitPoint or country assignments.");
+
+        const normalized = db_router.normalizePartitionMap(target);
+        // Every target must be a registered Slave
+        normalized.partitions.forEach(p => {
+            if (!node_registry.hasNode(p.node) || node_registry.getNode(p.node).role !== 'slave') {
+                throw new Error(`Node ${p.node} is not a registered Slave.`);
+            }
+        });
+        return normalized;
+    }
+
+    // =========================================================
+    // PLAN
+    // =========================================================
+
+    /**
+     * Count the rows each Slave holds for countries it would not own
+     * under the target map.
+     *
+     * @returns {Object} - { total, moves: [{ from, to, country, rows }] }
+     */
+    static async planMoves(targetMap, sourceIds = db_router.getSlaveIds()) {
+        const plan = { total: 0, moves: [] };
+
+        for (const sourceId of sourceIds) {
+            let conn;
+            try {
+                conn = await db_service.connectWithTimeout(db_router.getNodeById(sourceId), 3000);
+                const [rows] = await conn.query(
+                    'SELECT country, COUNT(*) AS total FROM users GROUP BY country ORDER BY country'
+                );
+
+                for (const row of rows) {
+                    const partition = db_router.findPartition(row.country, targetMap);
+                    if (!partition) {
+                        throw new Error(`Target map has no partition for country '${row.country}'.`);
+                    }
+                    if (partition.node === sourceId) continue;
+
+                    plan.moves.push({ from: sourceId, to: partition.node, country: row.country, rows: Number(row.total) });
+                    plan.total += Number(row.total);
+                }
+            } finally {
+                if (conn) conn.release();
+            }
+        }
+
+        return plan;
+    }
+
+    // =========================================================
+    // JOB LIFECYCLE
+    // =========================================================
+
+    /**
+     * Plan a rebalance, record it and start it in the background.
+     *
+     * @param {Object} targetMap - Validated map from resolveTargetMap()
+     * @param {number} batchSize - Rows scanned per XA transaction
+     * @returns {Object} - { success, job } or { success: false, conflict, message }
+     */
+    static async startRebalance(targetMap, batchSize = rebalancer.DEFAULT_BATCH_SIZE) {
+        const running = await rebalancer.findRunningJob();
+        if (running) {
+            return { success: false, conflict: true, message: `Rebalance job ${running.id} is already running.`, job: rebalancer.describeJob(running) };
+        }
+
+        const previousMap = db_router.getPartitionMap();
+
+        console.log('[Rebalance] Planning moves for new partition map...');
+        const plan = await rebalancer.planMoves(targetMap);
+        console.log(`[Rebalance] ${plan.total} misplaced row(s) across ${plan.moves.length} country move(s)`);
+
+        const job = {
+            state: 'RUNNING',
+            phase: 'COPY',
+            targetMap,
+            previousMap,
+            plan,
+            batchSize,
+            progress: rebalancer.initialProgress(previousMap)
+        };
+        job.id = await rebalancer.insertJob(job);
+
+        rebalancer.runInBackground(job);
+        return { success: true, job: rebalancer.describeJob(job) };
+    }
+
+    /**
+     * Continue a FAILED or interrupted job from its saved cursor.
+     */
+    static async resumeRebalance(jobId) {
+        const job = await rebalancer.loadJob(jobId);
+        if (!job) {
+            return { success: false, notFound: true, message: `Rebalance job ${jobId} not found.` };
+        }
+        if (job.state === 'COMPLETED') {
+            return { success: true, message: `Rebalance job ${jobId} already completed.`, job: rebalancer.describeJob(job) };
+        }
+        if (rebalancer.activeJobId !== null) {
+            return { success: false, conflict: true, message: `Rebalance job ${rebalancer.activeJobId} is already running.` };
+        }
+        if (job.progress.inDoubtXid) {
+            // Re-running the batch before its commit is settled could act on half of it
+            const entry = await transaction_log.getDecision(job.progress.inDoubtXid);
+            if (entry && entry.state === 'PENDING') {
+                return {
+                    success: false,
+                    conflict: true,
+                    message: `Batch ${entry.xid} of job ${jobId} is still in doubt on node(s) ${entry.pending.join(', ')}; resolve it before resuming.`,
+                    job: rebalancer.describeJob(job)
+                };
+            }
+            job.progress.inDoubtXid = null;
+        }
+
+        job.state = 'RUNNING';
+        job.lastError = null;
+        await rebalancer.saveJob(job);
+
+        console.log(`[Rebalance] Resuming job ${job.id} at ${job.phase} (Slave index ${job.progress.cursor.sourceIndex}, after id ${job.progress.cursor.lastId})`);
+        rebalancer.runInBackground(job);
+        return { success: true, job: rebalancer.describeJob(job) };
+    }
+
+    /**
+     * Startup hook: apply the map of the latest flipped job and resume
+     * any job that was RUNNING when the process stopped.
+     */
+    static async resumeInterrupted() {
+        try {
+            const masterPool = db_router.getMasterNode();
+            const [rows] = await masterPool.query(
+                "SELECT id FROM rebalance_jobs WHERE phase IN ('CLEANUP', 'DONE') ORDER BY id DESC LIMIT 1"
+            );
+            if (rows.length > 0) {
+                rebalancer.ensureMapApplied(await rebalancer.loadJob(rows[0].id));
+            }
+
+            const running = await rebalancer.findRunningJob();
+            if (running && rebalancer.activeJobId === null) {
+                return await rebalancer.resumeRebalance(running.id);
+            }
+            return { success: true, resumed: false };
+        } catch (err) {
+            console.error('[Rebalance] Could not check for interrupted jobs:', err.message);
+            return { success: false, error: err.message };
+        }
+    }
+
+    static runInBackground(job) {
+        rebalancer.activeJobId = job.id;
+        rebalancer.runJob(job).finally(() => {
+            rebalancer.activeJobId = null;
+        });
+    }
+
+    /**
+     * Drive a job through COPY → FLIP → CLEANUP. Errors leave the job
+     * FAILED with its cursor intact, ready to resume. A batch whose
+     * commit did not reach every node also records its xid, and the
+     * job cannot resume until that transaction is resolved.
+     */
+    static async runJob(job) {
+        try {
+            if (job.phase === 'COPY') {
+                await rebalancer.runPhase(job, false);
+
+                // FLIP: record the new phase first, so a crash right after
+                // still re-applies the target map on startup
+                job.phase = 'CLEANUP';
+                // COPY's targets too: copies made there may have gone stale
+                job.progress.sources = rebalancer.cleanupNodes(job);
+                job.progress.cursor = { sourceIndex: 0, lastId: 0 };
+                await rebalancer.saveJob(job);
+                db_router.writePartitionMap(job.targetMap);
+                console.log(`[Rebalance] Job ${job.id}: partition map flipped`);
+            }
+
+            if (job.phase === 'CLEANUP') {
+                rebalancer.ensureMapApplied(job);
+                await rebalancer.runPhase(job, true);
+            }
+
+            job.phase = 'DONE';
+            job.state = 'COMPLETED';
+            await rebalancer.saveJob(job);
+            console.log(`[Rebalance] Job ${job.id} COMPLETED: ${job.progress.copied} copied, ${job.progress.deleted} deleted`);
+        } catch (err) {
+            console.error(`[Rebalance] Job ${job.id} FAILED in ${job.phase}: ${err.message}`);
+            job.state = 'FAILED';
+            job.lastError = err.message;
+            if (err.code === 'REBALANCE_IN_DOUBT') job.progress.inDoubtXid = err.xid;
+            try {
+                await rebalancer.saveJob(job);
+            } catch (saveErr) {
+                console.error(`[Rebalance] Could not save job ${job.id}: ${saveErr.message}`);
+            }
+        }
+    }
+
+    /**
+     * Walk every source Slave in id order and move its misplaced rows,
+     * one batch (one XA transaction) at a time. COPY goes by the Slave's
+     * own country column; CLEANUP hands every row to moveBatch, which
+     * goes by the Master.
+     *
+     * @param {boolean} deleteSource - false in COPY, true in CLEANUP
+     */
+    static async runPhase(job, deleteSource) {
+        const { progress } = job;
+        const sources = progress.sources;
+
+        for (let i = progress.cursor.sourceIndex; i < sources.length; i++) {
+            const sourceId = sources[i];
+            console.log(`[Rebalance] Job ${job.id}: ${job.phase} from Slave ${sourceId} (after id ${progress.cursor.lastId})`);
+
+            while (true) {
+                const rows = await rebalancer.scanSource(sourceId, progress.cursor.lastId, job.batchSize);
+                if (rows.length === 0) break;
+
+                const candidateIds = rows
+                    .filter(r => deleteSource || db_router.findPartition(r.country, job.targetMap).node !== sourceId)
+                    .map(r => r.id);
+
+                if (candidateIds.length > 0) {
+                    const result = await rebalancer.moveBatchWhenCaughtUp(sourceId, candidateIds, job.targetMap, deleteSource);
+                    if (deleteSource) {
+                        progress.refreshed += result.copied;
+                        progress.deleted += result.deleted;
+                    } else {
+                        progress.copied += result.copied;
+                    }
+                }
+
+                progress.cursor.lastId = rows[rows.length - 1].id;
+                progress.batches++;
+                await rebalancer.saveJob(job);
+            }
+
+            progress.cursor = { sourceIndex: i + 1, lastId: 0 };
+            await rebalancer.saveJob(job);
+        }
+    }
+
+    // Next page of (id, country) from a Slave, in id order
+    static async scanSource(sourceId, afterId, limit) {
+        let conn;
+        try {
+            conn = await db_service.connectWithTimeout(db_router.getNodeById(sourceId), 3000);
+            const [rows] = await conn.query(
+                'SELECT id, country FROM users WHERE id > ? ORDER BY id LIMIT ?',
+                [afterId, limit]
+            );
+            return rows;
+        } finally {
+            if (conn) conn.release();
+        }
+    }
+
+    /**
+     * moveBatch(), deferred while a Slave it writes to has queued writes.
+     * Those are older than the batch and must replay first: a queued
+     * INSERT or UPDATE landing after the batch would bring back a row it
+     * moved away.
+     */
+    static async moveBatchWhenCaughtUp(sourceId, ids, targetMap, deleteSource) {
+        for (let waits = 0; ; waits++) {
+            try {
+                return await rebalancer.moveBatch(sourceId, ids, targetMap, deleteSource);
+            } catch (err) {
+                if (err.code !== 'REPLICATION_BACKLOG' || waits >= rebalancer.BACKLOG_MAX_WAITS) throw err;
+                console.log(`[Rebalance] ${err.message} - batch deferred ${rebalancer.BACKLOG_WAIT_MS}ms`);
+                await new Promise(resolve => setTimeout(resolve, rebalancer.BACKLOG_WAIT_MS));
+            }
+        }
+    }
+
+    /**
+     * Move one batch of rows off a Slave as a single XA transaction.
+     *
+     * The Master rows are locked and used as the copy source, so a
+     * user updated since the scan is copied as it is now. A user the
+     * Master no longer has is only deleted; one whose country moved
+     * back to the source Slave is left alone.
+     *
+     * If the commit decision is logged but a node does not confirm it,
+     * the batch is in doubt: it fails with REBALANCE_IN_DOUBT (and its
+     * xid) so the job stops instead of moving on from a partial batch.
+     *
+     * @param {boolean} deleteSource - Also delete the originals from the source Slave
+     * @returns {Object} - { copied, deleted, xid }
+     */
+    static async moveBatch(sourceId, ids, targetMap, deleteSource) {
+        const xid = db_service.generateXid('rebalance');
+        const participants = [];
+        const slaveConns = {};
+        let masterConn;
+
+        const joinNode = async (nodeId) => {
+            if (!slaveConns[nodeId]) {
+                slaveConns[nodeId] = await db_service.joinSlave(db_router.getNodeById(nodeId), nodeId, xid, participants);
+            }
+            return slaveConns[nodeId];
+        };
+
+        try {
+            masterConn = await db_router.getMasterNode().getConnection();
+            await db_access.setIsolationLevel(masterConn, db_access.DEFAULT_ISOLATION);
+            await db_service.xaBegin(masterConn, xid, db_router.getMasterId(), participants);
+
+            // Concurrent writes to these users wait on the Master until the batch commits
+            const masterRows = await db_access.lockRowsExclusive(masterConn, 'users', ids);
+            const keepOnSource = new Set();
+            const steps = [];
+
+            for (const masterRow of masterRows) {
+                const targetId = db_router.findPartition(masterRow.country, targetMap).node;
+                if (targetId === sourceId) {
+                    keepOnSource.add(masterRow.id);
+                    continue;
+                }
+                steps.push(rebalancer.copyStep(targetId, db_service.toUserRow(masterRow)));
+            }
+
+            if (deleteSource) {
+                ids.filter(id => !keepOnSource.has(id))
+                    .forEach(id => steps.push(rebalancer.deleteStep(sourceId, id)));
+            }
+
+            let copied = 0;
+            let deleted = 0;
+            if (steps.length > 0) {
+                // Same order as any other write: change log locks, then the seqs
+                const slaveIds = [...new Set(steps.map(step => step.slaveId))];
+                await change_log.lockSlaves(masterConn, slaveIds);
+                for (const slaveId of slaveIds) {
+                    if (await db_service.hasQueuedWrites(slaveId)) {
+                        throw db_service.backlogError(slaveId);
+                    }
+                }
+                for (const step of steps) {
+                    step.seq = await change_log.append(masterConn, {
+                        xid, slaveId: step.slaveId, userId: step.userId, operation: step.operation, sql: step.sql, params: step.params
+                    });
+                }
+
+                for (const step of steps) {
+                    const conn = await joinNode(step.slaveId);
+                    const affected = await step.apply(conn);
+                    if (step.operation === 'INSERT') copied++;
+                    else deleted += affected;
+                }
+                for (const slaveId of slaveIds) {
+                    const lastSeq = Math.max(...steps.filter(step => step.slaveId === slaveId).map(step => step.seq));
+                    await change_log.markApplied(slaveConns[slaveId], slaveId, lastSeq);
+                }
+            }
+
+            if (participants.length === 1) {
+                // Only the Master branch (nothing to move): just release its locks
+                await db_access.xaCommitOnePhase(masterConn, xid);
+                participants.length = 0;
+            } else {
+                const failed = await db_service.xaCommitDistributed(xid, 'rebalance', participants);
+                if (failed.length > 0) {
+                    const err = new Error(`Batch ${xid} is in doubt: commit pending on node(s) ${failed.join(', ')}`);
+                    err.code = 'REBALANCE_IN_DOUBT';
+                    err.xid = xid;
+                    throw err;
+                }
+            }
+
+            console.log(`[Rebalance] Batch ${xid}: ${copied} copied, ${deleted} deleted (Slave ${sourceId})`);
+            return { copied, deleted, xid };
+        } catch (err) {
+            console.error(`[Rebalance] Batch ${xid} failed: ${err.message}`);
+            // COMMIT is decided: the recovery monitor finishes it, never roll it back
+            if (err.code !== 'REBALANCE_IN_DOUBT') {
+                await db_service.xaAbortDistributed(xid, 'rebalance', participants);
+            }
+            throw err;
+        } finally {
+            if (masterConn) masterConn.release();
+            Object.values(slaveConns).forEach(conn => conn.release());
+        }
+    }
+
+    // Copy of a Master row onto its new Slave, replacing any earlier (possibly stale) copy
+    static copyStep(slaveId, row) {
+        const columns = Object.keys(row);
+        return {
+            slaveId,
+            userId: row.id,
+            operation: 'INSERT',
+            sql: `INSERT INTO users (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            params: Object.values(row),
+            apply: async (conn) => {
+                await db_access.deleteUser(conn, row.id);
+                await db_access.insertUser(conn, row);
+                return 1;
+            }
+        };
+    }
+
+    // Removal of a row from a Slave that no longer owns it
+    static deleteStep(slaveId, id) {
+        return {
+            slaveId,
+            userId: id,
+            operation: 'DELETE',
+            sql: 'DELETE FROM users WHERE id = ?',
+            params: [id],
+            apply: async (conn) => {
+                const result = await db_access.deleteUser(conn, id);
+                return result.affectedRows;
+            }
+        };
+    }
+
+    // Make sure the live map is the job's target map (after FLIP)
+    static ensureMapApplied(job) {
+        if (!job) return;
+        if (JSON.stringify(db_router.getPartitionMap()) !== JSON.stringify(job.targetMap)) {
+            db_router.writePartitionMap(job.targetMap);
+            console.log(`[Rebalance] Partition map of job ${job.id} re-applied`);
+        }
+    }
+
+    // =========================================================
+    // PERSISTENCE (rebalance_jobs on the Master)
+    // =========================================================
+
+    // Every Slave of the previous or the target map, ascending
+    static cleanupNodes(job) {
+        const nodes = [...job.previousMap.partitions, ...job.targetMap.partitions].map(p => p.node);
+        return [...new Set(nodes)].sort((a, b) => a - b);
+    }
+
+    static initialProgress(previousMap) {
+        return {
+            sources: [...new Set(previousMap.partitions.map(p => p.node))].sort((a, b) => a - b),
+            cursor: { sourceIndex: 0, lastId: 0 },
+            copied: 0,
+            refreshed: 0,
+            deleted: 0,
+            batches: 0
+        };
+    }
+
+    static async insertJob(job) {
+        const masterPool = db_router.getMasterNode();
+        const [result] = await masterPool.query(`
+            INSERT INTO rebalance_jobs (state, phase, target_map_json, previous_map_json, plan_json, progress_json, batch_size)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            job.state,
+            job.phase,
+            JSON.stringify(job.targetMap),
+            JSON.stringify(job.previousMap),
+            JSON.stringify(job.plan),
+            JSON.stringify(job.progress),
+            job.batchSize
+        ]);
+        console.log(`[Rebalance] Job ${result.insertId} recorded`);
+        return result.insertId;
+    }
+
+    static async saveJob(job) {
+        const masterPool = db_router.getMasterNode();
+        await masterPool.query(`
+            UPDATE rebalance_jobs
+            SET state = ?, phase = ?, progress_json = ?, last_error = ?,
+                finished_at = IF(? = 'COMPLETED', NOW(), NULL)
+            WHERE id = ?
+        `, [
+            job.state,
+            job.phase,
+            JSON.stringify(job.progress),
+            job.lastError || null,
+            job.state,
+            job.id
+        ]);
+    }
+
+    static async loadJob(jobId) {
+        const masterPool = db_router.getMasterNode();
+        const [rows] = await masterPool.query('SELECT * FROM rebalance_jobs WHERE id = ?', [jobId]);
+        if (rows.length === 0) return null;
+
+        const row = rows[0];
+        return {
+            id: row.id,
+            state: row.state,
+            phase: row.phase,
+            targetMap: JSON.parse(row.target_map_json),
+            previousMap: JSON.parse(row.previous_map_json),
+            plan: JSON.parse(row.plan_json),
+            progress: JSON.parse(row.progress_json),
+            batchSize: row.batch_size,
+            lastError: row.last_error,
+            startedAt: row.started_at,
+            updatedAt: row.updated_at,
+            finishedAt: row.finished_at
+        };
+    }
+
+    static async findRunningJob() {
+        const masterPool = db_router.getMasterNode();
+        const [rows] = await masterPool.query(
+            "SELECT id FROM rebalance_jobs WHERE state = 'RUNNING' ORDER BY id DESC LIMIT 1"
+        );
+        return rows.length > 0 ? rebalancer.loadJob(rows[0].id) : null;
+    }
+
+    /**
+     * Progress of one job (or the most recent one).
+     *
+     * @returns {Object|null} - Job summary with percentComplete
+     */
+    static async getStatus(jobId = null) {
+        let id = jobId;
+        if (id === null) {
+            const masterPool = db_router.getMasterNode();
+            const [rows] = await masterPool.query('SELECT id FROM rebalance_jobs ORDER BY id DESC LIMIT 1');
+            if (rows.length === 0) return null;
+            id = rows[0].id;
+        }
+        const job = await rebalancer.loadJob(id);
+        return job ? rebalancer.describeJob(job) : null;
+    }
+
+    static describeJob(job) {
+        const { plan, progress } = job;
+        // COPY counts toward the first half, CLEANUP deletes toward the second
+        let percentComplete = 100;
+        if (job.phase !== 'DONE' && plan.total > 0) {
+            percentComplete = Math.min(99, Math.floor(((progress.copied + progress.deleted) / (plan.total * 2)) * 100));
+        }
+
+        return {
+            id: job.id,
+            state: job.state,
+            phase: job.phase,
+            active: rebalancer.activeJobId === job.id,
+            percentComplete,
+            plan,
+            progress,
+            batchSize: job.batchSize,
+            targetMap: job.targetMap,
+            previousMap: job.previousMap,
+            lastError: job.lastError || null,
+            startedAt: job.startedAt,
+            updatedAt: job.updatedAt,
+            finishedAt: job.finishedAt
+        };
+    }
+}
+
+module.exports = rebalancer;
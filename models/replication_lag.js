@@ -0,0 +1,201 @@
+// models/replication_lag.js
+// =========================================================
+// REPLICATION LAG (per Slave)
+// =========================================================
+// How far each Slave trails the Master, from three angles:
+//
+//   pending     Writes for the Slave still in the recovery queue
+//   oldestAgeMs Age of the oldest of them
+//   seqGap      change_log entries for the Slave past its
+//               last_applied_seq (see change_log.getPosition)
+//   blocked     The failed queue entry replay is stuck on, if any.
+//               Nothing replays past it until an operator retries
+//               or parks it, or resyncs the Slave (/resync/:partition)
+//   parked      Entries an operator set aside: the Slave is missing
+//               them until it is resynced
+//
+// The read path consults these before serving from a Slave: one
+// whose lag exceeds the configured bounds is skipped and the read
+// goes to the Master. Bounds come from READ_MAX_LAG_SEQ and
+// READ_MAX_LAG_MS (a bound of -1 disables that check) and can be
+// changed at runtime with setBounds().
+//
+// Measurements are cached for LAG_CACHE_MS so a burst of reads does
+// not query every node on every request.
+// =========================================================
+
+const db_router = require('./db_router');
+const change_log = require('./change_log');
+
+const parseBound = (value, fallback) => {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+class replication_lag {
+
+    static bounds = {
+        maxSeqGap: parseBound(process.env.READ_MAX_LAG_SEQ, 0),
+        maxAgeMs: parseBound(process.env.READ_MAX_LAG_MS, 5000)
+    };
+
+    static cacheMs = parseBound(process.env.LAG_CACHE_MS, 2000);
+
+    // { [slaveId]: { lag, measuredAt } }
+    static cache = {};
+
+    /**
+     * Measure one Slave's lag.
+     *
+     * @returns {Object} - { slaveId, pending, oldestPendingAt, oldestAgeMs, blocked, parked,
+     *                       headSeq, lastAppliedSeq, seqGap, unappliedAgeMs, reachable, measuredAt }
+     */
+    static async measure(slaveId) {
+        const masterPool = db_router.getMasterNode();
+        const [rows] = await masterPool.query(`
+            SELECT COUNT(*) AS pending, MIN(queued_at) AS oldest
+            FROM recovery_queue
+            WHERE target_partition = ? AND status IN ('pending', 'processing', 'failed')
+        `, [slaveId]);
+
+        const oldest = rows[0].oldest ? new Date(rows[0].oldest) : null;
+        const blocked = await replication_lag.getBlockingEntry(slaveId);
+        const [parked] = await masterPool.query(
+            "SELECT COUNT(*) AS parked FROM recovery_queue WHERE target_partition = ? AND status = 'parked'",
+            [slaveId]
+        );
+        const position = await change_log.getPosition(slaveId);
+
+        const lag = {
+            slaveId,
+            pending: Number(rows[0].pending),
+            oldestPendingAt: oldest ? oldest.toISOString() : null,
+            oldestAgeMs: oldest ? Math.max(0, Date.now() - oldest.getTime()) : 0,
+            blocked,
+            parked: Number(parked[0].parked),
+            headSeq: position.headSeq,
+            lastAppliedSeq: position.lastAppliedSeq,
+            seqGap: position.behind,
+            // Age of the oldest change the Slave has not applied (0 when caught up)
+            unappliedAgeMs: position.oldestUnappliedAt
+                ? Math.max(0, Date.now() - new Date(position.oldestUnappliedAt).getTime())
+                : 0,
+            reachable: position.reachable,
+            measuredAt: new Date().toISOString()
+        };
+        replication_lag.cache[slaveId] = { lag, measuredAt: Date.now() };
+        return lag;
+    }
+
+    /**
+     * The failed queue entry that stops a Slave's replay, or null.
+     *
+     * @returns {Object|null} - { id, seq, operation, userId, attempts, lastError, lastAttemptAt }
+     */
+    static async getBlockingEntry(slaveId) {
+        const [rows] = await db_router.getMasterNode().query(`
+            SELECT id, seq, operation_type, user_id, attempt_count, last_error, last_attempt_at
+            FROM recovery_queue
+            WHERE target_partition = ? AND status = 'failed'
+            ORDER BY seq ASC, id ASC
+            LIMIT 1
+        `, [slaveId]);
+        if (rows.length === 0) return null;
+        const entry = rows[0];
+        return {
+            id: entry.id,
+            seq: entry.seq === null ? null : Number(entry.seq),
+            operation: entry.operation_type,
+            userId: entry.user_id,
+            attempts: entry.attempt_count,
+            lastError: entry.last_error,
+            lastAttemptAt: entry.last_attempt_at
+        };
+    }
+
+    /**
+     * Whether a change at or below `seq` for a Slave is still in the
+     * queue (or was parked). The Slave's last_applied_seq can pass such
+     * a change once it is parked, so the position alone does not prove
+     * the Slave has it. Legacy entries without a seq predate every
+     * logged change, so they count for any seq.
+     */
+    static async hasUnappliedUpTo(slaveId, seq) {
+        const [rows] = await db_router.getMasterNode().query(`
+            SELECT 1 FROM recovery_queue
+            WHERE target_partition = ? AND (seq IS NULL OR seq <= ?)
+              AND status IN ('pending', 'processing', 'failed', 'parked')
+            LIMIT 1
+        `, [slaveId, seq]);
+        return rows.length > 0;
+    }
+
+    // Lag from the cache when fresh enough, measured otherwise
+    static async getLag(slaveId, { fresh = false } = {}) {
+        const cached = replication_lag.cache[slaveId];
+        if (!fresh && cached && Date.now() - cached.measuredAt < replication_lag.cacheMs) {
+            return cached.lag;
+        }
+        return replication_lag.measure(slaveId);
+    }
+
+    // Lag of every Slave in the partition map; a Slave that cannot be measured reports its error
+    static async getAllLag({ fresh = false } = {}) {
+        const result = {};
+        for (const slaveId of db_router.getSlaveIds()) {
+            try {
+                const lag = await replication_lag.getLag(slaveId, { fresh });
+                result[slaveId] = { ...lag, withinBounds: replication_lag.exceedsBounds(lag) === null };
+            } catch (err) {
+                result[slaveId] = { slaveId, error: err.message, withinBounds: false };
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Why a Slave is too far behind to serve reads, or null if it is not.
+     */
+    static exceedsBounds(lag) {
+        const { maxSeqGap, maxAgeMs } = replication_lag.bounds;
+        if (!lag.reachable) {
+            return 'replication position unknown';
+        }
+        if (lag.parked > 0) {
+            return `${lag.parked} parked write(s) missing until resync`;
+        }
+        if (maxSeqGap >= 0 && lag.seqGap > maxSeqGap) {
+            return `${lag.seqGap} change(s) behind (bound ${maxSeqGap})`;
+        }
+        if (maxAgeMs >= 0 && lag.pending > 0 && lag.oldestAgeMs > maxAgeMs) {
+            return `oldest queued write is ${lag.oldestAgeMs}ms old (bound ${maxAgeMs}ms)`;
+        }
+        return null;
+    }
+
+    /**
+     * Whether reads for a Slave's countries may be served by the Slave.
+     * Lag that cannot be measured counts as too much.
+     *
+     * @returns {Object} - { readable, reason, lag }
+     */
+    static async checkReadable(slaveId) {
+        try {
+            const lag = await replication_lag.getLag(slaveId);
+            const reason = replication_lag.exceedsBounds(lag);
+            return { readable: reason === null, reason, lag };
+        } catch (err) {
+            return { readable: false, reason: `lag unavailable: ${err.message}`, lag: null };
+        }
+    }
+
+    static setBounds({ maxSeqGap, maxAgeMs }) {
+        if (maxSeqGap !== undefined) replication_lag.bounds.maxSeqGap = parseInt(maxSeqGap);
+        if (maxAgeMs !== undefined) replication_lag.bounds.maxAgeMs = parseInt(maxAgeMs);
+        replication_lag.cache = {};
+        console.log(`[Lag] Read bounds set: seq gap ${replication_lag.bounds.maxSeqGap}, age ${replication_lag.bounds.maxAgeMs}ms`);
+        return { ...replication_lag.bounds };
+    }
+}
+
+module.exports = replication_lag;
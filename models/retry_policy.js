@@ -0,0 +1,115 @@
+// models/retry_policy.js
+// =========================================================
+// TRANSACTION RETRY POLICY (CRUD API)
+// =========================================================
+// A distributed write that loses to lock contention (deadlock victim,
+// lock wait timeout) has been rolled back on every node by its own
+// abort path, so running it again from the start is safe. run() does
+// that, within three limits:
+//
+//   - MAX_ATTEMPTS per request, with exponential backoff and full
+//     jitter between attempts, so colliding transactions do not
+//     retry in lockstep and collide again
+//   - MAX_ELAPSED_MS per request: no new attempt starts once the
+//     request has spent that long (attempts plus backoff), so slow
+//     failures such as lock wait timeouts cannot multiply the
+//     caller's wait by MAX_ATTEMPTS
+//   - a retry BUDGET shared by all requests: over a sliding window,
+//     retries may add at most BUDGET_RATIO of the first attempts
+//     (plus BUDGET_MIN_RETRIES, so a quiet system can still retry).
+//     Under heavy contention retries then stop piling more load
+//     onto the locks they are waiting for.
+//
+// Which errors are retryable is the caller's call (see
+// db_service.isTransactionRetryable); this module never requires
+// db_service.
+// =========================================================
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class retry_policy {
+
+    static MAX_ATTEMPTS = parseInt(process.env.TX_RETRY_MAX_ATTEMPTS) || 4;
+    static BASE_DELAY_MS = parseInt(process.env.TX_RETRY_BASE_MS) || 50;
+    static MAX_DELAY_MS = parseInt(process.env.TX_RETRY_MAX_DELAY_MS) || 1000;
+    static MAX_ELAPSED_MS = parseInt(process.env.TX_RETRY_MAX_ELAPSED_MS) || 15 * 1000;
+
+    static BUDGET_WINDOW_MS = 10 * 1000;
+    static BUDGET_RATIO = 0.2;
+    static BUDGET_MIN_RETRIES = 10;
+
+    // Timestamps of first attempts and of retries within the window
+    static requests = [];
+    static retries = [];
+
+    static prune() {
+        const cutoff = Date.now() - retry_policy.BUDGET_WINDOW_MS;
+        while (retry_policy.requests.length && retry_policy.requests[0] < cutoff) retry_policy.requests.shift();
+        while (retry_policy.retries.length && retry_policy.retries[0] < cutoff) retry_policy.retries.shift();
+    }
+
+    // Take one retry from the budget; false when it is spent
+    static withdraw() {
+        retry_policy.prune();
+        const allowed = retry_policy.BUDGET_MIN_RETRIES + retry_policy.BUDGET_RATIO * retry_policy.requests.length;
+        if (retry_policy.retries.length >= allowed) return false;
+        retry_policy.retries.push(Date.now());
+        return true;
+    }
+
+    // Full jitter: uniform in [0, min(MAX_DELAY_MS, BASE_DELAY_MS * 2^(attempt-1))]
+    static backoff(attempt) {
+        const cap = Math.min(retry_policy.MAX_DELAY_MS, retry_policy.BASE_DELAY_MS * 2 ** (attempt - 1));
+        return Math.floor(Math.random() * (cap + 1));
+    }
+
+    /**
+     * Run `fn` until it succeeds, fails with an error `isRetryable`
+     * rejects, or runs out of attempts or budget.
+     *
+     * @param {string} operation - Label for logs ('create', 'update', ...)
+     * @param {Function} fn - async (attempt) => result; must start a fresh transaction each call
+     * @param {Function} isRetryable - (error) => boolean
+     * @returns {Object} - { result, attempts }
+     * @throws {Error} - The last error, with `attempts` and, when retries
+     *                   were cut short, `retryStopped` ('MAX_ATTEMPTS' | 'MAX_ELAPSED' | 'BUDGET')
+     */
+    static async run(operation, fn, isRetryable) {
+        const startedAt = Date.now();
+        retry_policy.prune();
+        retry_policy.requests.push(startedAt);
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const result = await fn(attempt);
+                if (attempt > 1) console.log(`[Retry] ${operation} succeeded on attempt ${attempt}`);
+                return { result, attempts: attempt };
+            } catch (err) {
+                err.attempts = attempt;
+                if (!isRetryable(err)) throw err;
+
+                if (attempt >= retry_policy.MAX_ATTEMPTS) {
+                    err.retryStopped = 'MAX_ATTEMPTS';
+                    console.warn(`[Retry] ${operation} gave up after ${attempt} attempts: ${err.message}`);
+                    throw err;
+                }
+                const delay = retry_policy.backoff(attempt);
+                if (Date.now() - startedAt + delay >= retry_policy.MAX_ELAPSED_MS) {
+                    err.retryStopped = 'MAX_ELAPSED';
+                    console.warn(`[Retry] ${operation} gave up after ${Date.now() - startedAt}ms (${attempt} attempts): ${err.message}`);
+                    throw err;
+                }
+                if (!retry_policy.withdraw()) {
+                    err.retryStopped = 'BUDGET';
+                    console.warn(`[Retry] ${operation} not retried: retry budget spent (${err.code})`);
+                    throw err;
+                }
+
+                console.log(`[Retry] ${operation} attempt ${attempt} failed (${err.code}); retrying in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+}
+
+module.exports = retry_policy;
@@ -0,0 +1,609 @@
+// models/scenario_runner.js
+// =========================================================
+// CONCURRENCY SCENARIO RUNNER
+// =========================================================
+// Runs a script of N transactions whose steps interleave on a
+// timeline, at a chosen isolation level, and reports which anomalies
+// the run actually exhibited.
+//
+// Script:
+//   {
+//     isolation: 'READ COMMITTED',            // default REPEATABLE READ
+//     lockWaitTimeout: 5,                     // seconds, per transaction
+//     rows: [{ id: 1, firstname: 'Ana', country: 'PH' }, ...],
+//     transactions: [
+//       { name: 'T1', isolation?: '...', steps: [
+//           { at: 0,   op: 'read', id: 1 },
+//           { at: 500, op: 'write', id: 1, set: { city: 'Cebu' } },
+//           { op: 'commit' }
+//       ] }
+//     ]
+//   }
+//
+// Steps: read (id, lock?: share|update), readRange (country, lock?),
+// write (id, set), insert (row), sleep (ms), commit, abort. `at` is
+// an offset in ms from the start of the run; a step without one runs
+// right after the previous step. A transaction without a final commit
+// or abort commits after its last step.
+//
+// The run uses its own table (scenario_users) on the Master, seeded
+// from `rows`, so it never touches replicated user data. Every write
+// stamps the row's `writer` column with a unique write ID (T1:w1), so
+// each read records exactly which version it saw. classify() derives
+// the anomalies from that history:
+//
+//   DIRTY_READ           a read saw a write whose transaction had not
+//                        committed (or later aborted)
+//   NON_REPEATABLE_READ  a transaction read the same row twice and saw
+//                        two different versions
+//   PHANTOM              a transaction ran the same range read twice
+//                        and got a different set of rows
+//   LOST_UPDATE          a transaction overwrote a committed write it
+//                        never read
+//   WRITE_SKEW           two committed transactions each read a row
+//                        the other wrote, without seeing that write,
+//                        and wrote disjoint rows
+//
+// One run at a time: runs share the scratch table.
+// =========================================================
+
+const db_router = require('./db_router');
+const db_access = require('./db_access');
+
+const TABLE = 'scenario_users';
+const ISOLATION_LEVELS = ['READ UNCOMMITTED', 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'];
+const OPERATIONS = ['read', 'readRange', 'write', 'insert', 'sleep', 'commit', 'abort'];
+const COLUMNS = ['firstname', 'lastname', 'city', 'country'];
+const LOCK_CLAUSES = { share: ' LOCK IN SHARE MODE', update: ' FOR UPDATE' };
+
+const LIMITS = { transactions: 8, steps: 50, rows: 100, offsetMs: 60000, lockWaitTimeout: 30 };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const invalid = (message) => {
+    const err = new Error(message);
+    err.code = 'INVALID_SCENARIO';
+    return err;
+};
+
+// Shared seed for the presets
+const PRESET_ROWS = [
+    { id: 1, firstname: 'Ana', lastname: 'Reyes', city: 'Manila', country: 'Philippines' },
+    { id: 2, firstname: 'Ben', lastname: 'Cruz', city: 'Cebu', country: 'Philippines' },
+    { id: 3, firstname: 'Carl', lastname: 'Weber', city: 'Berlin', country: 'Germany' }
+];
+
+const PRESETS = {
+    'dirty-read': {
+        description: 'T2 reads a row T1 has written but not committed; T1 then aborts.',
+        expected: 'DIRTY_READ at READ UNCOMMITTED',
+        isolation: 'READ UNCOMMITTED',
+        rows: PRESET_ROWS,
+        transactions: [
+            { name: 'T1', steps: [
+                { at: 0, op: 'write', id: 1, set: { city: 'Davao' } },
+                { at: 600, op: 'abort' }
+            ] },
+            { name: 'T2', steps: [
+                { at: 300, op: 'read', id: 1 },
+                { at: 900, op: 'commit' }
+            ] }
+        ]
+    },
+    'non-repeatable-read': {
+        description: 'T1 reads a row twice while T2 updates and commits it in between.',
+        expected: 'NON_REPEATABLE_READ at READ COMMITTED and below',
+        isolation: 'READ COMMITTED',
+        rows: PRESET_ROWS,
+        transactions: [
+            { name: 'T1', steps: [
+                { at: 0, op: 'read', id: 1 },
+                { at: 600, op: 'read', id: 1 },
+                { op: 'commit' }
+            ] },
+            { name: 'T2', steps: [
+                { at: 200, op: 'write', id: 1, set: { city: 'Davao' } },
+                { at: 300, op: 'commit' }
+            ] }
+        ]
+    },
+    'phantom': {
+        description: 'T1 runs the same range read twice while T2 inserts a matching row.',
+        expected: 'PHANTOM at READ COMMITTED and below',
+        isolation: 'READ COMMITTED',
+        rows: PRESET_ROWS,
+        transactions: [
+            { name: 'T1', steps: [
+                { at: 0, op: 'readRange', country: 'Philippines' },
+                { at: 600, op: 'readRange', country: 'Philippines' },
+                { op: 'commit' }
+            ] },
+            { name: 'T2', steps: [
+                { at: 200, op: 'insert', row: { firstname: 'Dina', lastname: 'Santos', city: 'Iloilo', country: 'Philippines' } },
+                { at: 300, op: 'commit' }
+            ] }
+        ]
+    },
+    'lost-update': {
+        description: 'T1 and T2 both read a row, then both write it; T2 overwrites T1 without seeing it.',
+        expected: 'LOST_UPDATE up to REPEATABLE READ; SERIALIZABLE deadlocks one transaction instead',
+        isolation: 'REPEATABLE READ',
+        rows: PRESET_ROWS,
+        transactions: [
+            { name: 'T1', steps: [
+                { at: 0, op: 'read', id: 1 },
+                { at: 300, op: 'write', id: 1, set: { firstname: 'Ana-T1' } },
+                { at: 400, op: 'commit' }
+            ] },
+            { name: 'T2', steps: [
+                { at: 100, op: 'read', id: 1 },
+                { at: 700, op: 'write', id: 1, set: { firstname: 'Ana-T2' } },
+                { at: 800, op: 'commit' }
+            ] }
+        ]
+    },
+    'write-skew': {
+        description: 'Both read rows 1 and 2; each then updates a different one based on what it read.',
+        expected: 'WRITE_SKEW up to REPEATABLE READ',
+        isolation: 'REPEATABLE READ',
+        rows: PRESET_ROWS,
+        transactions: [
+            { name: 'T1', steps: [
+                { at: 0, op: 'read', id: 1 },
+                { op: 'read', id: 2 },
+                { at: 300, op: 'write', id: 1, set: { city: 'OFF_DUTY' } },
+                { at: 400, op: 'commit' }
+            ] },
+            { name: 'T2', steps: [
+                { at: 100, op: 'read', id: 1 },
+                { op: 'read', id: 2 },
+                { at: 300, op: 'write', id: 2, set: { city: 'OFF_DUTY' } },
+                { at: 500, op: 'commit' }
+            ] }
+        ]
+    }
+};
+
+class scenario_runner {
+
+    static ISOLATION_LEVELS = ISOLATION_LEVELS;
+    static PRESETS = PRESETS;
+
+    static running = false;
+
+    // Preset scripts, for the UI's picker
+    static listPresets() {
+        return Object.keys(PRESETS).map(name => ({ name, ...PRESETS[name] }));
+    }
+
+    /**
+     * Check a script and fill in defaults.
+     *
+     * @returns {Object} - Normalized script
+     * @throws {Error} - INVALID_SCENARIO describing the first problem found
+     */
+    static validate(script) {
+        if (!script || typeof script !== 'object') throw invalid('Scenario must be an object.');
+
+        if (script.isolation !== undefined && script.isolation !== null && typeof script.isolation !== 'string') {
+            throw invalid('isolation must be a string.');
+        }
+        const isolation = (script.isolation || db_access.DEFAULT_ISOLATION).toUpperCase();
+        if (!ISOLATION_LEVELS.includes(isolation)) {
+            throw invalid(`Invalid isolation '${script.isolation}'. Must be one of: ${ISOLATION_LEVELS.join(', ')}.`);
+        }
+
+        const lockWaitTimeout = script.lockWaitTimeout === undefined ? 5 : Number(script.lockWaitTimeout);
+        if (!Number.isInteger(lockWaitTimeout) || lockWaitTimeout < 1 || lockWaitTimeout > LIMITS.lockWaitTimeout) {
+            throw invalid(`lockWaitTimeout must be a whole number of seconds between 1 and ${LIMITS.lockWaitTimeout}.`);
+        }
+
+        const rows = script.rows || [];
+        if (!Array.isArray(rows) || rows.length === 0 || rows.length > LIMITS.rows) {
+            throw invalid(`rows must list between 1 and ${LIMITS.rows} seed rows.`);
+        }
+        const ids = new Set();
+        rows.forEach(row => {
+            if (!Number.isInteger(row.id) || row.id < 1 || ids.has(row.id)) {
+                throw invalid(`Seed row ${JSON.stringify(row)} needs a unique positive integer id.`);
+            }
+            ids.add(row.id);
+        });
+
+        const transactions = script.transactions;
+        if (!Array.isArray(transactions) || transactions.length < 1 || transactions.length > LIMITS.transactions) {
+            throw invalid(`transactions must list between 1 and ${LIMITS.transactions} transactions.`);
+        }
+
+        const names = new Set();
+        const normalized = transactions.map((tx, t) => {
+            if (!tx || typeof tx !== 'object') throw invalid(`Transaction ${t + 1} must be an object.`);
+            const name = tx.name || `T${t + 1}`;
+            if (names.has(name)) throw invalid(`Duplicate transaction name '${name}'.`);
+            names.add(name);
+
+            if (tx.isolation !== undefined && tx.isolation !== null && typeof tx.isolation !== 'string') {
+                throw invalid(`${name}: isolation must be a string.`);
+            }
+            const txIsolation = tx.isolation ? tx.isolation.toUpperCase() : isolation;
+            if (!ISOLATION_LEVELS.includes(txIsolation)) {
+                throw invalid(`${name}: invalid isolation '${tx.isolation}'.`);
+            }
+            if (!Array.isArray(tx.steps) || tx.steps.length === 0 || tx.steps.length > LIMITS.steps) {
+                throw invalid(`${name}: steps must list between 1 and ${LIMITS.steps} steps.`);
+            }
+
+            const steps = tx.steps.map((step, s) => scenario_runner.validateStep(step, `${name} step ${s + 1}`));
+            const endIndex = steps.findIndex(step => step.op === 'commit' || step.op === 'abort');
+            if (endIndex !== -1 && endIndex !== steps.length - 1) {
+                throw invalid(`${name}: ${steps[endIndex].op} must be the last step.`);
+            }
+            return { name, isolation: txIsolation, steps };
+        });
+
+        return { isolation, lockWaitTimeout, rows, transactions: normalized };
+    }
+
+    static validateStep(step, label) {
+        if (!step || !OPERATIONS.includes(step.op)) {
+            throw invalid(`${label}: op must be one of ${OPERATIONS.join(', ')}.`);
+        }
+        if (step.at !== undefined && (!Number.isInteger(step.at) || step.at < 0 || step.at > LIMITS.offsetMs)) {
+            throw invalid(`${label}: at must be an offset in ms between 0 and ${LIMITS.offsetMs}.`);
+        }
+        if (step.lock !== undefined && (!['read', 'readRange'].includes(step.op) || !LOCK_CLAUSES[step.lock])) {
+            throw invalid(`${label}: lock must be 'share' or 'update', on a read.`);
+        }
+
+        switch (step.op) {
+            case 'read':
+            case 'write':
+                if (!Number.isInteger(step.id)) throw invalid(`${label}: ${step.op} needs an integer id.`);
+                break;
+            case 'readRange':
+                if (!step.country) throw invalid(`${label}: readRange needs a country.`);
+                break;
+            case 'sleep':
+                if (!Number.isInteger(step.ms) || step.ms < 0 || step.ms > LIMITS.offsetMs) {
+                    throw invalid(`${label}: sleep needs ms between 0 and ${LIMITS.offsetMs}.`);
+                }
+                break;
+        }
+
+        const values = step.op === 'write' ? step.set : step.op === 'insert' ? step.row : null;
+        if (values) {
+            const unknown = Object.keys(values).filter(key => !COLUMNS.includes(key) && !(step.op === 'insert' && key === 'id'));
+            if (unknown.length > 0) throw invalid(`${label}: unknown column(s) ${unknown.join(', ')}.`);
+        } else if (step.op === 'insert') {
+            throw invalid(`${label}: insert needs a row.`);
+        }
+        return step;
+    }
+
+    // =========================================================
+    // EXECUTION
+    // =========================================================
+
+    /**
+     * Run a scenario on the Master and classify its anomalies.
+     *
+     * @param {Object} script - See the module header
+     * @returns {Object} - { success, isolation, durationMs, transactions, history, finalState, anomalies, summary }
+     * @throws {Error} - INVALID_SCENARIO, or SCENARIO_RUNNING while another run is in progress
+     */
+    static async run(script) {
+        const scenario = scenario_runner.validate(script);
+        if (scenario_runner.running) {
+            const err = new Error('Another scenario is running. Try again when it finishes.');
+            err.code = 'SCENARIO_RUNNING';
+            throw err;
+        }
+
+        scenario_runner.running = true;
+        const masterPool = db_router.getMasterNode();
+        console.log(`[Scenario] Running ${scenario.transactions.length} transaction(s) at ${scenario.isolation}`);
+
+        try {
+            await scenario_runner.seed(masterPool, scenario.rows);
+
+            let clock = 0;
+            const ctx = {
+                startedAt: Date.now(),
+                lockWaitTimeout: scenario.lockWaitTimeout,
+                tick: () => ++clock,
+                events: [],
+                nextId: Math.max(...scenario.rows.map(r => r.id)) + 1
+            };
+
+            const transactions = await Promise.all(
+                scenario.transactions.map(tx => scenario_runner.runTransaction(masterPool, tx, ctx))
+            );
+
+            const [finalState] = await masterPool.query(`SELECT * FROM ${TABLE} ORDER BY id`);
+            const history = ctx.events.sort((a, b) => a.startSeq - b.startSeq);
+            const anomalies = scenario_runner.classify(history, transactions);
+
+            const summary = {};
+            anomalies.forEach(a => { summary[a.type] = (summary[a.type] || 0) + 1; });
+            console.log(`[Scenario] Done: ${anomalies.length} anomal${anomalies.length === 1 ? 'y' : 'ies'} (${Object.keys(summary).join(', ') || 'none'})`);
+
+            return {
+                success: true,
+                isolation: scenario.isolation,
+                durationMs: Date.now() - ctx.startedAt,
+                transactions,
+                history,
+                finalState,
+                anomalies,
+                summary
+            };
+        } finally {
+            scenario_runner.running = false;
+        }
+    }
+
+    // Recreate the scratch table with the seed rows
+    static async seed(masterPool, rows) {
+        await masterPool.query(`
+            CREATE TABLE IF NOT EXISTS ${TABLE} (
+                id INT PRIMARY KEY,
+                firstname VARCHAR(255),
+                lastname VARCHAR(255),
+                city VARCHAR(255),
+                country VARCHAR(255),
+                writer VARCHAR(64) NOT NULL DEFAULT 'seed' COMMENT 'Write ID that produced this version',
+                INDEX idx_country (country)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+        await masterPool.query(`TRUNCATE TABLE ${TABLE}`);
+        await masterPool.query(
+            `INSERT INTO ${TABLE} (id, ${COLUMNS.join(', ')}) VALUES ?`,
+            [rows.map(row => [row.id, ...COLUMNS.map(c => row[c] === undefined ? null : row[c])])]
+        );
+    }
+
+    /**
+     * Run one transaction's steps on its own connection. A failed step
+     * (deadlock, lock wait timeout, ...) rolls the transaction back and
+     * skips the rest of its steps.
+     *
+     * @returns {Object} - { name, isolation, status, error, commitStart, commitEnd }
+     */
+    static async runTransaction(masterPool, tx, ctx) {
+        const outcome = { name: tx.name, isolation: tx.isolation, status: 'active', error: null, commitStart: null, commitEnd: null };
+        const elapsed = () => Date.now() - ctx.startedAt;
+        let writes = 0;
+        let conn;
+
+        const record = async (step, index, fn) => {
+            const event = {
+                tx: tx.name,
+                step: index,
+                op: step.op,
+                id: step.id !== undefined ? step.id : undefined,
+                country: step.country,
+                lock: step.lock,
+                startedAt: elapsed(),
+                startSeq: ctx.tick()
+            };
+            try {
+                Object.assign(event, await fn(), { status: 'ok' });
+            } catch (err) {
+                Object.assign(event, { status: 'error', error: err.message, code: err.code });
+                outcome.status = 'failed';
+                outcome.error = err.message;
+                await conn.query('ROLLBACK').catch(() => {});
+                console.log(`[Scenario] ${tx.name} failed at step ${index + 1} (${step.op}): ${err.message}`);
+            }
+            event.endSeq = ctx.tick();
+            event.finishedAt = elapsed();
+            ctx.events.push(event);
+            return event;
+        };
+
+        const end = async (step, index, op) => {
+            const event = await record(step, index, () => conn.query(op === 'commit' ? 'COMMIT' : 'ROLLBACK').then(() => ({})));
+            if (event.status === 'ok') {
+                outcome.status = op === 'commit' ? 'committed' : 'aborted';
+                outcome.commitStart = event.startSeq;
+                outcome.commitEnd = event.endSeq;
+            }
+            return event;
+        };
+
+        try {
+            conn = await masterPool.getConnection();
+            await db_access.setIsolationLevel(conn, tx.isolation);
+            await conn.query('SET SESSION innodb_lock_wait_timeout = ?', [ctx.lockWaitTimeout]);
+            await conn.query('START TRANSACTION');
+
+            for (const [index, step] of tx.steps.entries()) {
+                if (outcome.status !== 'active') {
+                    ctx.events.push({ tx: tx.name, step: index, op: step.op, status: 'skipped', startSeq: ctx.tick() });
+                    continue;
+                }
+                if (step.at !== undefined) {
+                    await sleep(Math.max(0, ctx.startedAt + step.at - Date.now()));
+                }
+
+                if (step.op === 'commit' || step.op === 'abort') {
+                    await end(step, index, step.op);
+                } else if (step.op === 'sleep') {
+                    await record(step, index, () => sleep(step.ms).then(() => ({})));
+                } else {
+                    await record(step, index, () => scenario_runner.execute(conn, tx.name, step, ctx, () => `${tx.name}:w${++writes}`));
+                }
+            }
+
+            if (outcome.status === 'active') {
+                // Other transactions push events concurrently: flag this one, not the last
+                const event = await end({ op: 'commit' }, tx.steps.length, 'commit');
+                event.implicit = true;
+            }
+        } catch (err) {
+            // Connection-level failure before the first step
+            outcome.status = 'failed';
+            outcome.error = err.message;
+        } finally {
+            if (conn) conn.release();
+        }
+        return outcome;
+    }
+
+    // Execute one data step; the returned fields are merged into its history event
+    static async execute(conn, txName, step, ctx, nextWriteId) {
+        const lock = step.lock ? LOCK_CLAUSES[step.lock] : '';
+
+        switch (step.op) {
+            case 'read': {
+                const [rows] = await conn.query(`SELECT * FROM ${TABLE} WHERE id = ?${lock}`, [step.id]);
+                return { row: rows[0] || null, saw: rows.length ? rows[0].writer : null };
+            }
+            case 'readRange': {
+                const [rows] = await conn.query(`SELECT * FROM ${TABLE} WHERE country = ? ORDER BY id${lock}`, [step.country]);
+                return { rows, ids: rows.map(r => r.id) };
+            }
+            case 'write': {
+                const writeId = nextWriteId();
+                const set = step.set && Object.keys(step.set).length ? step.set : { firstname: writeId };
+                const [result] = await conn.query(`UPDATE ${TABLE} SET ?, writer = ? WHERE id = ?`, [set, writeId, step.id]);
+                return { set, writeId: result.affectedRows > 0 ? writeId : null, matched: result.affectedRows };
+            }
+            case 'insert': {
+                const writeId = nextWriteId();
+                const row = { ...step.row, id: step.row.id !== undefined ? step.row.id : ctx.nextId++ };
+                await conn.query(`INSERT INTO ${TABLE} SET ?, writer = ?`, [row, writeId]);
+                return { id: row.id, row, writeId };
+            }
+            default:
+                throw new Error(`Unsupported op '${step.op}'.`);
+        }
+    }
+
+    // =========================================================
+    // ANOMALY CLASSIFICATION
+    // =========================================================
+
+    /**
+     * Derive anomalies from a run's history.
+     *
+     * @param {Array} history - Events ordered by startSeq (see runTransaction)
+     * @param {Array} transactions - Outcomes from runTransaction
+     * @returns {Array} - [{ type, transactions, rows, description }]
+     */
+    static classify(history, transactions) {
+        const outcomes = new Map(transactions.map(t => [t.name, t]));
+        const ok = history.filter(e => e.status === 'ok');
+        const committed = name => outcomes.get(name) && outcomes.get(name).status === 'committed';
+
+        // Write ID → owning transaction; writes per transaction per row (last one wins)
+        const owner = new Map();
+        const writesBy = new Map(transactions.map(t => [t.name, new Map()]));
+        ok.filter(e => e.writeId).forEach(e => {
+            owner.set(e.writeId, e.tx);
+            writesBy.get(e.tx).set(e.id, e.writeId);
+        });
+
+        // Every version a read observed: point reads and each row of a range read
+        const observations = [];
+        ok.forEach(e => {
+            if (e.op === 'read') observations.push({ event: e, id: e.id, saw: e.saw });
+            if (e.op === 'readRange') e.rows.forEach(r => observations.push({ event: e, id: r.id, saw: r.writer }));
+        });
+
+        // Committed writes per row, in commit order
+        const commitOrder = new Map();
+        transactions.filter(t => t.status === 'committed')
+            .sort((a, b) => a.commitEnd - b.commitEnd)
+            .forEach(t => writesBy.get(t.name).forEach((writeId, id) => {
+                if (!commitOrder.has(id)) commitOrder.set(id, []);
+                commitOrder.get(id).push(writeId);
+            }));
+
+        const anomalies = [];
+        const seen = new Set();
+        const report = (type, txs, rows, description) => {
+            const key = `${type}|${txs.join(',')}|${rows.join(',')}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            anomalies.push({ type, transactions: txs, rows, description });
+        };
+
+        // Own write to `id` (any row when id is null) by `tx` between two events
+        const wroteBetween = (tx, id, from, to) => ok.some(e =>
+            e.tx === tx && e.writeId && (id === null || e.id === id) && e.startSeq > from.startSeq && e.startSeq < to.startSeq);
+
+        // DIRTY READ
+        observations.forEach(({ event, id, saw }) => {
+            const writer = owner.get(saw);
+            if (!writer || writer === event.tx) return;
+            const outcome = outcomes.get(writer);
+            if (outcome.status === 'committed' && outcome.commitStart < event.endSeq) return;
+            const fate = outcome.status === 'committed' ? 'committed later' : 'was rolled back';
+            report('DIRTY_READ', [event.tx, writer], [id],
+                `${event.tx} read row ${id} as written by ${writer} (${saw}) before ${writer} committed; that write ${fate}.`);
+        });
+
+        // NON-REPEATABLE READ and PHANTOM: compare consecutive reads within a transaction
+        transactions.forEach(({ name }) => {
+            const pointReads = observations.filter(o => o.event.tx === name && o.event.op === 'read');
+            pointReads.forEach((later, i) => {
+                const earlier = pointReads.slice(0, i).reverse().find(o => o.id === later.id);
+                if (!earlier || earlier.saw === later.saw || wroteBetween(name, later.id, earlier.event, later.event)) return;
+                report('NON_REPEATABLE_READ', [name], [later.id],
+                    `${name} read row ${later.id} twice and saw ${earlier.saw || 'no row'}, then ${later.saw || 'no row'}.`);
+            });
+
+            const rangeReads = ok.filter(e => e.tx === name && e.op === 'readRange');
+            rangeReads.forEach((later, i) => {
+                const earlier = rangeReads.slice(0, i).reverse().find(e => e.country === later.country);
+                if (!earlier || wroteBetween(name, null, earlier, later)) return;
+                const added = later.ids.filter(id => !earlier.ids.includes(id));
+                const removed = earlier.ids.filter(id => !later.ids.includes(id));
+                if (added.length === 0 && removed.length === 0) return;
+                report('PHANTOM', [name], [...added, ...removed],
+                    `${name} ran the range read country = '${later.country}' twice; ` +
+                    `rows appeared: [${added.join(', ')}], disappeared: [${removed.join(', ')}].`);
+            });
+        });
+
+        // LOST UPDATE: a committed write built on a read that missed another committed write
+        transactions.filter(t => t.status === 'committed').forEach(t => {
+            writesBy.get(t.name).forEach((writeId, id) => {
+                const firstWrite = ok.find(e => e.tx === t.name && e.writeId && e.id === id);
+                const read = observations.filter(o => o.event.tx === t.name && o.id === id && o.event.endSeq < firstWrite.startSeq).pop();
+                if (!read) return; // blind write
+
+                const order = commitOrder.get(id);
+                const base = order.indexOf(read.saw);
+                order.slice(base + 1, order.indexOf(writeId)).forEach(overwritten => {
+                    const other = owner.get(overwritten);
+                    report('LOST_UPDATE', [other, t.name], [id],
+                        `${t.name} overwrote row ${id} from its read of ${read.saw || 'no row'}; ` +
+                        `${other}'s committed update (${overwritten}) was lost.`);
+                });
+            });
+        });
+
+        // WRITE SKEW: read-write dependencies in both directions, disjoint write sets
+        const missed = (reader, writer) => {
+            const writes = writesBy.get(writer);
+            return observations.some(o => o.event.tx === reader && writes.has(o.id) && o.saw !== writes.get(o.id)
+                && !writesBy.get(reader).has(o.id));
+        };
+        const names = transactions.filter(t => committed(t.name)).map(t => t.name);
+        names.forEach((a, i) => names.slice(i + 1).forEach(b => {
+            const aWrites = [...writesBy.get(a).keys()];
+            const bWrites = [...writesBy.get(b).keys()];
+            if (aWrites.length === 0 || bWrites.length === 0 || aWrites.some(id => bWrites.includes(id))) return;
+            if (!missed(a, b) || !missed(b, a)) return;
+            report('WRITE_SKEW', [a, b], [...aWrites, ...bWrites],
+                `${a} and ${b} each read rows the other then wrote (${a}: [${aWrites.join(', ')}], ` +
+                `${b}: [${bWrites.join(', ')}]) without seeing the other's write; both committed.`);
+        }));
+
+        return anomalies;
+    }
+}
+
+module.exports = scenario_runner;
@@ -0,0 +1,301 @@
+// models/slave_resync.js
+// =========================================================
+// FULL SLAVE RESYNCHRONIZATION
+// =========================================================
+// Rebuilds a Slave's `users` table from the Master when queue replay
+// can no longer catch it up (long outage, entries stuck at 'failed').
+// The Slave keeps serving reads and writes throughout:
+//
+//   1. CAPTURE   Start recording the user IDs of every write routed
+//                to the Slave (db_service.captureWrite) and pause its
+//                queue replay
+//   2. SNAPSHOT  Read the Master's rows for the Slave's countries in
+//                one consistent-snapshot transaction
+//   3. STREAM    Insert them in batches into users_resync on the Slave
+//   4. CATCH UP  Re-copy captured IDs from the Master into users_resync
+//   5. SWAP      RENAME TABLE users → users_old, users_resync → users
+//                (atomic; waits for in-flight XA branches on users)
+//   6. CATCH UP  Re-copy IDs captured up to the swap into the live table
+//   7. FINISH    Mark the Slave's queued writes as superseded, move
+//                its replication position up to the change log head
+//                read at the swap, stop capturing, drop users_old
+//
+// Catch-up copies lock the Master rows FOR UPDATE inside an XA
+// transaction, so a write that is still in flight is copied as committed.
+// =========================================================
+
+const db_router = require('./db_router');
+const db_access = require('./db_access');
+const db_service = require('./db_service');
+const change_log = require('./change_log');
+
+const STAGING_TABLE = 'users_resync';
+const OLD_TABLE = 'users_old';
+
+class slave_resync {
+
+    static DEFAULT_BATCH_SIZE = 500;
+
+    // Progress per Slave: { [slaveId]: { phase, copied, caughtUp, ... } }
+    static progress = {};
+
+    /**
+     * Rebuild one Slave from a Master snapshot.
+     *
+     * @param {number} slaveId - Slave partition to rebuild
+     * @param {Object} options - { batchSize }
+     * @returns {Object} - { success, partition, copied, caughtUp, superseded, durationMs }
+     */
+    static async resync(slaveId, { batchSize = slave_resync.DEFAULT_BATCH_SIZE } = {}) {
+        if (db_service.isResyncing(slaveId)) {
+            return { success: false, conflict: true, message: `Partition ${slaveId} is already being resynchronized.` };
+        }
+
+        const progress = {
+            partition: slaveId,
+            phase: 'STARTING',
+            copied: 0,
+            caughtUp: 0,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            error: null
+        };
+        slave_resync.progress[slaveId] = progress;
+        const started = Date.now();
+
+        // From here on every write routed to this Slave is captured
+        db_service.writeCaptures[slaveId] = new Set();
+        console.log(`[Resync] ===== Partition ${slaveId}: full resynchronization started =====`);
+
+        let swapped = false;
+        try {
+            await slave_resync.createStagingTable(slaveId);
+
+            progress.phase = 'SNAPSHOT';
+            progress.copied = await slave_resync.copySnapshot(slaveId, batchSize, progress);
+
+            progress.phase = 'CATCH_UP';
+            progress.caughtUp += await slave_resync.catchUp(slaveId, STAGING_TABLE);
+
+            progress.phase = 'SWAP';
+            const lastQueueId = await slave_resync.getLastQueueId(slaveId);
+            // Read after the queue ID: every superseded entry's seq is covered
+            const headSeq = await change_log.getHeadSeq(db_router.getMasterNode(), slaveId);
+            await slave_resync.swapTables(slaveId);
+            swapped = true;
+
+            progress.phase = 'CATCH_UP_LIVE';
+            progress.caughtUp += await slave_resync.catchUp(slaveId, 'users');
+
+            progress.phase = 'FINISH';
+            progress.superseded = await slave_resync.supersedeQueue(slaveId, lastQueueId);
+            await slave_resync.withSlave(slaveId, conn => change_log.markApplied(conn, slaveId, headSeq));
+            progress.lastAppliedSeq = headSeq;
+            await slave_resync.dropTable(slaveId, OLD_TABLE);
+
+            progress.phase = 'DONE';
+            console.log(`[Resync] ===== Partition ${slaveId}: COMPLETE (${progress.copied} copied, ${progress.caughtUp} caught up) =====`);
+            return {
+                success: true,
+                partition: slaveId,
+                copied: progress.copied,
+                caughtUp: progress.caughtUp,
+                superseded: progress.superseded,
+                durationMs: Date.now() - started
+            };
+        } catch (err) {
+            const failedPhase = progress.phase;
+            console.error(`[Resync] Partition ${slaveId}: FAILED in ${failedPhase}: ${err.message}`);
+            progress.error = err.message;
+            progress.phase = 'FAILED';
+            if (!swapped) {
+                // The live table was never touched; just discard the staging copy
+                await slave_resync.dropTable(slaveId, STAGING_TABLE).catch(() => {});
+            }
+            return { success: false, partition: slaveId, phase: failedPhase, error: err.message };
+        } finally {
+            delete db_service.writeCaptures[slaveId];
+            progress.finishedAt = new Date().toISOString();
+        }
+    }
+
+    static async withSlave(slaveId, fn) {
+        let conn;
+        try {
+            conn = await db_service.connectWithTimeout(db_router.getNodeById(slaveId), 3000);
+            return await fn(conn);
+        } finally {
+            if (conn) conn.release();
+        }
+    }
+
+    static async createStagingTable(slaveId) {
+        await slave_resync.withSlave(slaveId, async (conn) => {
+            await conn.query(`DROP TABLE IF EXISTS ${STAGING_TABLE}`);
+            await conn.query(`CREATE TABLE ${STAGING_TABLE} LIKE users`);
+        });
+        console.log(`[Resync] Partition ${slaveId}: ${STAGING_TABLE} created`);
+    }
+
+    static async dropTable(slaveId, table) {
+        await slave_resync.withSlave(slaveId, conn => conn.query(`DROP TABLE IF EXISTS ${table}`));
+    }
+
+    /**
+     * Stream the Master's rows for the Slave into the staging table.
+     * All batches are read inside one consistent snapshot, so the copy
+     * reflects a single point in time; later writes are captured.
+     *
+     * @returns {number} - Rows copied
+     */
+    static async copySnapshot(slaveId, batchSize, progress) {
+        let masterConn, slaveConn;
+        let copied = 0;
+        try {
+            masterConn = await db_service.connectWithTimeout(db_router.getMasterNode(), 3000);
+            slaveConn = await db_service.connectWithTimeout(db_router.getNodeById(slaveId), 3000);
+
+            await db_access.setIsolationLevel(masterConn, 'REPEATABLE READ');
+            await masterConn.query('START TRANSACTION WITH CONSISTENT SNAPSHOT');
+
+            const [countryRows] = await masterConn.query('SELECT DISTINCT country FROM users');
+            const countries = countryRows
+                .map(r => r.country)
+                .filter(country => country && db_router.getSlaveId(country) === slaveId);
+
+            let lastId = 0;
+            while (countries.length > 0) {
+                const [rows] = await masterConn.query(
+                    'SELECT * FROM users WHERE country IN (?) AND id > ? ORDER BY id LIMIT ?',
+                    [countries, lastId, batchSize]
+                );
+                if (rows.length === 0) break;
+
+                const userRows = rows.map(r => db_service.toUserRow(r));
+                const columns = Object.keys(userRows[0]);
+                await slaveConn.query(
+                    `INSERT INTO ${STAGING_TABLE} (${columns.join(', ')}) VALUES ?`,
+                    [userRows.map(r => columns.map(c => r[c]))]
+                );
+
+                copied += rows.length;
+                progress.copied = copied;
+                lastId = rows[rows.length - 1].id;
+                console.log(`[Resync] Partition ${slaveId}: ${copied} row(s) streamed (up to id ${lastId})`);
+            }
+
+            await masterConn.query('COMMIT');
+            return copied;
+        } catch (err) {
+            if (masterConn) await masterConn.query('ROLLBACK').catch(() => {});
+            throw err;
+        } finally {
+            if (masterConn) masterConn.release();
+            if (slaveConn) slaveConn.release();
+        }
+    }
+
+    /**
+     * Re-copy every captured user ID from the Master into `table`,
+     * until no new captures arrive.
+     *
+     * @returns {number} - IDs copied
+     */
+    static async catchUp(slaveId, table) {
+        const captured = db_service.writeCaptures[slaveId];
+        let total = 0;
+
+        while (captured.size > 0) {
+            const ids = [...captured];
+            captured.clear();
+            await slave_resync.copyFromMaster(slaveId, ids, table);
+            total += ids.length;
+        }
+
+        if (total > 0) {
+            console.log(`[Resync] Partition ${slaveId}: ${total} captured write(s) applied to ${table}`);
+        }
+        return total;
+    }
+
+    /**
+     * Make `table` on the Slave match the Master for the given IDs, in one
+     * XA transaction with the Master rows locked.
+     */
+    static async copyFromMaster(slaveId, ids, table) {
+        const xid = db_service.generateXid('resync');
+        const participants = [];
+        let masterConn, slaveConn;
+
+        try {
+            masterConn = await db_router.getMasterNode().getConnection();
+            await db_access.setIsolationLevel(masterConn, db_access.DEFAULT_ISOLATION);
+            await db_service.xaBegin(masterConn, xid, db_router.getMasterId(), participants);
+
+            const masterRows = await db_access.lockRowsExclusive(masterConn, 'users', ids);
+            const owned = new Map(masterRows
+                .filter(r => db_router.getSlaveId(r.country) === slaveId)
+                .map(r => [r.id, db_service.toUserRow(r)]));
+
+            slaveConn = await db_service.joinSlave(db_router.getNodeById(slaveId), slaveId, xid, participants);
+            for (const id of ids) {
+                await slaveConn.query(`DELETE FROM ${table} WHERE id = ?`, [id]);
+                if (owned.has(id)) {
+                    await slaveConn.query(`INSERT INTO ${table} SET ?`, [owned.get(id)]);
+                }
+            }
+
+            await db_service.xaCommitDistributed(xid, 'resync', participants);
+        } catch (err) {
+            await db_service.xaAbortDistributed(xid, 'resync', participants);
+            throw err;
+        } finally {
+            if (masterConn) masterConn.release();
+            if (slaveConn) slaveConn.release();
+        }
+    }
+
+    static async swapTables(slaveId) {
+        await slave_resync.withSlave(slaveId, async (conn) => {
+            await conn.query(`DROP TABLE IF EXISTS ${OLD_TABLE}`);
+            await conn.query(`RENAME TABLE users TO ${OLD_TABLE}, ${STAGING_TABLE} TO users`);
+        });
+        console.log(`[Resync] Partition ${slaveId}: tables swapped`);
+    }
+
+    // Newest queue entry for the Slave; everything up to it is covered by the resync
+    static async getLastQueueId(slaveId) {
+        const masterPool = db_router.getMasterNode();
+        const [rows] = await masterPool.query(
+            'SELECT MAX(id) AS lastId FROM recovery_queue WHERE target_partition = ?',
+            [slaveId]
+        );
+        return rows[0].lastId || 0;
+    }
+
+    /**
+     * Queued writes for the Slave up to the swap are already in the
+     * rebuilt table (snapshot or catch-up), so they are closed out.
+     *
+     * @returns {number} - Queue entries marked completed
+     */
+    static async supersedeQueue(slaveId, lastQueueId) {
+        db_service.missedWrites[slaveId] = [];
+
+        const masterPool = db_router.getMasterNode();
+        const [result] = await masterPool.query(`
+            UPDATE recovery_queue
+            SET status = 'completed', last_error = 'Superseded by full resync'
+            WHERE target_partition = ? AND id <= ? AND status IN ('pending', 'processing', 'failed', 'parked')
+        `, [slaveId, lastQueueId]);
+
+        console.log(`[Resync] Partition ${slaveId}: ${result.affectedRows} queued write(s) superseded`);
+        return result.affectedRows;
+    }
+
+    static getProgress(slaveId) {
+        return slave_resync.progress[slaveId] || null;
+    }
+}
+
+module.exports = slave_resync;
@@ -0,0 +1,135 @@
+// models/transaction_log.js
+// =========================================================
+// COORDINATOR LOG (Master-owned, Database-backed)
+// =========================================================
+// Durable record of every distributed (XA) transaction the Node
+// process coordinates. The decision is written BEFORE phase 2
+// starts, so after a crash the Master knows whether the prepared
+// branches left on each node must be committed or rolled back.
+//
+// Presumed abort: an xid with no COMMIT entry was never committed.
+// =========================================================
+
+const db_router = require('./db_router');
+
+class transaction_log {
+
+    /**
+     * Record the coordinator's decision for a global transaction.
+     * Runs on its own autocommit connection, never inside an XA branch.
+     *
+     * @param {string} xid - Global transaction ID
+     * @param {string} operation - create | update | delete
+     * @param {Array<number>} participants - Node IDs holding a branch
+     * @param {string} decision - 'COMMIT' or 'ABORT'
+     */
+    static async recordDecision(xid, operation, participants, decision) {
+        const masterPool = db_router.getMasterNode();
+        let conn;
+        try {
+            conn = await masterPool.getConnection();
+            await conn.query(`
+                INSERT INTO transaction_log (xid, operation, participants_json, pending_json, decision)
+                VALUES (?, ?, ?, ?, ?)
+            `, [
+                xid,
+                operation,
+                JSON.stringify(participants),
+                JSON.stringify(participants),
+                decision
+            ]);
+            console.log(`[TxLog] ${xid}: decision ${decision} logged (participants: ${participants.join(', ')})`);
+        } finally {
+            if (conn) conn.release();
+        }
+    }
+
+    /**
+     * Mark phase 2 progress for a global transaction.
+     * With no pending nodes the entry is COMPLETED; otherwise it stays
+     * PENDING with the nodes that still hold a branch.
+     *
+     * @param {string} xid - Global transaction ID
+     * @param {Array<number>} pendingNodes - Node IDs whose phase 2 did not finish
+     */
+    static async markCompleted(xid, pendingNodes = []) {
+        const masterPool = db_router.getMasterNode();
+        let conn;
+        try {
+            conn = await masterPool.getConnection();
+            if (pendingNodes.length > 0) {
+                await conn.query(
+                    "UPDATE transaction_log SET pending_json = ? WHERE xid = ?",
+                    [JSON.stringify(pendingNodes), xid]
+                );
+                console.log(`[TxLog] ${xid}: still pending on node(s) ${pendingNodes.join(', ')}`);
+            } else {
+                await conn.query(
+                    "UPDATE transaction_log SET state = 'COMPLETED', pending_json = '[]', completed_at = NOW() WHERE xid = ?",
+                    [xid]
+                );
+                console.log(`[TxLog] ${xid}: COMPLETED`);
+            }
+        } finally {
+            if (conn) conn.release();
+        }
+    }
+
+    /**
+     * Look up the coordinator's decision for one global transaction.
+     *
+     * @param {string} xid - Global transaction ID
+     * @returns {Object|null} - { xid, decision, state, pending } or null if never logged
+     */
+    static async getDecision(xid) {
+        const masterPool = db_router.getMasterNode();
+        let conn;
+        try {
+            conn = await masterPool.getConnection();
+            const [rows] = await conn.query(
+                "SELECT xid, decision, state, pending_json FROM transaction_log WHERE xid = ?",
+                [xid]
+            );
+            if (rows.length === 0) return null;
+            return {
+                xid: rows[0].xid,
+                decision: rows[0].decision,
+                state: rows[0].state,
+                pending: JSON.parse(rows[0].pending_json)
+            };
+        } finally {
+            if (conn) conn.release();
+        }
+    }
+
+    /**
+     * Get every logged transaction whose phase 2 has not completed.
+     *
+     * @returns {Array<Object>} - { xid, operation, decision, participants, pending, decidedAt }
+     */
+    static async getPending() {
+        const masterPool = db_router.getMasterNode();
+        let conn;
+        try {
+            conn = await masterPool.getConnection();
+            const [rows] = await conn.query(`
+                SELECT xid, operation, decision, participants_json, pending_json, decided_at
+                FROM transaction_log
+                WHERE state = 'PENDING'
+                ORDER BY decided_at ASC
+            `);
+            return rows.map(row => ({
+                xid: row.xid,
+                operation: row.operation,
+                decision: row.decision,
+                participants: JSON.parse(row.participants_json),
+                pending: JSON.parse(row.pending_json),
+                decidedAt: row.decided_at
+            }));
+        } finally {
+            if (conn) conn.release();
+        }
+    }
+}
+
+module.exports = transaction_log;
@@ -0,0 +1,137 @@
+// models/xa_resolver.js
+// =========================================================
+// IN-DOUBT XA TRANSACTION RESOLVER
+// =========================================================
+// A node that restarts (or loses its connection to the Node
+// process) after XA PREPARE keeps the branch - and its row locks -
+// until someone sends XA COMMIT or XA ROLLBACK. This resolver:
+//
+//   1. Runs XA RECOVER on every node in the registry
+//   2. Looks each xid up in the Master's transaction_log
+//   3. COMMIT decision → XA COMMIT, ABORT or no entry → XA ROLLBACK
+//
+// Branches younger than `minAgeMs` are skipped: their coordinator
+// may still be between XA PREPARE and logging its decision.
+// Only xids generated by db_service (operation-timestamp-random)
+// are touched; anything else on the server is left alone.
+// =========================================================
+
+const node_registry = require('./node_registry');
+const db_access = require('./db_access');
+const transaction_log = require('./transaction_log');
+
+const XID_PATTERN = /^[a-z]+-(\d+)-[a-z0-9]+$/;
+
+class xa_resolver {
+
+    static DEFAULT_MIN_AGE_MS = 60000;
+
+    static async getConnection(pool, timeoutMs = 2000) {
+        return Promise.race([
+            pool.getConnection(),
+            new Promise((_, reject) => setTimeout(() => reject(new Error(`Connection timeout after ${timeoutMs}ms`)), timeoutMs))
+        ]);
+    }
+
+    /**
+     * List the PREPARED branches a node is holding.
+     *
+     * @returns {Array<string>} - xids reported by XA RECOVER
+     */
+    static async listPrepared(conn) {
+        const [rows] = await conn.query('XA RECOVER');
+        // db_service uses the whole xid as gtrid, so bqual is always empty
+        return rows
+            .filter(row => Number(row.bqual_length) === 0)
+            .map(row => row.data.toString());
+    }
+
+    /**
+     * Decide what to do with one prepared branch.
+     *
+     * @returns {string} - 'COMMIT', 'ABORT' or 'SKIP'
+     */
+    static async resolveDecision(xid, minAgeMs) {
+        const match = XID_PATTERN.exec(xid);
+        if (!match) return 'SKIP';
+
+        const entry = await transaction_log.getDecision(xid);
+        if (entry) return entry.decision;
+
+        // No decision logged: presumed abort, once the coordinator has had time to log one
+        const age = Date.now() - parseInt(match[1]);
+        return age >= minAgeMs ? 'ABORT' : 'SKIP';
+    }
+
+    /**
+     * Resolve every in-doubt branch on every node.
+     *
+     * @param {Object} options - { minAgeMs }
+     * @returns {Object} - { success, resolved, skipped, nodes: { [nodeId]: {...} } }
+     */
+    static async resolveAll({ minAgeMs = xa_resolver.DEFAULT_MIN_AGE_MS } = {}) {
+        const result = { success: true, resolved: 0, skipped: 0, nodes: {} };
+
+        for (const nodeId of node_registry.getNodeIds()) {
+            const nodeResult = { committed: [], rolledBack: [], skipped: [], errors: [] };
+            result.nodes[nodeId] = nodeResult;
+
+            let conn;
+            try {
+                conn = await xa_resolver.getConnection(node_registry.getPool(nodeId));
+                const xids = await xa_resolver.listPrepared(conn);
+
+                if (xids.length > 0) {
+                    console.log(`[XA Resolver] Node ${nodeId}: ${xids.length} prepared branch(es) found`);
+                }
+
+                for (const xid of xids) {
+                    try {
+                        const decision = await xa_resolver.resolveDecision(xid, minAgeMs);
+
+                        if (decision === 'SKIP') {
+                            nodeResult.skipped.push(xid);
+                            result.skipped++;
+                            continue;
+                        }
+
+                        if (decision === 'COMMIT') {
+                            await db_access.xaCommit(conn, xid);
+                            nodeResult.committed.push(xid);
+                        } else {
+                            await conn.query(`XA ROLLBACK '${xid}'`);
+                            nodeResult.rolledBack.push(xid);
+                        }
+                        result.resolved++;
+                        console.log(`[XA Resolver] Node ${nodeId}: ${xid} → ${decision}`);
+
+                        await xa_resolver.updateLog(xid, nodeId);
+                    } catch (err) {
+                        console.error(`[XA Resolver] Node ${nodeId}: could not resolve ${xid} - ${err.message}`);
+                        nodeResult.errors.push({ xid, error: err.message });
+                    }
+                }
+            } catch (err) {
+                nodeResult.unreachable = true;
+                nodeResult.errors.push({ error: err.message });
+            } finally {
+                if (conn) conn.release();
+            }
+        }
+
+        return result;
+    }
+
+    // Drop a finished node from the log entry's pending list (if the xid was logged)
+    static async updateLog(xid, nodeId) {
+        try {
+            const entry = await transaction_log.getDecision(xid);
+            if (!entry || entry.state === 'COMPLETED') return;
+            await transaction_log.markCompleted(xid, entry.pending.filter(id => id != nodeId));
+        } catch (err) {
+            console.error(`[XA Resolver] Could not update log for ${xid}: ${err.message}`);
+        }
+    }
+}
+
+module.exports = xa_resolver;
@@ -9,6 +9,19 @@ document.addEventListener('DOMContentLoaded', () => {
         return 'undefined';
     };
 
+    // Latest change log position of this page's own writes ("1:42,2:40").
+    // Sent with searches so a lagging partition cannot hide them.
+    let causalityToken = '';
+    const rememberWrite = (token) => {
+        if (!token) return;
+        const positions = {};
+        `${causalityToken},${token}`.split(',').filter(Boolean).forEach(part => {
+            const [partition, seq] = part.split(':').map(Number);
+            positions[partition] = Math.max(positions[partition] || 0, seq);
+        });
+        causalityToken = Object.entries(positions).map(([partition, seq]) => `${partition}:${seq}`).join(',');
+    };
+
     // 1. SIDEBAR TOGGLE
     const sidebar = document.getElementById('sidebar');
     const toggleBtn = document.getElementById('sidebarToggle');
@@ -79,8 +92,8 @@ document.addEventListener('DOMContentLoaded', () => {
         const fB = document.getElementById('formB');
         
         // Reset badges
-        window.updateBadge('A', num === 2 || num === 3 ? 'WRITE' : 'READ');
-        window.updateBadge('B', num === 3 ? 'WRITE' : 'READ');
+        window.updateBadge('A', num === 2 || num === 3 ? 'WRITE' : num === 4 ? 'RANGE_READ' : num === 5 ? 'RANGE_LOCK' : 'READ');
+        window.updateBadge('B', num === 3 ? 'WRITE' : num >= 4 ? 'RANGE_INSERT' : 'READ');
 
         if(num === 1) { // Read-Read
             fA.type.value = 'READ'; fA.sleepTime.value = 5;
@@ -91,13 +104,19 @@ document.addEventListener('DOMContentLoaded', () => {
         } else if(num === 3) { // Write-Write
             fA.type.value = 'WRITE'; fA.sleepTime.value = 5; fA.updateText.value = "LOCK_HOLDER";
             fB.type.value = 'WRITE'; fB.sleepTime.value = 1;
+        } else if(num === 4) { // Range Read-Insert (phantom under READ COMMITTED)
+            fA.type.value = 'RANGE_READ'; fA.sleepTime.value = 5; fA.country.value = 'Philippines';
+            fB.type.value = 'RANGE_INSERT'; fB.sleepTime.value = 1; fB.country.value = 'Philippines'; fB.updateText.value = 'PHANTOM';
+        } else if(num === 5) { // Range Lock-Insert (blocked by next-key locks under REPEATABLE READ)
+            fA.type.value = 'RANGE_LOCK'; fA.sleepTime.value = 5; fA.country.value = 'Philippines';
+            fB.type.value = 'RANGE_INSERT'; fB.sleepTime.value = 1; fB.country.value = 'Philippines'; fB.updateText.value = 'PHANTOM';
         }
     };
 
     window.updateBadge = (trans, type) => {
         const badge = document.getElementById(`badge${trans}`);
         badge.innerText = type;
-        if(type === 'WRITE') { badge.className = 'badge badge-write'; }
+        if(['WRITE', 'RANGE_LOCK', 'RANGE_INSERT'].includes(type)) { badge.className = 'badge badge-write'; }
         else { badge.className = 'badge badge-read'; }
     };
 
@@ -123,12 +142,13 @@ document.addEventListener('DOMContentLoaded', () => {
         const formB = new FormData(document.getElementById('formB'));
         
         // 3. Construct Payload with the Shared ID
-        const dataA = { ...Object.fromEntries(formA.entries()), id: targetId };
-        const dataB = { ...Object.fromEntries(formB.entries()), id: targetId };
+        const dataA = { ...Object.fromEntries(formA.entries()), id: targetId, label: 'A' };
+        const dataB = { ...Object.fromEntries(formB.entries()), id: targetId, label: 'B' };
 
         // UI Feedback
         document.getElementById('logA').innerHTML = ">> Transaction Started...";
         document.getElementById('logB').innerHTML = ">> Waiting 1s delay...";
+        document.getElementById('deadlockInfo').innerHTML = '';
         
         // Helper function to safely render logs
         const renderLogs = (elementId, data, error) => {
@@ -143,10 +163,17 @@ document.addEventListener('DOMContentLoaded', () => {
                 ? data.logs.join('<br>') 
                 : `<span style="color:orange">Warning: No logs returned. (Backend may have crashed or returned: ${JSON.stringify(data)})</span>`;
 
-            const idMsg = data.targetId ? `[ID: ${data.targetId}] ` : "";
-            el.innerHTML = `<b>${idMsg}</b><br>` + logContent;
+            const idMsg = data.targetId ? `[ID: ${data.targetId}] ` : (data.country ? `[Country: ${data.country}] ` : "");
+            // Row sets seen by range reads, so phantoms stand out
+            const rowSets = (data.rowSets && data.rowSets.length)
+                ? '<br><br><b>Row sets seen:</b><br>' + data.rowSets.map(r => `${r.label}: ${r.count} [${r.ids.join(', ')}]`).join('<br>')
+                : '';
+            el.innerHTML = `<b>${idMsg}</b><br>` + logContent + rowSets;
         };
 
+        // Poll the lock graph while both transactions run
+        const lockPoller = await startLockPolling();
+
         // 4. Execute Transaction A
         const pA = fetch('/api/simulate', {
             method: 'POST',
@@ -170,6 +197,164 @@ document.addEventListener('DOMContentLoaded', () => {
         .catch(e => renderLogs('logB', null, e.message));
 
         await Promise.all([pA, pB]);
+        await lockPoller.stop();
+    };
+
+    // 4a. LOCK GRAPH
+    const fetchLocks = async () => {
+        const res = await fetch('/api/locks');
+        return res.json();
+    };
+
+    // Baseline poll first: deadlocks first seen after it belong to this run
+    const startLockPolling = async () => {
+        let since = Date.now();
+        try { since = (await fetchLocks()).polledAt; } catch (e) { /* graph unavailable */ }
+
+        const poll = async () => {
+            try { renderLockGraph(await fetchLocks(), since); } catch (e) { console.error('[Locks] Poll failed:', e); }
+        };
+        const timer = setInterval(poll, 400);
+        return {
+            stop: async () => {
+                clearInterval(timer);
+                await poll();
+            }
+        };
+    };
+
+    const renderLockGraph = (graph, since) => {
+        const el = document.getElementById('lockGraph');
+        const waiting = new Set(graph.edges.flatMap(e => [e.from, e.to]));
+        const txs = graph.transactions.filter(t => t.label || waiting.has(t.key));
+        const down = graph.nodes.filter(n => !n.reachable).map(n => `Node ${n.nodeId}: ${n.error}`);
+
+        if (txs.length === 0) {
+            el.innerHTML = '<span style="color:#A3AED0">No open transactions.</span>' +
+                (down.length ? `<br><span style="color:orange">${down.join('<br>')}</span>` : '');
+        } else {
+            // Transactions on a circle, waits as arrows
+            const cx = 200, cy = 110, r = txs.length > 1 ? 80 : 0;
+            const pos = {};
+            txs.forEach((t, i) => {
+                const angle = (2 * Math.PI * i) / txs.length - Math.PI / 2;
+                pos[t.key] = { x: cx + r * Math.cos(angle), y: cy + r * Math.sin(angle) };
+            });
+            const inCycle = new Set(graph.cycles.flat());
+
+            const arrows = graph.edges.filter(e => pos[e.from] && pos[e.to]).map(e => {
+                const a = pos[e.from], b = pos[e.to];
+                const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+                const x1 = a.x + (b.x - a.x) * 28 / len, y1 = a.y + (b.y - a.y) * 28 / len;
+                const x2 = b.x - (b.x - a.x) * 30 / len, y2 = b.y - (b.y - a.y) * 30 / len;
+                const lock = e.requested ? `${e.requested.mode} ${e.requested.table}${e.requested.data ? ` (${e.requested.data})` : ''}` : '';
+                return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${inCycle.has(e.from) && inCycle.has(e.to) ? '#FF4C4C' : '#FFB547'}" stroke-width="2" marker-end="url(#arrow)"/>` +
+                    `<text x="${(x1 + x2) / 2}" y="${(y1 + y2) / 2 - 6}" font-size="9" text-anchor="middle" fill="#2B3674">${lock}</text>`;
+            }).join('');
+
+            const circles = txs.map(t => {
+                const p = pos[t.key];
+                const color = t.state === 'LOCK WAIT' ? '#FFB547' : '#05CD99';
+                return `<circle cx="${p.x}" cy="${p.y}" r="26" fill="${color}"/>` +
+                    `<text x="${p.x}" y="${p.y - 2}" font-size="12" font-weight="bold" text-anchor="middle" fill="#fff">${t.label || 'trx'}</text>` +
+                    `<text x="${p.x}" y="${p.y + 11}" font-size="8" text-anchor="middle" fill="#fff">node ${t.nodeId} #${t.trxId}</text>` +
+                    (t.waitingMs ? `<text x="${p.x}" y="${p.y + 40}" font-size="9" text-anchor="middle" fill="#2B3674">waiting ${t.waitingMs}ms</text>` : '');
+            }).join('');
+
+            el.innerHTML = `<svg viewBox="0 0 400 230" style="width:100%; max-width:500px;">` +
+                `<defs><marker id="arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto">` +
+                `<path d="M0,0 L10,5 L0,10 z" fill="#2B3674"/></marker></defs>${arrows}${circles}</svg>` +
+                (graph.cycles.length ? '<br><b style="color:#FF4C4C">Cycle in the waits-for graph: deadlock forming</b>' : '');
+        }
+
+        // Deadlocks InnoDB reported since polling started, and cross-node ones the coordinator broke
+        const fresh = graph.deadlocks.filter(d => d.firstSeenAt && d.firstSeenAt >= since);
+        const distributed = graph.distributed ? graph.distributed.recentVictims.filter(v => new Date(v.at).getTime() >= since) : [];
+        if (fresh.length || distributed.length) {
+            document.getElementById('deadlockInfo').innerHTML = distributed.map(v =>
+                `<div style="background:#FFE5E5; padding:10px; border-radius:10px; margin-bottom:5px;"><b style="color:#FF4C4C">` +
+                `DISTRIBUTED DEADLOCK across nodes ${v.nodes.join(', ')} - victim: ${v.victim}</b><br>` +
+                `Cycle: ${v.cycle.join(' → ')}. Chosen as the ${v.reason}.</div>`
+            ).join('') + fresh.map(d => {
+                const victim = d.victim ? (d.victim.label ? `Transaction ${d.victim.label}` : `trx ${d.victim.trxId}`) : 'unknown';
+                const parts = d.transactions.map(t => `(${t.index}) ${t.label ? `Transaction ${t.label}` : `trx ${t.trxId}`}: ${t.query || ''}` +
+                    `<br>&nbsp;&nbsp;waiting for: ${t.waitingFor || '-'}`).join('<br>');
+                return `<div style="background:#FFE5E5; padding:10px; border-radius:10px;"><b style="color:#FF4C4C">DEADLOCK on node ${d.nodeId}` +
+                    ` (${d.detectedAt}) - victim: ${victim}</b><br>${d.reason || ''}<br>${parts}</div>`;
+            }).join('');
+        }
+    };
+
+    // 4b. SCENARIO RUNNER
+    let scenarioPresets = {};
+
+    window.loadScenarioPreset = (name) => {
+        const preset = scenarioPresets[name];
+        if (!preset) return;
+        const { name: _, description, expected, ...script } = preset;
+        document.getElementById('scenarioScript').value = JSON.stringify(script, null, 2);
+        document.getElementById('scenarioIsolation').value = script.isolation;
+        document.getElementById('scenarioDescription').innerText = `${description} Expected: ${expected}.`;
+    };
+
+    const loadScenarioPresets = async () => {
+        const select = document.getElementById('scenarioPreset');
+        if (!select) return;
+        try {
+            const res = await fetch('/api/scenarios');
+            const data = await res.json();
+            data.presets.forEach(p => { scenarioPresets[p.name] = p; });
+            select.innerHTML = data.presets.map(p => `<option value="${p.name}">${p.name}</option>`).join('');
+            loadScenarioPreset(select.value);
+        } catch (e) {
+            console.error('[Scenario] Failed to load presets:', e);
+        }
+    };
+    loadScenarioPresets();
+
+    window.runScenario = async () => {
+        const el = document.getElementById('scenarioResult');
+        let script;
+        try {
+            script = JSON.parse(document.getElementById('scenarioScript').value);
+        } catch (e) {
+            el.innerHTML = `<span style="color:red"><b>Invalid JSON:</b> ${e.message}</span>`;
+            return;
+        }
+        script.isolation = document.getElementById('scenarioIsolation').value;
+        el.innerHTML = '>> Running scenario...';
+
+        try {
+            const res = await fetch('/api/scenarios/run', {
+                method: 'POST',
+                headers: {'Content-Type': 'application/json'},
+                body: JSON.stringify(script)
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                el.innerHTML = `<span style="color:red"><b>Error:</b> ${data.error}</span>`;
+                return;
+            }
+
+            const anomalies = data.anomalies.length
+                ? data.anomalies.map(a => `<span style="color:#FFB547"><b>${a.type}</b></span> ${a.description}`).join('<br>')
+                : 'No anomalies detected.';
+            const txs = data.transactions.map(t => `${t.name} (${t.isolation}): ${t.status}${t.error ? ` - ${t.error}` : ''}`).join('<br>');
+            const history = data.history.map(e => {
+                const target = e.id !== undefined ? ` #${e.id}` : e.country ? ` [${e.country}]` : '';
+                const detail = e.status !== 'ok' ? ` ${e.status.toUpperCase()}${e.error ? `: ${e.error}` : ''}`
+                    : e.op === 'read' ? ` → ${e.saw || 'no row'}`
+                    : e.op === 'readRange' ? ` → [${e.ids.join(', ')}]`
+                    : e.writeId ? ` (${e.writeId})` : '';
+                const at = e.startedAt !== undefined ? `[${e.startedAt}ms] ` : '';
+                return `${at}${e.tx}: ${e.op}${target}${detail}`;
+            }).join('<br>');
+
+            el.innerHTML = `<b>ANOMALIES (${data.isolation})</b><br>${anomalies}<br><br>` +
+                `<b>TRANSACTIONS</b><br>${txs}<br><br><b>HISTORY</b><br>${history}`;
+        } catch (e) {
+            el.innerHTML = `<span style="color:red"><b>Frontend Error:</b> ${e.message}</span>`;
+        }
     };
 
     // 5. GENERIC CRUD
@@ -208,6 +393,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 return;
             }
             
+            rememberWrite(result.causalityToken);
             addTransaction(method === 'POST' ? 'add' : 'edit', data.firstName);
             
             // Show detailed success message
@@ -260,6 +446,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     throw new Error(data.error || "Delete failed on server");
                 }
                 
+                rememberWrite(data.causalityToken);
                 addTransaction('delete', name);
                 alert("Deleted successfully");
                 
@@ -757,7 +944,9 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!country) return;
 
             try {
-                const res = await fetch(`/api/users/search?country=${country}`);
+                const res = await fetch(`/api/users/search?country=${country}`, {
+                    headers: causalityToken ? { 'X-Causality-Token': causalityToken } : {}
+                });
                 const users = await res.json();
                 console.log("Filter Result:", users);
 
@@ -0,0 +1,31 @@
+const express = require("express");
+const clusterController = require("../controller/clusterController.js");
+
+const router = express.Router();
+
+// Node registry
+router.get("/nodes", clusterController.listNodes);
+router.post("/nodes", clusterController.addNode);
+router.delete("/nodes/:id", clusterController.removeNode);
+
+// Master failover (promotion, fencing, reconciliation)
+router.get("/failover/status", clusterController.getFailoverStatus);
+router.post("/failover/promote", clusterController.promote);
+router.post("/failover/fence", clusterController.fence);
+router.post("/failover/reconcile", clusterController.reconcile);
+router.post("/failover/policy", clusterController.setFailoverPolicy);
+
+// Anti-entropy reconciliation between Master and Slaves
+router.post("/anti-entropy", clusterController.runAntiEntropy);
+router.get("/anti-entropy/last", clusterController.getAntiEntropyReport);
+
+// Current partition map
+router.get("/partition-map", clusterController.getPartitionMap);
+
+// Online rebalancing (start, progress, resume after interruption)
+router.post("/rebalance", clusterController.startRebalance);
+router.get("/rebalance/status", clusterController.getRebalanceStatus);
+router.get("/rebalance/:jobId", clusterController.getRebalanceStatus);
+router.post("/rebalance/:jobId/resume", clusterController.resumeRebalance);
+
+module.exports = router;
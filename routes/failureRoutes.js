@@ -18,9 +18,27 @@ router.post("/monitor/start", failureController.startRecoveryMonitor);
 router.post("/monitor/stop", failureController.stopRecoveryMonitor);
 router.get("/monitor/status", failureController.getRecoveryMonitorStatus);
 router.get("/queue/status", failureController.getQueueStatus);
+
+// A failed queue entry blocks its Slave's replay: retry it or park it (resync otherwise)
+router.post("/queue/:id/retry", failureController.retryQueueEntry);
+router.post("/queue/:id/park", failureController.parkQueueEntry);
 router.get("/system/health", failureController.getSystemHealth);
 
 // Manual recovery trigger
 router.post("/recover/:partition", failureController.triggerRecovery);
 
+// Full Slave rebuild from a Master snapshot
+router.post("/resync/:partition", failureController.resyncPartition);
+router.get("/resync/:partition/status", failureController.getResyncStatus);
+
+// Per-Slave change log position (last applied sequence number, changes behind)
+router.get("/replication/position", failureController.getReplicationPosition);
+
+// Replication lag and the bounds above which reads skip a Slave
+router.get("/replication/lag", failureController.getReplicationLag);
+router.post("/replication/lag/bounds", failureController.setReadBounds);
+
+// Resolve PREPARED XA branches left behind by a crashed coordinator
+router.post("/resolve-in-doubt", failureController.resolveInDoubt);
+
 module.exports = router;
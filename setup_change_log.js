@@ -0,0 +1,60 @@
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+const { readEnvNodes } = require('./db/connection');
+
+// change_log lives on the Master; every Slave gets a replication_state
+// table holding the last sequence number it applied.
+// A standby that failover may promote needs change_log as well.
+// change_log_locks holds one row per Slave; a write locks its Slave's
+// row from seq allocation to commit (see models/change_log.js).
+async function createChangeLogTables() {
+    for (const node of readEnvNodes()) {
+        if (!node.host) continue;
+
+        const conn = await mysql.createConnection({
+            host: node.host,
+            port: parseInt(node.port),
+            user: node.user,
+            password: node.password,
+            database: node.database
+        });
+
+        try {
+            if (node.role === 'master' || node.role === 'standby') {
+                await conn.execute(`
+                    CREATE TABLE IF NOT EXISTS change_log (
+                        seq BIGINT AUTO_INCREMENT PRIMARY KEY COMMENT 'Replication sequence number',
+                        xid VARCHAR(64) NOT NULL COMMENT 'Global XA transaction ID of the write',
+                        target_partition INT NOT NULL COMMENT 'Slave the change is for',
+                        user_id INT NOT NULL,
+                        operation_type ENUM('INSERT', 'UPDATE', 'DELETE') NOT NULL,
+                        query_text TEXT NOT NULL COMMENT 'The SQL statement to apply on the Slave',
+                        params_json TEXT NOT NULL COMMENT 'JSON array of query parameters',
+                        logged_at DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+                        INDEX idx_partition_seq (target_partition, seq)
+                    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+                `);
+                await conn.execute(`
+                    CREATE TABLE IF NOT EXISTS change_log_locks (
+                        target_partition INT PRIMARY KEY COMMENT 'Slave whose writes serialize on this row'
+                    ) ENGINE=InnoDB
+                `);
+                console.log(`✓ change_log tables created on node ${node.id} (${node.role})!`);
+            } else if (node.role === 'slave') {
+                await conn.execute(`
+                    CREATE TABLE IF NOT EXISTS replication_state (
+                        slave_id INT PRIMARY KEY,
+                        last_applied_seq BIGINT NOT NULL DEFAULT 0 COMMENT 'Highest change_log seq applied here',
+                        updated_at DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3)
+                    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+                `);
+                await conn.execute('INSERT IGNORE INTO replication_state (slave_id) VALUES (?)', [node.id]);
+                console.log(`✓ replication_state table created on node ${node.id} (slave)!`);
+            }
+        } finally {
+            await conn.end();
+        }
+    }
+}
+
+createChangeLogTables().catch(e => console.error('Error:', e.message));
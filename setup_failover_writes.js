@@ -0,0 +1,45 @@
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+// Run against the standby that failover may promote (FAILOVER_NODE_ID).
+// The standby also needs users, recovery_queue and transaction_log:
+// point setup_recovery_queue.js / setup_transaction_log.js at it as well.
+async function createFailoverWritesTable() {
+    const nodeId = process.env.FAILOVER_NODE_ID;
+    if (nodeId === undefined) {
+        throw new Error('FAILOVER_NODE_ID is not set.');
+    }
+
+    const conn = await mysql.createConnection({
+        host: process.env[`NODE${nodeId}_HOST`],
+        port: parseInt(process.env[`NODE${nodeId}_PORT`]),
+        user: process.env[`NODE${nodeId}_USER`],
+        password: process.env[`NODE${nodeId}_PASSWORD`],
+        database: process.env[`NODE${nodeId}_DB`]
+    });
+
+    const sql = `
+        CREATE TABLE IF NOT EXISTS failover_writes (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            epoch INT NOT NULL COMMENT 'Failover epoch the write was taken in',
+            xid VARCHAR(64) NOT NULL COMMENT 'Global XA transaction ID of the write',
+            operation ENUM('INSERT', 'UPDATE', 'DELETE') NOT NULL,
+            user_id INT NOT NULL,
+            row_json TEXT NULL COMMENT 'Row as committed (NULL for DELETE)',
+            written_at DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+            reconciled_at DATETIME NULL,
+            INDEX idx_epoch_reconciled (epoch, reconciled_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `;
+
+    await conn.execute(sql);
+    console.log(`✓ failover_writes table created on node ${nodeId}!`);
+
+    // Verify
+    const [rows] = await conn.execute('DESCRIBE failover_writes');
+    console.log('Table structure:', rows.map(r => r.Field).join(', '));
+
+    await conn.end();
+}
+
+createFailoverWritesTable().catch(e => console.error('Error:', e.message));
@@ -0,0 +1,37 @@
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+const { readEnvNodes } = require('./db/connection');
+
+// idempotency_keys lives on the Master, next to the users it records.
+// A standby that failover may promote needs it as well.
+async function createIdempotencyKeysTable() {
+    for (const node of readEnvNodes()) {
+        if (!node.host || (node.role !== 'master' && node.role !== 'standby')) continue;
+
+        const conn = await mysql.createConnection({
+            host: node.host,
+            port: parseInt(node.port),
+            user: node.user,
+            password: node.password,
+            database: node.database
+        });
+
+        try {
+            await conn.execute(`
+                CREATE TABLE IF NOT EXISTS idempotency_keys (
+                    idem_key VARCHAR(128) PRIMARY KEY COMMENT 'Client-supplied Idempotency-Key',
+                    request_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the create request body',
+                    user_id INT NOT NULL COMMENT 'User the request created',
+                    response_json TEXT NOT NULL COMMENT 'Original response, returned on replay',
+                    created_at DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+                    INDEX idx_created (created_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            `);
+            console.log(`✓ idempotency_keys table created on node ${node.id} (${node.role})!`);
+        } finally {
+            await conn.end();
+        }
+    }
+}
+
+createIdempotencyKeysTable().catch(e => console.error('Error:', e.message));
@@ -0,0 +1,41 @@
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+async function createRebalanceJobsTable() {
+    const conn = await mysql.createConnection({
+        host: process.env.NODE0_HOST,
+        port: parseInt(process.env.NODE0_PORT),
+        user: process.env.NODE0_USER,
+        password: process.env.NODE0_PASSWORD,
+        database: process.env.NODE0_DB
+    });
+
+    const sql = `
+        CREATE TABLE IF NOT EXISTS rebalance_jobs (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            state ENUM('RUNNING', 'FAILED', 'COMPLETED') NOT NULL DEFAULT 'RUNNING',
+            phase ENUM('COPY', 'CLEANUP', 'DONE') NOT NULL DEFAULT 'COPY',
+            target_map_json TEXT NOT NULL COMMENT 'Partition map the job moves rows to',
+            previous_map_json TEXT NOT NULL COMMENT 'Partition map in effect when the job started',
+            plan_json TEXT NOT NULL COMMENT 'Misplaced rows per source Slave when the job started',
+            progress_json TEXT NOT NULL COMMENT 'Cursor and counters, updated after every batch',
+            batch_size INT NOT NULL DEFAULT 100,
+            last_error TEXT,
+            started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            finished_at DATETIME NULL,
+            INDEX idx_state (state)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `;
+
+    await conn.execute(sql);
+    console.log('✓ rebalance_jobs table created on Central node!');
+
+    // Verify
+    const [rows] = await conn.execute('DESCRIBE rebalance_jobs');
+    console.log('Table structure:', rows.map(r => r.Field).join(', '));
+
+    await conn.end();
+}
+
+createRebalanceJobsTable().catch(e => console.error('Error:', e.message));
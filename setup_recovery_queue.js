@@ -14,7 +14,8 @@ async function createRecoveryQueueTable() {
         CREATE TABLE IF NOT EXISTS recovery_queue (
             id INT AUTO_INCREMENT PRIMARY KEY,
             target_partition INT NOT NULL COMMENT '1 = Partition 1 (A-L), 2 = Partition 2 (M-Z)',
-            user_id INT NOT NULL COMMENT 'The user ID being inserted',
+            user_id INT NOT NULL COMMENT 'The user ID being written',
+            operation_type ENUM('INSERT', 'UPDATE', 'DELETE') NOT NULL DEFAULT 'INSERT',
             query_text TEXT NOT NULL COMMENT 'The SQL query to execute',
             params_json TEXT NOT NULL COMMENT 'JSON array of query parameters',
             attempt_count INT DEFAULT 1,
@@ -22,7 +23,8 @@ async function createRecoveryQueueTable() {
             error_type VARCHAR(50),
             queued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             last_attempt_at DATETIME NULL,
-            status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
+            status ENUM('pending', 'processing', 'completed', 'failed', 'parked') DEFAULT 'pending',
+            seq BIGINT NULL COMMENT 'change_log sequence number of the write',
             INDEX idx_partition_status (target_partition, status),
             INDEX idx_user_id (user_id)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
@@ -30,6 +32,36 @@ async function createRecoveryQueueTable() {
 
     await conn.execute(sql);
     console.log('✓ recovery_queue table created on Central node!');
+
+    // Tables created before UPDATE/DELETE queueing lack operation_type
+    const [columns] = await conn.execute("SHOW COLUMNS FROM recovery_queue LIKE 'operation_type'");
+    if (columns.length === 0) {
+        await conn.execute(`
+            ALTER TABLE recovery_queue
+            ADD COLUMN operation_type ENUM('INSERT', 'UPDATE', 'DELETE') NOT NULL DEFAULT 'INSERT' AFTER user_id
+        `);
+        console.log('✓ operation_type column added to recovery_queue');
+    }
+
+    // Tables created before the change log lack seq
+    const [seqColumns] = await conn.execute("SHOW COLUMNS FROM recovery_queue LIKE 'seq'");
+    if (seqColumns.length === 0) {
+        await conn.execute(`
+            ALTER TABLE recovery_queue
+            ADD COLUMN seq BIGINT NULL COMMENT 'change_log sequence number of the write'
+        `);
+        console.log('✓ seq column added to recovery_queue');
+    }
+
+    // Tables created before operators could park a failed entry lack 'parked'
+    const [statusColumns] = await conn.execute("SHOW COLUMNS FROM recovery_queue LIKE 'status'");
+    if (!statusColumns[0].Type.includes("'parked'")) {
+        await conn.execute(`
+            ALTER TABLE recovery_queue
+            MODIFY COLUMN status ENUM('pending', 'processing', 'completed', 'failed', 'parked') DEFAULT 'pending'
+        `);
+        console.log("✓ 'parked' status added to recovery_queue");
+    }
     
     // Verify
     const [rows] = await conn.execute('DESCRIBE recovery_queue');
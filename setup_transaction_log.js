@@ -0,0 +1,37 @@
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+async function createTransactionLogTable() {
+    const conn = await mysql.createConnection({
+        host: process.env.NODE0_HOST,
+        port: parseInt(process.env.NODE0_PORT),
+        user: process.env.NODE0_USER,
+        password: process.env.NODE0_PASSWORD,
+        database: process.env.NODE0_DB
+    });
+
+    const sql = `
+        CREATE TABLE IF NOT EXISTS transaction_log (
+            xid VARCHAR(64) PRIMARY KEY COMMENT 'Global XA transaction ID',
+            operation VARCHAR(20) NOT NULL COMMENT 'create, update or delete',
+            participants_json TEXT NOT NULL COMMENT 'JSON array of node IDs holding an XA branch',
+            pending_json TEXT NOT NULL COMMENT 'JSON array of node IDs whose phase 2 has not finished',
+            decision ENUM('COMMIT', 'ABORT') NOT NULL,
+            state ENUM('PENDING', 'COMPLETED') DEFAULT 'PENDING',
+            decided_at DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+            completed_at DATETIME NULL,
+            INDEX idx_state (state)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `;
+
+    await conn.execute(sql);
+    console.log('✓ transaction_log table created on Central node!');
+
+    // Verify
+    const [rows] = await conn.execute('DESCRIBE transaction_log');
+    console.log('Table structure:', rows.map(r => r.Field).join(', '));
+
+    await conn.end();
+}
+
+createTransactionLogTable().catch(e => console.error('Error:', e.message));
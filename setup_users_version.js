@@ -0,0 +1,36 @@
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+const { readEnvNodes } = require('./db/connection');
+
+// Adds the optimistic-locking `version` column to `users` on every node.
+// Existing rows start at version 1 everywhere, so the nodes stay in step.
+async function addUsersVersionColumn() {
+    for (const node of readEnvNodes()) {
+        if (!node.host) continue;
+
+        const conn = await mysql.createConnection({
+            host: node.host,
+            port: parseInt(node.port),
+            user: node.user,
+            password: node.password,
+            database: node.database
+        });
+
+        try {
+            const [columns] = await conn.execute("SHOW COLUMNS FROM users LIKE 'version'");
+            if (columns.length === 0) {
+                await conn.execute(`
+                    ALTER TABLE users
+                    ADD COLUMN version INT NOT NULL DEFAULT 1 COMMENT 'Bumped on every update (optimistic locking)'
+                `);
+                console.log(`✓ version column added to users on node ${node.id}`);
+            } else {
+                console.log(`✓ users on node ${node.id} already has a version column`);
+            }
+        } finally {
+            await conn.end();
+        }
+    }
+}
+
+addUsersVersionColumn().catch(e => console.error('Error:', e.message));